@@ -137,6 +137,9 @@ export async function executeQuery(query, params = []) {
   }
 }
 
+// Name of the FULLTEXT (ngram) index used by product search
+export const PRODUCT_SEARCH_INDEX = "ft_shopee_products_search";
+
 // Initialize database and create tables if they don't exist
 export async function initializeDatabase() {
   // Set timezone for this session
@@ -172,7 +175,9 @@ export async function initializeDatabase() {
       campaign_active BOOLEAN DEFAULT TRUE,
       
       status ENUM('active', 'inactive') DEFAULT 'active',
+      status_source VARCHAR(20) NULL DEFAULT NULL,
       notes TEXT,
+      deleted_at TIMESTAMP NULL DEFAULT NULL,
       
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
@@ -208,9 +213,40 @@ export async function initializeDatabase() {
     await executeQuery(createProductsTable);
     Logger.success("Products table initialized successfully!");
 
+    if (!(await ensureProductStatusSourceColumn())) {
+      Logger.warn("Product status_source column not available, admin-set inactive status can't be kept by sync");
+    }
+
+    if (await ensureProductSearchIndex()) {
+      Logger.success("Product search index initialized successfully!");
+    } else {
+      Logger.warn("Product search index not available (requires MySQL 5.7.6+ ngram parser), search uses LIKE");
+    }
+
     await executeQuery(createAdminUsersTable);
     Logger.success("Admin users table initialized successfully!");
 
+    // Soft-delete marker of trashable tables (categories/tags/banners are created by setup-database.js)
+    for (const table of SOFT_DELETE_TABLES) {
+      if (!(await ensureSoftDeleteColumn(table))) {
+        Logger.warn(`Soft-delete column not available on ${table}, run setup-database.js first`);
+      }
+    }
+    Logger.success("Soft-delete columns initialized successfully!");
+
+    // Create trash_associations table (product links of trashed categories/tags, put back on restore)
+    const createTrashAssociationsTable = `
+      CREATE TABLE IF NOT EXISTS trash_associations (
+        entity_type ENUM('category', 'tag') NOT NULL,
+        entity_id INT NOT NULL,
+        product_item_id VARCHAR(50) NOT NULL,
+        PRIMARY KEY (entity_type, entity_id, product_item_id),
+        KEY idx_trash_associations_item (product_item_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createTrashAssociationsTable);
+    Logger.success("Trash associations table initialized successfully!");
+
     // Create category_keywords table if not exists
     const createCategoryKeywordsTable = `
       CREATE TABLE IF NOT EXISTS category_keywords (
@@ -235,6 +271,366 @@ export async function initializeDatabase() {
       Logger2.warn("Category keywords table creation skipped (categories table may not exist yet)");
     }
 
+    // Create product_sync_runs table (summary of each scheduled/manual resync)
+    const createProductSyncRunsTable = `
+      CREATE TABLE IF NOT EXISTS product_sync_runs (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        trigger_type ENUM('scheduled', 'manual') DEFAULT 'scheduled',
+        triggered_by INT NULL,
+        status ENUM('running', 'completed', 'failed') DEFAULT 'running',
+        total_products INT DEFAULT 0,
+        checked_count INT DEFAULT 0,
+        updated_count INT DEFAULT 0,
+        deactivated_count INT DEFAULT 0,
+        failed_count INT DEFAULT 0,
+        failed_items LONGTEXT NULL,
+        error_message TEXT NULL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP NULL DEFAULT NULL,
+        KEY idx_product_sync_runs_started_at (started_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductSyncRunsTable);
+    Logger.success("Product sync runs table initialized successfully!");
+
+    // Create product_price_history table (price/commission snapshots on every change)
+    // No foreign key: history is kept when a product is deleted and saved again
+    const createProductPriceHistoryTable = `
+      CREATE TABLE IF NOT EXISTS product_price_history (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        product_item_id VARCHAR(50) NOT NULL,
+        price DECIMAL(10,2),
+        commission_rate DECIMAL(5,4),
+        commission_amount DECIMAL(10,2),
+        sales_count INT,
+        discount_rate DECIMAL(5,2),
+        source VARCHAR(30) NOT NULL,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_product_price_history_item (product_item_id, recorded_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductPriceHistoryTable);
+    Logger.success("Product price history table initialized successfully!");
+
+    // Create product_sales_snapshots table (periodic sales_count snapshots for trending)
+    const createProductSalesSnapshotsTable = `
+      CREATE TABLE IF NOT EXISTS product_sales_snapshots (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        product_item_id VARCHAR(50) NOT NULL,
+        sales_count INT NOT NULL DEFAULT 0,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_product_sales_snapshots_item (product_item_id, recorded_at),
+        KEY idx_product_sales_snapshots_recorded (recorded_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductSalesSnapshotsTable);
+    Logger.success("Product sales snapshots table initialized successfully!");
+
+    // Create product_clicks table (affiliate redirects through /go/:itemId)
+    const createProductClicksTable = `
+      CREATE TABLE IF NOT EXISTS product_clicks (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        product_item_id VARCHAR(50) NOT NULL,
+        referrer VARCHAR(500) NULL,
+        ip_hash CHAR(64) NULL,
+        user_agent_class ENUM('desktop', 'mobile', 'tablet', 'other') NOT NULL DEFAULT 'other',
+        sub_id VARCHAR(50) NULL,
+        clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_product_clicks_item (product_item_id, clicked_at),
+        KEY idx_product_clicks_clicked (clicked_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductClicksTable);
+    Logger.success("Product clicks table initialized successfully!");
+
+    // Create banner_clicks table (banner redirects through /go/banner/:bannerId)
+    const createBannerClicksTable = `
+      CREATE TABLE IF NOT EXISTS banner_clicks (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        banner_id INT NOT NULL,
+        position_id INT NULL,
+        referrer VARCHAR(500) NULL,
+        ip_hash CHAR(64) NULL,
+        user_agent_class ENUM('desktop', 'mobile', 'tablet', 'other') NOT NULL DEFAULT 'other',
+        clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_banner_clicks_banner (banner_id, clicked_at),
+        KEY idx_banner_clicks_clicked (clicked_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createBannerClicksTable);
+    Logger.success("Banner clicks table initialized successfully!");
+
+    // Create affiliate_conversions table (Shopee conversion report, one row per ordered item)
+    const createAffiliateConversionsTable = `
+      CREATE TABLE IF NOT EXISTS affiliate_conversions (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        conversion_id VARCHAR(50) NOT NULL,
+        order_id VARCHAR(50) NOT NULL,
+        product_item_id VARCHAR(50) NOT NULL,
+        model_id VARCHAR(50) NOT NULL DEFAULT '',
+        item_name TEXT NULL,
+        shop_id VARCHAR(50) NULL,
+        shop_name VARCHAR(255) NULL,
+        sub_id VARCHAR(255) NULL,
+        qty INT NOT NULL DEFAULT 0,
+        item_price DECIMAL(12,2) NULL,
+        actual_amount DECIMAL(12,2) NULL,
+        commission DECIMAL(12,2) NOT NULL DEFAULT 0,
+        order_status VARCHAR(30) NULL,
+        item_status VARCHAR(50) NULL,
+        purchase_time DATETIME NOT NULL,
+        click_time DATETIME NULL,
+        complete_time DATETIME NULL,
+        source ENUM('api', 'csv') NOT NULL DEFAULT 'api',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_affiliate_conversion_item (conversion_id, order_id, product_item_id, model_id),
+        KEY idx_affiliate_conversions_purchase (purchase_time),
+        KEY idx_affiliate_conversions_item (product_item_id, purchase_time),
+        KEY idx_affiliate_conversions_sub_id (sub_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createAffiliateConversionsTable);
+    Logger.success("Affiliate conversions table initialized successfully!");
+
+    // Create affiliate_link_channels table (sub-IDs added to short links per sharing channel)
+    const createAffiliateLinkChannelsTable = `
+      CREATE TABLE IF NOT EXISTS affiliate_link_channels (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        channel VARCHAR(30) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        sub_id1 VARCHAR(50) NOT NULL DEFAULT '',
+        sub_id2 VARCHAR(50) NOT NULL DEFAULT '',
+        sub_id3 VARCHAR(50) NOT NULL DEFAULT '',
+        sub_id4 VARCHAR(50) NOT NULL DEFAULT '',
+        sub_id5 VARCHAR(50) NOT NULL DEFAULT '',
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createAffiliateLinkChannelsTable);
+    await executeQuery(
+      `INSERT IGNORE INTO affiliate_link_channels (channel, name, sub_id1) VALUES
+       ('website', 'Website', 'website'), ('line', 'LINE', 'line'),
+       ('facebook', 'Facebook', 'facebook'), ('banner', 'Banner', 'banner')`
+    );
+    Logger.success("Affiliate link channels table initialized successfully!");
+
+    // Create product_short_links table (generateShortLink cache per product and channel)
+    const createProductShortLinksTable = `
+      CREATE TABLE IF NOT EXISTS product_short_links (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        product_item_id VARCHAR(50) NOT NULL,
+        channel VARCHAR(30) NOT NULL,
+        origin_url TEXT NOT NULL,
+        sub_ids VARCHAR(255) NOT NULL DEFAULT '',
+        short_link VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_product_short_link (product_item_id, channel),
+        KEY idx_product_short_links_channel (channel)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductShortLinksTable);
+    Logger.success("Product short links table initialized successfully!");
+
+    // Create flash_sale_pins table (products manually pinned into every flash-sale slot)
+    const createFlashSalePinsTable = `
+      CREATE TABLE IF NOT EXISTS flash_sale_pins (
+        product_item_id VARCHAR(50) PRIMARY KEY,
+        pinned_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createFlashSalePinsTable);
+    Logger.success("Flash sale pins table initialized successfully!");
+
+    // Create flash_sale_slots / flash_sale_slot_items tables (scheduled flash-sale rotation)
+    const createFlashSaleSlotsTable = `
+      CREATE TABLE IF NOT EXISTS flash_sale_slots (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        slot_start DATETIME NOT NULL,
+        slot_end DATETIME NOT NULL,
+        rule VARCHAR(30) NOT NULL,
+        slot_size INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_flash_sale_slot_start (slot_start)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createFlashSaleSlotsTable);
+
+    const createFlashSaleSlotItemsTable = `
+      CREATE TABLE IF NOT EXISTS flash_sale_slot_items (
+        slot_id INT NOT NULL,
+        product_item_id VARCHAR(50) NOT NULL,
+        position INT NOT NULL,
+        is_pinned BOOLEAN DEFAULT FALSE,
+        PRIMARY KEY (slot_id, product_item_id),
+        KEY idx_flash_sale_slot_items_position (slot_id, position),
+        FOREIGN KEY (slot_id) REFERENCES flash_sale_slots(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createFlashSaleSlotItemsTable);
+    Logger.success("Flash sale slots tables initialized successfully!");
+
+    // Create collections / collection_products tables (editor-curated product lists)
+    const createCollectionsTable = `
+      CREATE TABLE IF NOT EXISTS collections (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        slug VARCHAR(150) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        cover_image_url VARCHAR(500) NULL,
+        start_time DATETIME NULL,
+        end_time DATETIME NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_collections_slug (slug)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createCollectionsTable);
+
+    const createCollectionProductsTable = `
+      CREATE TABLE IF NOT EXISTS collection_products (
+        collection_id INT NOT NULL,
+        product_item_id VARCHAR(50) NOT NULL,
+        position INT NOT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (collection_id, product_item_id),
+        KEY idx_collection_products_position (collection_id, position),
+        KEY idx_collection_products_item (product_item_id),
+        FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createCollectionProductsTable);
+    Logger.success("Collections tables initialized successfully!");
+
+    // Create product_overrides table (editorial values kept apart from Shopee data, with sync locks)
+    const createProductOverridesTable = `
+      CREATE TABLE IF NOT EXISTS product_overrides (
+        product_item_id VARCHAR(50) PRIMARY KEY,
+        display_title VARCHAR(500) NULL,
+        custom_image_url VARCHAR(500) NULL,
+        notes TEXT NULL,
+        pinned_category_id INT NULL,
+        lock_title BOOLEAN DEFAULT FALSE,
+        lock_image BOOLEAN DEFAULT FALSE,
+        lock_category BOOLEAN DEFAULT FALSE,
+        updated_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductOverridesTable);
+    Logger.success("Product overrides table initialized successfully!");
+
+    // Create product_change_log table (field-by-field changes of every product write)
+    const createProductChangeLogTable = `
+      CREATE TABLE IF NOT EXISTS product_change_log (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        product_item_id VARCHAR(50) NOT NULL,
+        event ENUM('created', 'updated') NOT NULL DEFAULT 'updated',
+        source VARCHAR(30) NOT NULL,
+        changed_by INT NULL,
+        changes LONGTEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_product_change_log_item (product_item_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductChangeLogTable);
+    Logger.success("Product change log table initialized successfully!");
+
+    // Create product_alert_rules table (price-drop / commission alert rules)
+    const createProductAlertRulesTable = `
+      CREATE TABLE IF NOT EXISTS product_alert_rules (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(255) NOT NULL,
+        scope ENUM('product', 'category', 'global') NOT NULL DEFAULT 'global',
+        product_item_id VARCHAR(50) NULL,
+        category_id INT NULL,
+        rule_type ENUM('price_drop', 'commission_below', 'commission_change') NOT NULL,
+        threshold DECIMAL(10,4) NOT NULL DEFAULT 0,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_product_alert_rules_scope (scope, is_active)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductAlertRulesTable);
+    Logger.success("Product alert rules table initialized successfully!");
+
+    // Create admin_notifications table (notification inbox for admins)
+    const createAdminNotificationsTable = `
+      CREATE TABLE IF NOT EXISTS admin_notifications (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        message TEXT,
+        product_item_id VARCHAR(50) NULL,
+        rule_id INT NULL,
+        data LONGTEXT NULL,
+        is_read BOOLEAN DEFAULT FALSE,
+        read_at TIMESTAMP NULL DEFAULT NULL,
+        read_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_admin_notifications_read (is_read, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createAdminNotificationsTable);
+    Logger.success("Admin notifications table initialized successfully!");
+
+    // Create curation_watchlists table (saved searches that curate products on a schedule)
+    const createCurationWatchlistsTable = `
+      CREATE TABLE IF NOT EXISTS curation_watchlists (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(255) NOT NULL,
+        keyword VARCHAR(255) NOT NULL,
+        category_id INT NULL,
+        min_commission_rate DECIMAL(5,2) NULL,
+        min_rating_star DECIMAL(2,1) NULL,
+        min_sales INT NULL,
+        min_price DECIMAL(10,2) NULL,
+        max_price DECIMAL(10,2) NULL,
+        shop_types VARCHAR(50) NULL,
+        mode ENUM('auto_import', 'review') NOT NULL DEFAULT 'review',
+        max_results INT NOT NULL DEFAULT 20,
+        is_active BOOLEAN DEFAULT TRUE,
+        last_run_at TIMESTAMP NULL DEFAULT NULL,
+        last_run_status ENUM('completed', 'failed') NULL,
+        last_run_summary TEXT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createCurationWatchlistsTable);
+    Logger.success("Curation watchlists table initialized successfully!");
+
+    // Create curation_review_queue table (watchlist matches waiting for approval)
+    const createCurationReviewQueueTable = `
+      CREATE TABLE IF NOT EXISTS curation_review_queue (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        watchlist_id INT NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        product_name TEXT,
+        product_data LONGTEXT NOT NULL,
+        status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+        reviewed_by INT NULL,
+        reviewed_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_watchlist_item (watchlist_id, item_id),
+        KEY idx_curation_review_queue_status (status, created_at),
+        FOREIGN KEY (watchlist_id) REFERENCES curation_watchlists(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createCurationReviewQueueTable);
+    Logger.success("Curation review queue table initialized successfully!");
+
     // Create default admin user if not exists
     await createDefaultAdmin();
     
@@ -259,6 +655,87 @@ export async function initializeDatabase() {
   }
 }
 
+// Create the FULLTEXT index for product search (ngram parser, needed for Thai text without spaces)
+async function ensureProductSearchIndex() {
+  const existsResult = await executeQuery(
+    `SELECT COUNT(*) as count FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'shopee_products' AND INDEX_NAME = ?`,
+    [PRODUCT_SEARCH_INDEX]
+  );
+
+  if (!existsResult.success) {
+    return false;
+  }
+  if (existsResult.data[0].count > 0) {
+    return true;
+  }
+
+  // Stopwords are bound to the index when it is created. With ngram every token
+  // containing a stopword (e.g. "a") would be dropped, so create it without them.
+  const connection = await pool.getConnection();
+  try {
+    await connection.query("SET SESSION innodb_ft_enable_stopword = OFF");
+    await connection.query(
+      `ALTER TABLE shopee_products ADD FULLTEXT INDEX ${PRODUCT_SEARCH_INDEX} (product_name, shop_name) WITH PARSER ngram`
+    );
+    return true;
+  } catch (error) {
+    const Logger = (await import("../utils/logger.js")).default;
+    Logger.warn("Failed to create product search index:", error.message);
+    return false;
+  } finally {
+    await connection.query("SET SESSION innodb_ft_enable_stopword = DEFAULT").catch(() => {});
+    connection.release();
+  }
+}
+
+// Add status_source (who last changed status: admin, sync, expiry) to an existing products table
+// Sync and expiry reactivate products they turned off, an admin-set inactive status is kept.
+async function ensureProductStatusSourceColumn() {
+  const existsResult = await executeQuery(
+    `SELECT COUNT(*) as count FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'shopee_products' AND COLUMN_NAME = 'status_source'`
+  );
+
+  if (!existsResult.success) {
+    return false;
+  }
+  if (existsResult.data[0].count > 0) {
+    return true;
+  }
+
+  const alterResult = await executeQuery(
+    "ALTER TABLE shopee_products ADD COLUMN status_source VARCHAR(20) NULL DEFAULT NULL AFTER status"
+  );
+  return alterResult.success;
+}
+
+// Tables with a deleted_at column (see services/trashService.js)
+const SOFT_DELETE_TABLES = ["shopee_products", "categories", "tags", "banners"];
+
+// Add deleted_at (with an index) to an existing table that doesn't have it yet
+async function ensureSoftDeleteColumn(table) {
+  const existsResult = await executeQuery(
+    `SELECT
+       (SELECT COUNT(*) FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?) as table_count,
+       (SELECT COUNT(*) FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = 'deleted_at') as column_count`,
+    [table, table]
+  );
+
+  if (!existsResult.success || existsResult.data[0].table_count === 0) {
+    return false;
+  }
+  if (existsResult.data[0].column_count > 0) {
+    return true;
+  }
+
+  const alterResult = await executeQuery(
+    `ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL, ADD INDEX idx_${table}_deleted_at (deleted_at)`
+  );
+  return alterResult.success;
+}
+
 // Create default admin user with hashed password
 async function createDefaultAdmin() {
   try {
@@ -6,6 +6,14 @@ import { fileURLToPath } from "url";
 import { testConnection, initializeDatabase } from "./config/database.js";
 import { cleanupExpiredSessions, getSessionTimeoutHours } from "./utils/auth.js";
 import { validateEnv } from "./config/env.js";
+import { stopAllJobs } from "./utils/scheduler.js";
+import { startProductSyncScheduler } from "./services/productSyncService.js";
+import { startCurationScheduler } from "./services/curationService.js";
+import { startProductExpiryScheduler } from "./services/productLifecycleService.js";
+import { startSalesSnapshotScheduler } from "./services/salesTrendService.js";
+import { startConversionImportScheduler } from "./services/conversionImportService.js";
+import { startFlashSaleRotationScheduler } from "./services/flashSaleService.js";
+import { startTrashPurgeScheduler } from "./services/trashService.js";
 import compression from "compression";
 import helmet from "helmet";
 
@@ -24,6 +32,14 @@ import socialRoutes from "./routes/socials.js";
 import roleRoutes from "./routes/roles.js";
 import uploadRoutes from "./routes/upload.js";
 import aiSeoRoutes from "./routes/ai-seo.js";
+import alertRoutes from "./routes/alerts.js";
+import curationRoutes from "./routes/curation.js";
+import goRoutes from "./routes/go.js";
+import clickRoutes from "./routes/clicks.js";
+import earningsRoutes from "./routes/earnings.js";
+import shortLinkRoutes from "./routes/shortLinks.js";
+import flashSaleRoutes from "./routes/flashSale.js";
+import collectionRoutes from "./routes/collections.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -242,6 +258,16 @@ app.use("/api/roles", roleRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/uploads", uploadRoutes);
 app.use("/api/ai-seo", aiSeoRoutes);
+app.use("/api/alerts", alertRoutes);
+app.use("/api/curation", curationRoutes);
+app.use("/api/clicks", clickRoutes);
+app.use("/api/earnings", earningsRoutes);
+app.use("/api/short-links", shortLinkRoutes);
+app.use("/api/flash-sale", flashSaleRoutes);
+app.use("/api/collections", collectionRoutes);
+
+// Affiliate click-tracking redirect (public short path)
+app.use("/go", goRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -356,6 +382,27 @@ async function startServer() {
     setInterval(async () => {
       await cleanupExpiredSessions();
     }, 60 * 60 * 1000); // Every hour
+
+    // Background resync of saved products against Shopee
+    startProductSyncScheduler();
+
+    // Scheduled keyword watchlists (auto-import / review queue)
+    startCurationScheduler();
+
+    // Deactivate products whose Shopee offer period has ended
+    startProductExpiryScheduler();
+
+    // Snapshot sales_count for trending products
+    startSalesSnapshotScheduler();
+
+    // Pull Shopee conversion reports (actual orders and commissions)
+    startConversionImportScheduler();
+
+    // Build flash-sale slots as they begin
+    startFlashSaleRotationScheduler();
+
+    // Permanently delete items trashed longer than TRASH_RETENTION_DAYS
+    startTrashPurgeScheduler();
   } catch (error) {
     Logger.error("Failed to start server:", error);
     process.exit(1);
@@ -365,11 +412,13 @@ async function startServer() {
 // Handle graceful shutdown
 process.on("SIGTERM", () => {
   Logger.info("SIGTERM received, shutting down gracefully...");
+  stopAllJobs();
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
   Logger.info("SIGINT received, shutting down gracefully...");
+  stopAllJobs();
   process.exit(0);
 });
 
@@ -0,0 +1,452 @@
+/**
+ * Mock Shopee Affiliate GraphQL Server
+ * Lets the product flow (search, /check, /save, /sync-single, scheduled sync)
+ * run without network access:
+ * - Validates the "SHA256 Credential=...,Timestamp=...,Signature=..." header
+ *   exactly like Shopee does (same generateSignature as the real client)
+ * - Serves productOfferV2 from fixtures with keyword filter, sorting and paging
+ * - Serves conversionReport with generated orders for the fixture products
+ * - Answers the generateShortLink mutation with deterministic s.shopee.co.th links
+ * - Optional latency / failure injection to exercise retries and the circuit breaker
+ *
+ * Usage:
+ *   npm run mock:shopee
+ *   SHOPEE_API_URL=http://localhost:4010/graphql npm run dev
+ *
+ * Environment:
+ *   MOCK_SHOPEE_PORT            Port to listen on (default: 4010)
+ *   SHOPEE_APP_ID / SHOPEE_APP_SECRET  Credentials to accept (default: mock-app-id / mock-app-secret)
+ *   MOCK_SHOPEE_EXTRA_PRODUCTS  Generated "รุ่น N" variants added for paging (default: 120)
+ *   MOCK_SHOPEE_CONVERSIONS     Generated conversions over the last 30 days (default: 80)
+ *   MOCK_SHOPEE_LATENCY_MS      Artificial delay per request (default: 0)
+ *   MOCK_SHOPEE_FAILURE_RATE    Share of requests answered with HTTP 503, 0-1 (default: 0)
+ */
+
+import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { generateSignature } from "../utils/helpers.js";
+import Logger from "../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const DEFAULT_APP_ID = "mock-app-id";
+const DEFAULT_APP_SECRET = "mock-app-secret";
+const MAX_TIMESTAMP_SKEW_SECONDS = 10 * 60;
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 50;
+const MAX_CONVERSION_LIMIT = 500;
+const CONVERSION_SUB_IDS = ["website", "line", "facebook", "banner", ""];
+const CONVERSION_STATUSES = ["PENDING", "COMPLETED", "COMPLETED", "CANCELLED"];
+
+// Shopee error codes used by the mock
+const ERROR_CODES = {
+  SYSTEM_ERROR: 10000,
+  PARSE_ERROR: 10010,
+  AUTH_ERROR: 10020,
+  PARAMS_ERROR: 11001
+};
+
+/**
+ * Load productOfferV2 fixtures and append generated variants for paging
+ * @param {number} extraCount - Number of generated variants
+ * @returns {Array} Product offer nodes
+ */
+export function loadProductFixtures(extraCount = 0) {
+  const fixturePath = path.join(__dirname, "fixtures", "productOffers.json");
+  const products = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+
+  const variants = [];
+  for (let i = 0; i < extraCount; i++) {
+    const base = products[i % products.length];
+    const variantNo = Math.floor(i / products.length) + 2;
+    const itemId = 23000000000 + i;
+    const price = (parseFloat(base.price) * (1 + (i % 7) / 10)).toFixed(2);
+
+    variants.push({
+      ...base,
+      productName: `${base.productName} รุ่น ${variantNo}`,
+      itemId,
+      price,
+      priceMin: price,
+      priceMax: (parseFloat(price) * 1.2).toFixed(2),
+      commission: (parseFloat(price) * parseFloat(base.commissionRate)).toFixed(2),
+      sales: Math.max(0, base.sales - i * 37),
+      productLink: `https://shopee.co.th/product/${base.shopId}/${itemId}`,
+      offerLink: `https://s.shopee.co.th/mockv${i + 1}`
+    });
+  }
+
+  return [...products, ...variants];
+}
+
+/**
+ * Generate conversionReport nodes for the fixture products
+ * Deterministic per index, spread over the last 30 days; every 5th
+ * conversion has two orders and every 3rd order two items.
+ * @param {Array} products - Product offer nodes
+ * @param {number} count - Number of conversions
+ * @returns {Array} Conversion nodes, newest first
+ */
+export function buildConversionFixtures(products, count = 0) {
+  const now = Math.floor(Date.now() / 1000);
+  const conversions = [];
+
+  for (let i = 0; i < count && products.length > 0; i++) {
+    const purchaseTime = now - Math.floor(((i * 7919) % (30 * 24 * 60)) * 60);
+    const orderCount = i % 5 === 0 ? 2 : 1;
+    const orders = [];
+
+    for (let o = 0; o < orderCount; o++) {
+      const orderStatus = CONVERSION_STATUSES[(i + o) % CONVERSION_STATUSES.length];
+      const itemCount = (i + o) % 3 === 0 ? 2 : 1;
+      const items = [];
+
+      for (let n = 0; n < itemCount; n++) {
+        const product = products[(i * 3 + o * 2 + n) % products.length];
+        const qty = ((i + n) % 3) + 1;
+        const itemPrice = parseFloat(product.price);
+        const actualAmount = orderStatus === "CANCELLED" ? 0 : itemPrice * qty;
+
+        items.push({
+          itemId: product.itemId,
+          itemName: product.productName,
+          modelId: product.itemId * 10 + n,
+          shopId: product.shopId,
+          shopName: product.shopName,
+          itemPrice: itemPrice.toFixed(2),
+          actualAmount: actualAmount.toFixed(2),
+          qty,
+          itemTotalCommission: (actualAmount * parseFloat(product.commissionRate)).toFixed(2),
+          displayItemStatus: orderStatus.charAt(0) + orderStatus.slice(1).toLowerCase(),
+          completeTime: orderStatus === "COMPLETED" ? purchaseTime + 7 * 24 * 60 * 60 : 0
+        });
+      }
+
+      orders.push({ orderId: `${240000000000 + i * 10 + o}MOCK`, orderStatus, items });
+    }
+
+    const subId = CONVERSION_SUB_IDS[i % CONVERSION_SUB_IDS.length];
+    conversions.push({
+      purchaseTime,
+      clickTime: purchaseTime - 15 * 60,
+      conversionId: 9000000000 + i,
+      totalCommission: orders
+        .flatMap((order) => order.items)
+        .reduce((sum, item) => sum + parseFloat(item.itemTotalCommission), 0)
+        .toFixed(2),
+      utmContent: subId ? `${subId}----` : "",
+      orders
+    });
+  }
+
+  return conversions.sort((a, b) => b.purchaseTime - a.purchaseTime);
+}
+
+/**
+ * Build a GraphQL-style error response
+ */
+function graphQLError(code, message) {
+  return {
+    errors: [
+      {
+        message,
+        extensions: { code, message }
+      }
+    ]
+  };
+}
+
+/**
+ * Verify the Authorization header against the raw request body
+ * @returns {string|null} Error message or null when valid
+ */
+function verifyAuthorization(header, rawBody, appId, secret) {
+  const match = /^SHA256\s+Credential=([^,]+),\s*Timestamp=(\d+),\s*Signature=([0-9a-f]+)$/i.exec(header || "");
+  if (!match) {
+    return "Invalid Authorization Header";
+  }
+
+  const [, credential, timestamp, signature] = match;
+
+  if (credential !== appId) {
+    return "Invalid Credential";
+  }
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (skew > MAX_TIMESTAMP_SKEW_SECONDS) {
+    return "Invalid Timestamp";
+  }
+
+  const expected = generateSignature({ appId, timestamp, payload: rawBody, secret });
+  if (expected !== signature.toLowerCase()) {
+    return "Invalid Signature";
+  }
+
+  return null;
+}
+
+/**
+ * Extract the arguments of a root field, resolving $variables
+ * e.g. productOfferV2(listType: 0, page: $page, keyword: "x")
+ * @returns {Object|null} Arguments or null if the field is not in the query
+ */
+export function parseFieldArguments(query, fieldName, variables = {}) {
+  const fieldMatch = new RegExp(`\\b${fieldName}\\b\\s*(\\(([^)]*)\\))?`).exec(query);
+  if (!fieldMatch) {
+    return null;
+  }
+
+  const args = {};
+  const argPattern = /(\w+)\s*:\s*("(?:[^"\\]|\\.)*"|\$\w+|-?\d+(?:\.\d+)?|true|false|null|\w+)/g;
+  let argMatch;
+
+  while ((argMatch = argPattern.exec(fieldMatch[2] || "")) !== null) {
+    const [, name, rawValue] = argMatch;
+    let value;
+
+    if (rawValue.startsWith("$")) {
+      value = variables[rawValue.slice(1)];
+    } else if (rawValue.startsWith('"')) {
+      value = JSON.parse(rawValue);
+    } else if (/^-?\d/.test(rawValue)) {
+      value = Number(rawValue);
+    } else if (rawValue === "true" || rawValue === "false") {
+      value = rawValue === "true";
+    } else if (rawValue === "null") {
+      value = null;
+    } else {
+      value = rawValue; // Enum value
+    }
+
+    if (value !== undefined) {
+      args[name] = value;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Resolve productOfferV2: keyword / itemId / shopId filters, sortType and paging
+ */
+function resolveProductOfferV2(args, products) {
+  const page = Math.max(parseInt(args.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(args.limit) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+
+  let matches = products;
+
+  if (args.itemId !== undefined && args.itemId !== null) {
+    matches = matches.filter((p) => String(p.itemId) === String(args.itemId));
+  }
+
+  if (args.shopId !== undefined && args.shopId !== null) {
+    matches = matches.filter((p) => String(p.shopId) === String(args.shopId));
+  }
+
+  if (args.keyword) {
+    // Every keyword token must appear in the product name (Shopee-like matching)
+    const tokens = String(args.keyword).toLowerCase().split(/\s+/).filter(Boolean);
+    matches = matches.filter((p) => {
+      const name = p.productName.toLowerCase();
+      return tokens.every((token) => name.includes(token));
+    });
+  }
+
+  // sortType: 2 = sales desc, 3 = price desc, 4 = price asc, 5 = commission desc
+  const sorters = {
+    2: (a, b) => b.sales - a.sales,
+    3: (a, b) => parseFloat(b.price) - parseFloat(a.price),
+    4: (a, b) => parseFloat(a.price) - parseFloat(b.price),
+    5: (a, b) => parseFloat(b.commissionRate) - parseFloat(a.commissionRate)
+  };
+  if (sorters[args.sortType]) {
+    matches = [...matches].sort(sorters[args.sortType]);
+  }
+
+  const offset = (page - 1) * limit;
+  const nodes = matches.slice(offset, offset + limit);
+  const hasNextPage = offset + limit < matches.length;
+
+  return {
+    nodes,
+    total: matches.length,
+    pageInfo: {
+      page,
+      limit,
+      hasNextPage,
+      scrollId: hasNextPage ? Buffer.from(`${args.keyword || ""}:${page + 1}`).toString("base64") : ""
+    }
+  };
+}
+
+/**
+ * Resolve conversionReport: purchase time range and scrollId paging
+ * scrollId encodes the offset of the next page.
+ */
+function resolveConversionReport(args, conversions) {
+  const limit = Math.min(Math.max(parseInt(args.limit) || DEFAULT_PAGE_LIMIT, 1), MAX_CONVERSION_LIMIT);
+  const offset = args.scrollId ? parseInt(Buffer.from(String(args.scrollId), "base64").toString("utf8")) || 0 : 0;
+
+  const matches = conversions.filter(
+    (c) =>
+      (args.purchaseTimeStart === undefined || c.purchaseTime >= Number(args.purchaseTimeStart)) &&
+      (args.purchaseTimeEnd === undefined || c.purchaseTime <= Number(args.purchaseTimeEnd))
+  );
+
+  const nodes = matches.slice(offset, offset + limit);
+  const hasNextPage = offset + limit < matches.length;
+
+  return {
+    nodes,
+    pageInfo: {
+      limit,
+      hasNextPage,
+      scrollId: hasNextPage ? Buffer.from(String(offset + limit)).toString("base64") : ""
+    }
+  };
+}
+
+/**
+ * Error thrown by a resolver that is answered with a specific Shopee error code
+ */
+function resolverError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Resolve generateShortLink: Shopee origin URL plus up to 5 sub-IDs (letters, digits, "_")
+ * The same input always gives the same short link.
+ */
+function resolveGenerateShortLink(args) {
+  const originUrl = String(args.originUrl || "");
+  if (!/^https?:\/\/([a-z0-9-]+\.)*shopee\.[a-z.]+\//i.test(originUrl)) {
+    throw resolverError(ERROR_CODES.PARAMS_ERROR, "Invalid originUrl");
+  }
+
+  const subIds = Array.isArray(args.subIds) ? args.subIds.map(String) : [];
+  if (subIds.length > 5 || subIds.some((subId) => !/^[A-Za-z0-9_]*$/.test(subId))) {
+    throw resolverError(ERROR_CODES.PARAMS_ERROR, "Invalid subIds");
+  }
+
+  const hash = crypto.createHash("sha256").update(`${originUrl}|${subIds.join("-")}`).digest("base64url").slice(0, 10);
+  return { shortLink: `https://s.shopee.co.th/${hash}` };
+}
+
+/**
+ * Create the mock Express app
+ * @param {Object} options
+ * @param {string} options.appId - Accepted app ID
+ * @param {string} options.secret - Secret used to verify signatures
+ * @param {Array} options.products - productOfferV2 nodes to serve
+ * @param {Array} options.conversions - conversionReport nodes to serve
+ * @param {number} options.latencyMs - Artificial delay per request
+ * @param {number} options.failureRate - Share of requests answered with 503 (0-1)
+ * @returns {Object} Express app
+ */
+export function createShopeeMockApp(options = {}) {
+  const {
+    appId = process.env.SHOPEE_APP_ID || DEFAULT_APP_ID,
+    secret = process.env.SHOPEE_APP_SECRET || DEFAULT_APP_SECRET,
+    products = loadProductFixtures(parseInt(process.env.MOCK_SHOPEE_EXTRA_PRODUCTS ?? "120") || 0),
+    conversions = buildConversionFixtures(products, parseInt(process.env.MOCK_SHOPEE_CONVERSIONS ?? "80") || 0),
+    latencyMs = parseInt(process.env.MOCK_SHOPEE_LATENCY_MS) || 0,
+    failureRate = parseFloat(process.env.MOCK_SHOPEE_FAILURE_RATE) || 0
+  } = options;
+
+  const resolvers = {
+    productOfferV2: (args) => resolveProductOfferV2(args, products),
+    conversionReport: (args) => resolveConversionReport(args, conversions),
+    generateShortLink: (args) => resolveGenerateShortLink(args)
+  };
+
+  const app = express();
+
+  // Keep the raw body: the signature is computed over the exact payload string
+  app.use(express.text({ type: "*/*", limit: "1mb" }));
+
+  app.get("/health", (req, res) => {
+    res.json({ status: "healthy", service: "Shopee Affiliate API Mock", products: products.length, conversions: conversions.length });
+  });
+
+  app.post("/graphql", async (req, res) => {
+    if (latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    }
+
+    if (failureRate > 0 && Math.random() < failureRate) {
+      return res.status(503).send("Service Unavailable (mock failure injection)");
+    }
+
+    const rawBody = typeof req.body === "string" ? req.body : "";
+
+    const authError = verifyAuthorization(req.headers.authorization, rawBody, appId, secret);
+    if (authError) {
+      Logger.warn(`[ShopeeMock] Rejected request: ${authError}`);
+      return res.json(graphQLError(ERROR_CODES.AUTH_ERROR, authError));
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      return res.json(graphQLError(ERROR_CODES.PARSE_ERROR, "Request parsing error"));
+    }
+
+    const { query = "", variables = {} } = body;
+    const data = {};
+
+    for (const [fieldName, resolve] of Object.entries(resolvers)) {
+      const args = parseFieldArguments(query, fieldName, variables || {});
+      if (args) {
+        try {
+          data[fieldName] = resolve(args);
+        } catch (error) {
+          Logger.error(`[ShopeeMock] ${fieldName} failed:`, error.message);
+          return res.json(
+            error.code ? graphQLError(error.code, error.message) : graphQLError(ERROR_CODES.SYSTEM_ERROR, "System error")
+          );
+        }
+      }
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.json(graphQLError(ERROR_CODES.PARAMS_ERROR, "Unsupported query for mock server"));
+    }
+
+    Logger.debug("[ShopeeMock] Served:", Object.keys(data).join(", "));
+    res.json({ data });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - createShopeeMockApp options plus port
+ * @returns {Promise<Object>} http.Server
+ */
+export function startShopeeMockServer(options = {}) {
+  const port = options.port ?? (parseInt(process.env.MOCK_SHOPEE_PORT) || 4010);
+  const app = createShopeeMockApp(options);
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      Logger.success(`Shopee mock API listening on http://localhost:${server.address().port}/graphql`);
+      resolve(server);
+    });
+  });
+}
+
+// Run directly: node mock/shopeeMockServer.js
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  startShopeeMockServer();
+}
@@ -38,3 +38,84 @@ export const PRODUCT_OFFER_QUERY = `query Fetch($page: Int, $keyword: String) {
     }
   }
 }`;
+
+// Product Offer lookup by item ID (optionally narrowed by shop ID)
+export const PRODUCT_BY_ID_QUERY = `query FetchById($itemId: Int64, $shopId: Int64) {
+  productOfferV2(
+    itemId: $itemId,
+    shopId: $shopId,
+    page: 1,
+    limit: 1
+  ) {
+    nodes {
+      productName
+      itemId
+      commissionRate
+      commission
+      price
+      sales
+      imageUrl
+      shopName
+      productLink
+      offerLink
+      periodStartTime
+      periodEndTime
+      priceMin
+      priceMax
+      productCatIds
+      ratingStar
+      priceDiscountRate
+      shopId
+      shopType
+      sellerCommissionRate
+      shopeeCommissionRate
+    }
+  }
+}`;
+
+// Conversion report (orders placed through our affiliate links), paged with scrollId
+export const CONVERSION_REPORT_QUERY = `query ConversionReport($purchaseTimeStart: Int64, $purchaseTimeEnd: Int64, $scrollId: String) {
+  conversionReport(
+    purchaseTimeStart: $purchaseTimeStart,
+    purchaseTimeEnd: $purchaseTimeEnd,
+    scrollId: $scrollId,
+    limit: 500
+  ) {
+    nodes {
+      purchaseTime
+      clickTime
+      conversionId
+      totalCommission
+      utmContent
+      orders {
+        orderId
+        orderStatus
+        items {
+          itemId
+          itemName
+          modelId
+          shopId
+          shopName
+          itemPrice
+          actualAmount
+          qty
+          itemTotalCommission
+          displayItemStatus
+          completeTime
+        }
+      }
+    }
+    pageInfo {
+      limit
+      hasNextPage
+      scrollId
+    }
+  }
+}`;
+
+// Affiliate short link for a Shopee URL, tagged with up to 5 sub-IDs
+export const GENERATE_SHORT_LINK_MUTATION = `mutation GenerateShortLink($originUrl: String!, $subIds: [String]) {
+  generateShortLink(input: { originUrl: $originUrl, subIds: $subIds }) {
+    shortLink
+  }
+}`;
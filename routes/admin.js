@@ -5,6 +5,7 @@ import { formatResponse, validateRequiredFields, generatePagination } from "../u
 import { requireAuth } from "./auth.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { getClickTotals } from "../services/clickReportService.js";
 
 const router = express.Router();
 
@@ -275,6 +276,7 @@ router.get("/stats", requireAuth, requireAdmin, async (req, res) => {
         COUNT(CASE WHEN status = 'active' THEN 1 END) as active_products,
         COUNT(CASE WHEN status = 'inactive' THEN 1 END) as inactive_products
       FROM shopee_products
+      WHERE deleted_at IS NULL
     `);
 
     // Get user statistics
@@ -291,15 +293,22 @@ router.get("/stats", requireAuth, requireAdmin, async (req, res) => {
         DATE(created_at) as date,
         COUNT(*) as products_added
       FROM shopee_products 
-      WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+      WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) AND deleted_at IS NULL
       GROUP BY DATE(created_at)
       ORDER BY date DESC
     `);
 
+    // Click totals (last 7 / 30 days); the dashboard still loads if this fails
+    const clickTotals = await getClickTotals().catch((error) => {
+      Logger.warn("Failed to load click totals:", error.message);
+      return null;
+    });
+
     const stats = {
       products: productStats.success ? productStats.data[0] : null,
       users: userStats.success ? userStats.data[0] : null,
-      recent_activity: recentActivity.success ? recentActivity.data : []
+      recent_activity: recentActivity.success ? recentActivity.data : [],
+      clicks: clickTotals
     };
 
     res.json(formatResponse(true, stats, "Dashboard statistics retrieved successfully"));
@@ -0,0 +1,334 @@
+import express from "express";
+import { executeQuery } from "../config/database.js";
+import { formatResponse } from "../utils/helpers.js";
+import { requireAuth } from "./auth.js";
+import { sanitizeObject } from "../utils/sanitize.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { validateAlertRule } from "../services/productAlertService.js";
+import { PRODUCT_OVERRIDE_JOIN, EFFECTIVE_NAME_SQL, EFFECTIVE_IMAGE_SQL } from "../services/productOverrideService.js";
+
+const router = express.Router();
+
+// Normalize rule input: clear target fields that don't belong to the scope
+function buildRuleValues(body) {
+  return {
+    name: body.name.trim(),
+    scope: body.scope,
+    product_item_id: body.scope === "product" ? String(body.product_item_id) : null,
+    category_id: body.scope === "category" ? parseInt(body.category_id) : null,
+    rule_type: body.rule_type,
+    threshold: parseFloat(body.threshold),
+    is_active: body.is_active === undefined ? 1 : body.is_active ? 1 : 0
+  };
+}
+
+// Parse notification JSON payload
+function mapNotification(row) {
+  let data = null;
+  try {
+    data = row.data ? JSON.parse(row.data) : null;
+  } catch (error) {
+    data = null;
+  }
+  return { ...row, data, is_read: !!row.is_read };
+}
+
+// ==================== Alert rules ====================
+
+// Get all alert rules
+router.get("/rules", requireAuth, async (req, res) => {
+  try {
+    const query = `
+      SELECT
+        r.*,
+        c.name as category_name,
+        p.product_name
+      FROM product_alert_rules r
+      LEFT JOIN categories c ON r.category_id = c.id
+      LEFT JOIN shopee_products p ON r.product_item_id = p.item_id
+      ORDER BY r.created_at DESC
+    `;
+    const result = await executeQuery(query);
+
+    if (result.success) {
+      res.json(formatResponse(true, result.data, "Alert rules retrieved successfully"));
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve alert rules", 500, formatResponse);
+  }
+});
+
+// Create alert rule
+router.post("/rules", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+
+    if (!req.body.name || !String(req.body.name).trim()) {
+      return res.status(400).json(formatResponse(false, null, "Rule name is required"));
+    }
+
+    const validationError = validateAlertRule(req.body);
+    if (validationError) {
+      return res.status(400).json(formatResponse(false, null, validationError));
+    }
+
+    const rule = buildRuleValues(req.body);
+    const result = await executeQuery(
+      `INSERT INTO product_alert_rules
+        (name, scope, product_item_id, category_id, rule_type, threshold, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        rule.name,
+        rule.scope,
+        rule.product_item_id,
+        rule.category_id,
+        rule.rule_type,
+        rule.threshold,
+        rule.is_active,
+        req.user?.id || null
+      ]
+    );
+
+    if (result.success) {
+      res.status(201).json(formatResponse(true, { id: result.data.insertId, ...rule }, "Alert rule created successfully"));
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to create alert rule", 500, formatResponse);
+  }
+});
+
+// Update alert rule
+router.put("/rules/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    req.body = sanitizeObject(req.body);
+
+    if (!req.body.name || !String(req.body.name).trim()) {
+      return res.status(400).json(formatResponse(false, null, "Rule name is required"));
+    }
+
+    const validationError = validateAlertRule(req.body);
+    if (validationError) {
+      return res.status(400).json(formatResponse(false, null, validationError));
+    }
+
+    const rule = buildRuleValues(req.body);
+    const result = await executeQuery(
+      `UPDATE product_alert_rules
+       SET name = ?, scope = ?, product_item_id = ?, category_id = ?, rule_type = ?, threshold = ?, is_active = ?
+       WHERE id = ?`,
+      [rule.name, rule.scope, rule.product_item_id, rule.category_id, rule.rule_type, rule.threshold, rule.is_active, id]
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Alert rule not found"));
+    }
+
+    res.json(formatResponse(true, { id: parseInt(id), ...rule }, "Alert rule updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update alert rule", 500, formatResponse);
+  }
+});
+
+// Enable / disable alert rule
+router.patch("/rules/:id/status", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { is_active } = req.body;
+
+    const result = await executeQuery(
+      "UPDATE product_alert_rules SET is_active = ? WHERE id = ?",
+      [is_active ? 1 : 0, id]
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Alert rule not found"));
+    }
+
+    res.json(formatResponse(true, { id, is_active }, "Alert rule status updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update alert rule status", 500, formatResponse);
+  }
+});
+
+// Delete alert rule (existing notifications are kept)
+router.delete("/rules/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await executeQuery("DELETE FROM product_alert_rules WHERE id = ?", [id]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Alert rule not found"));
+    }
+
+    res.json(formatResponse(true, null, "Alert rule deleted successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to delete alert rule", 500, formatResponse);
+  }
+});
+
+// ==================== Notification inbox ====================
+
+// Get notifications (filter: ?status=unread|read, paginated)
+router.get("/notifications", requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    let whereClause = "WHERE 1=1";
+    const params = [];
+
+    if (req.query.status === "unread") {
+      whereClause += " AND n.is_read = 0";
+    } else if (req.query.status === "read") {
+      whereClause += " AND n.is_read = 1";
+    }
+
+    if (req.query.type) {
+      whereClause += " AND n.type = ?";
+      params.push(req.query.type);
+    }
+
+    const query = `
+      SELECT n.*, ${EFFECTIVE_NAME_SQL} as product_name, ${EFFECTIVE_IMAGE_SQL} as image_url
+      FROM admin_notifications n
+      LEFT JOIN shopee_products p ON n.product_item_id = p.item_id
+      ${PRODUCT_OVERRIDE_JOIN}
+      ${whereClause}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+    const countQuery = `SELECT COUNT(*) as total FROM admin_notifications n ${whereClause}`;
+    const unreadQuery = "SELECT COUNT(*) as unread FROM admin_notifications WHERE is_read = 0";
+
+    const [result, countResult, unreadResult] = await Promise.all([
+      executeQuery(query, params),
+      executeQuery(countQuery, params),
+      executeQuery(unreadQuery)
+    ]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const total = countResult.success ? countResult.data[0].total : 0;
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          notifications: result.data.map(mapNotification),
+          unreadCount: unreadResult.success ? unreadResult.data[0].unread : 0,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+          }
+        },
+        "Notifications retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve notifications", 500, formatResponse);
+  }
+});
+
+// Get unread notification count (for the admin header badge)
+router.get("/notifications/unread-count", requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery("SELECT COUNT(*) as unread FROM admin_notifications WHERE is_read = 0");
+
+    if (result.success) {
+      res.json(formatResponse(true, { unreadCount: result.data[0].unread }, "Unread count retrieved successfully"));
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve unread count", 500, formatResponse);
+  }
+});
+
+// Mark all notifications as read
+router.patch("/notifications/read-all", requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      "UPDATE admin_notifications SET is_read = 1, read_at = CURRENT_TIMESTAMP, read_by = ? WHERE is_read = 0",
+      [req.user?.id || null]
+    );
+
+    if (result.success) {
+      res.json(formatResponse(true, { updated: result.data.affectedRows }, "All notifications marked as read"));
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to mark notifications as read", 500, formatResponse);
+  }
+});
+
+// Mark a notification as read or unread (body: { is_read: true|false }, default true)
+router.patch("/notifications/:id/read", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isRead = req.body?.is_read === undefined ? true : !!req.body.is_read;
+
+    const result = isRead
+      ? await executeQuery(
+          "UPDATE admin_notifications SET is_read = 1, read_at = CURRENT_TIMESTAMP, read_by = ? WHERE id = ?",
+          [req.user?.id || null, id]
+        )
+      : await executeQuery(
+          "UPDATE admin_notifications SET is_read = 0, read_at = NULL, read_by = NULL WHERE id = ?",
+          [id]
+        );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Notification not found"));
+    }
+
+    res.json(formatResponse(true, { id, is_read: isRead }, `Notification marked as ${isRead ? "read" : "unread"}`));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update notification", 500, formatResponse);
+  }
+});
+
+// Delete notification
+router.delete("/notifications/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await executeQuery("DELETE FROM admin_notifications WHERE id = ?", [id]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Notification not found"));
+    }
+
+    res.json(formatResponse(true, null, "Notification deleted successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to delete notification", 500, formatResponse);
+  }
+});
+
+export default router;
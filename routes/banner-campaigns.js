@@ -22,7 +22,7 @@ router.get("/", requireAuth, async (req, res) => {
     const query = `
       SELECT bc.*, COUNT(b.id) as banner_count 
       FROM banner_campaigns bc
-      LEFT JOIN banners b ON bc.id = b.campaign_id
+      LEFT JOIN banners b ON bc.id = b.campaign_id AND b.deleted_at IS NULL
       GROUP BY bc.id
       ORDER BY bc.created_at DESC
     `;
@@ -104,7 +104,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
     if (!is_active) {
         // Check if banners are linked before deactivating
         const checkResult = await executeQuery(
-            "SELECT COUNT(*) as count FROM banners WHERE campaign_id = ?",
+            "SELECT COUNT(*) as count FROM banners WHERE campaign_id = ? AND deleted_at IS NULL",
             [id]
         );
         
@@ -139,7 +139,8 @@ router.delete("/:id", requireAuth, async (req, res) => {
     );
 
     if (checkResult.success && checkResult.data[0].count > 0) {
-      return res.status(400).json(formatResponse(false, null, "Cannot delete campaign with linked banners"));
+      // Trashed banners still count until they are restored or purged
+      return res.status(400).json(formatResponse(false, null, "Cannot delete campaign with linked banners (including banners in the trash)"));
     }
 
     const result = await executeQuery(
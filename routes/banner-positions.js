@@ -13,7 +13,7 @@ router.get("/", requireAuth, async (req, res) => {
     const query = `
       SELECT bp.*, COUNT(b.id) as banner_count 
       FROM banner_positions bp
-      LEFT JOIN banners b ON bp.id = b.position_id
+      LEFT JOIN banners b ON bp.id = b.position_id AND b.deleted_at IS NULL
       GROUP BY bp.id
       ORDER BY bp.name ASC
     `;
@@ -93,7 +93,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
     if (!is_active) {
         // Check if banners are linked before deactivating
         const checkResult = await executeQuery(
-            "SELECT COUNT(*) as count FROM banners WHERE position_id = ?",
+            "SELECT COUNT(*) as count FROM banners WHERE position_id = ? AND deleted_at IS NULL",
             [id]
         );
         
@@ -128,7 +128,8 @@ router.delete("/:id", requireAuth, async (req, res) => {
     );
 
     if (checkResult.success && checkResult.data[0].count > 0) {
-      return res.status(400).json(formatResponse(false, null, "Cannot delete position with linked banners"));
+      // Trashed banners still count until they are restored or purged
+      return res.status(400).json(formatResponse(false, null, "Cannot delete position with linked banners (including banners in the trash)"));
     }
 
     const result = await executeQuery(
@@ -7,6 +7,7 @@ import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { validateRequest } from "../middleware/requestValidator.js";
+import { trashBanner, restoreBanner, getTrash } from "../services/trashService.js";
 
 const router = express.Router();
 
@@ -42,6 +43,7 @@ router.get("/", requireAuth, async (req, res) => {
       FROM banners b
       JOIN banner_positions bp ON b.position_id = bp.id
       LEFT JOIN banner_campaigns bc ON b.campaign_id = bc.id
+      WHERE b.deleted_at IS NULL
       ORDER BY b.created_at DESC
     `;
     const result = await executeQuery(query);
@@ -88,7 +90,7 @@ router.post("/", requireAuth, async (req, res) => {
 
     // Check for duplicate sort_order in the same position
     const checkSort = await executeQuery(
-        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ?",
+        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ? AND deleted_at IS NULL",
         [position_id, finalSortOrder]
     );
     if (checkSort.success && checkSort.data.length > 0) {
@@ -153,7 +155,7 @@ router.put("/:id", requireAuth, async (req, res) => {
     const finalSortOrder = (sort_order !== undefined && sort_order !== null) ? sort_order : 0;
 
     const checkSort = await executeQuery(
-        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ? AND id != ?",
+        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ? AND id != ? AND deleted_at IS NULL",
         [position_id, finalSortOrder, id]
     );
     if (checkSort.success && checkSort.data.length > 0) {
@@ -218,23 +220,82 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
   }
 });
 
-// Delete banner
+// Trashed banners
+router.get("/trash", requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const trash = await getTrash("banners", { page, limit });
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          data: trash.items,
+          total: trash.total,
+          page,
+          limit,
+          totalPages: Math.ceil(trash.total / limit),
+          retentionDays: trash.retentionDays
+        },
+        "Trashed banners retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trashed banners", 500, formatResponse);
+  }
+});
+
+// Move banner to the trash
 router.delete("/:id", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await executeQuery(
-      "DELETE FROM banners WHERE id = ?",
+    if (await trashBanner(id)) {
+      res.json(formatResponse(true, { id }, "Banner moved to trash"));
+    } else {
+      res.status(404).json(formatResponse(false, null, "Banner not found"));
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to delete banner", 500, formatResponse);
+  }
+});
+
+// Restore a trashed banner (its sort order must still be free in its position)
+router.post("/:id/restore", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bannerResult = await executeQuery(
+      "SELECT position_id, sort_order FROM banners WHERE id = ? AND deleted_at IS NOT NULL",
       [id]
     );
+    if (!bannerResult.success) {
+      throw new Error(bannerResult.error);
+    }
+    if (bannerResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Banner not found in trash"));
+    }
 
-    if (result.success) {
-      res.json(formatResponse(true, null, "Banner deleted successfully"));
+    const { position_id, sort_order } = bannerResult.data[0];
+    const checkSort = await executeQuery(
+      "SELECT id FROM banners WHERE position_id = ? AND sort_order = ? AND id != ? AND deleted_at IS NULL",
+      [position_id, sort_order, id]
+    );
+    if (checkSort.success && checkSort.data.length > 0) {
+      return res.status(409).json(
+        formatResponse(false, null, `Sort order ${sort_order} is already used in this position. Change it before restoring.`)
+      );
+    }
+
+    if (await restoreBanner(id)) {
+      res.json(formatResponse(true, { id }, "Banner restored successfully"));
     } else {
-      throw new Error(result.error);
+      res.status(404).json(formatResponse(false, null, "Banner not found in trash"));
     }
   } catch (error) {
-    return handleErrorWithFormat(error, res, "Failed to delete banner", 500, formatResponse);
+    return handleErrorWithFormat(error, res, "Failed to restore banner", 500, formatResponse);
   }
 });
 
@@ -278,7 +339,7 @@ router.get("/public/:positionName",
     const checkBannerQuery = `
       SELECT COUNT(*) as count 
       FROM banners 
-      WHERE position_id = ? AND is_active = 1
+      WHERE position_id = ? AND is_active = 1 AND deleted_at IS NULL
     `;
     const bannerCountResult = await executeQuery(checkBannerQuery, [position.id]);
     Logger.debug('[Banner API] Banner count:', bannerCountResult.data?.[0]?.count || 0);
@@ -307,6 +368,7 @@ router.get("/public/:positionName",
         bp.name = ?
         AND bp.is_active = 1
         AND b.is_active = 1
+        AND b.deleted_at IS NULL
         AND (
           -- กรณีมี campaign: เช็ค campaign status และเวลา
           (b.campaign_id IS NOT NULL 
@@ -373,6 +435,7 @@ router.get("/public/:positionName",
           bp.name = ?
           AND bp.is_active = 1
           AND b.is_active = 1
+          AND b.deleted_at IS NULL
         ORDER BY b.sort_order ASC, b.created_at DESC
       `;
       
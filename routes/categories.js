@@ -7,7 +7,9 @@ import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { validateRequest } from "../middleware/requestValidator.js";
-import { clearCategoryCache } from "./products.js";
+import { clearCategoryCache } from "../services/categoryAnalyzer.js";
+import { PRODUCT_OVERRIDE_JOIN, EFFECTIVE_NAME_SQL, EFFECTIVE_IMAGE_SQL } from "../services/productOverrideService.js";
+import { trashCategory, restoreCategory, getTrash } from "../services/trashService.js";
 
 const router = express.Router();
 
@@ -37,8 +39,8 @@ router.get("/public",
         c.id, c.name, c.is_active, c.created_at, c.updated_at,
         COUNT(sp.id) as product_count 
       FROM categories c 
-      LEFT JOIN shopee_products sp ON c.id = sp.category_id AND sp.status = 'active'
-      WHERE c.is_active = 1
+      LEFT JOIN shopee_products sp ON c.id = sp.category_id AND sp.status = 'active' AND sp.deleted_at IS NULL
+      WHERE c.is_active = 1 AND c.deleted_at IS NULL
       GROUP BY c.id 
       ORDER BY c.name ASC
     `;
@@ -62,7 +64,8 @@ router.get("/", requireAuth, async (req, res) => {
         c.id, c.name, c.is_active, c.created_at, c.updated_at,
         COUNT(sp.id) as product_count 
       FROM categories c 
-      LEFT JOIN shopee_products sp ON c.id = sp.category_id 
+      LEFT JOIN shopee_products sp ON c.id = sp.category_id AND sp.deleted_at IS NULL
+      WHERE c.deleted_at IS NULL
       GROUP BY c.id 
       ORDER BY c.name ASC
     `;
@@ -99,7 +102,7 @@ router.post("/", requireAuth, async (req, res) => {
       res.status(201).json(formatResponse(true, { id: result.data.insertId, name, is_active: 1 }, "Category created successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
-        return res.status(409).json(formatResponse(false, null, "Category name already exists"));
+        return res.status(409).json(formatResponse(false, null, "Category name already exists (it may be in the trash)"));
       }
       throw new Error(result.error);
     }
@@ -133,7 +136,7 @@ router.put("/:id", requireAuth, async (req, res) => {
       res.json(formatResponse(true, { id, name }, "Category updated successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
-        return res.status(409).json(formatResponse(false, null, "Category name already exists"));
+        return res.status(409).json(formatResponse(false, null, "Category name already exists (it may be in the trash)"));
       }
       throw new Error(result.error);
     }
@@ -161,7 +164,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
 
     if (is_active === false) {
         const checkResult = await executeQuery(
-            "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ?",
+            "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ? AND deleted_at IS NULL",
             [id]
         );
         
@@ -189,14 +192,41 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
   }
 });
 
-// Delete category
+// Trashed categories with the number of product links kept for restore
+router.get("/trash", requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const trash = await getTrash("categories", { page, limit });
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          data: trash.items,
+          total: trash.total,
+          page,
+          limit,
+          totalPages: Math.ceil(trash.total / limit),
+          retentionDays: trash.retentionDays
+        },
+        "Trashed categories retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trashed categories", 500, formatResponse);
+  }
+});
+
+// Move category to the trash (trashed products still linked to it are unlinked and relinked on restore)
 router.delete("/:id", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if any products are linked to this category
     const checkResult = await executeQuery(
-      "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ?",
+      "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ? AND deleted_at IS NULL",
       [id]
     );
 
@@ -204,22 +234,32 @@ router.delete("/:id", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "Cannot delete category because it has assigned products"));
     }
 
-    const result = await executeQuery(
-      "DELETE FROM categories WHERE id = ?",
-      [id]
-    );
-
-    if (result.success) {
-      clearCategoryCache();
-      res.json(formatResponse(true, null, "Category deleted successfully"));
-    } else {
-      throw new Error(result.error);
+    const trashed = await trashCategory(id, { userId: req.user?.id || null });
+    if (!trashed) {
+      return res.status(404).json(formatResponse(false, null, "Category not found"));
     }
+
+    clearCategoryCache();
+    res.json(formatResponse(true, { id, unlinkedProducts: trashed.products }, "Category moved to trash"));
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete category", 500, formatResponse);
-    const isDevelopment = process.env.NODE_ENV === "development";
-    const errorMessage = isDevelopment ? error.message : "Failed to delete category. Please try again.";
-    res.status(500).json(formatResponse(false, null, "Failed to delete category", errorMessage));
+  }
+});
+
+// Restore a trashed category and relink its products
+router.post("/:id/restore", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const restored = await restoreCategory(id, { userId: req.user?.id || null });
+    if (!restored) {
+      return res.status(404).json(formatResponse(false, null, "Category not found in trash"));
+    }
+
+    clearCategoryCache();
+    res.json(formatResponse(true, { id, relinkedProducts: restored.products }, "Category restored successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to restore category", 500, formatResponse);
   }
 });
 
@@ -229,7 +269,9 @@ router.get("/:id/products", requireAuth, async (req, res) => {
     const { id } = req.params;
     
     const result = await executeQuery(
-      "SELECT item_id, product_name, image_url, price, status FROM shopee_products WHERE category_id = ? ORDER BY product_name ASC",
+      `SELECT p.item_id, ${EFFECTIVE_NAME_SQL} as product_name, ${EFFECTIVE_IMAGE_SQL} as image_url, p.price, p.status
+       FROM shopee_products p ${PRODUCT_OVERRIDE_JOIN}
+       WHERE p.category_id = ? AND p.deleted_at IS NULL ORDER BY product_name ASC`,
       [id]
     );
 
@@ -250,7 +292,9 @@ router.get("/:id/products", requireAuth, async (req, res) => {
 router.get("/products/unassigned", requireAuth, async (req, res) => {
   try {
     const result = await executeQuery(
-      "SELECT item_id, product_name, image_url, price, status FROM shopee_products WHERE category_id IS NULL ORDER BY product_name ASC"
+      `SELECT p.item_id, ${EFFECTIVE_NAME_SQL} as product_name, ${EFFECTIVE_IMAGE_SQL} as image_url, p.price, p.status
+       FROM shopee_products p ${PRODUCT_OVERRIDE_JOIN}
+       WHERE p.category_id IS NULL AND p.deleted_at IS NULL ORDER BY product_name ASC`
     );
 
     if (result.success) {
@@ -0,0 +1,94 @@
+import express from "express";
+import { formatResponse } from "../utils/helpers.js";
+import { requireAuth } from "./auth.js";
+import { formatCsvRow } from "../utils/csv.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { resolveDateRange } from "../utils/dateRange.js";
+import {
+  CLICK_REPORT_DIMENSIONS,
+  CLICK_TIMELINE_GROUPS,
+  getClickTimeline,
+  getTopClicks
+} from "../services/clickReportService.js";
+
+const router = express.Router();
+
+const INVALID_RANGE_MESSAGE = "from/to must be YYYY-MM-DD, from <= to, at most 366 days";
+
+// Clicks per day or week (?group=day|week&from=&to=)
+router.get("/timeline", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+    const group = req.query.group || "day";
+    if (!CLICK_TIMELINE_GROUPS.includes(group)) {
+      return res.status(400).json(formatResponse(false, null, `group must be one of: ${CLICK_TIMELINE_GROUPS.join(", ")}`));
+    }
+
+    const timeline = await getClickTimeline(range, group);
+    res.json(formatResponse(true, { from: range.from, to: range.to, group, timeline }, "Click timeline retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve click timeline", 500, formatResponse);
+  }
+});
+
+// Top-N clicks by dimension (?by=product|category|tag|sub_id|banner_position|referrer&limit=&from=&to=)
+router.get("/top", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+    const dimension = req.query.by || "product";
+    if (!CLICK_REPORT_DIMENSIONS.includes(dimension)) {
+      return res.status(400).json(formatResponse(false, null, `by must be one of: ${CLICK_REPORT_DIMENSIONS.join(", ")}`));
+    }
+
+    const rows = await getTopClicks(dimension, range, req.query.limit);
+    res.json(formatResponse(true, { from: range.from, to: range.to, by: dimension, rows }, "Click report retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve click report", 500, formatResponse);
+  }
+});
+
+// CSV export of a report (?report=timeline|product|category|tag|sub_id|banner_position|referrer, plus the report's parameters)
+router.get("/export", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+
+    const report = req.query.report || "timeline";
+    let csv;
+
+    if (report === "timeline") {
+      const group = CLICK_TIMELINE_GROUPS.includes(req.query.group) ? req.query.group : "day";
+      const timeline = await getClickTimeline(range, group);
+      csv =
+        formatCsvRow([group === "week" ? "Week Starting" : "Date", "Product Clicks", "Banner Clicks", "Unique Visitors"]) +
+        timeline
+          .map((row) => formatCsvRow([row.period, row.product_clicks, row.banner_clicks, row.unique_visitors]))
+          .join("");
+    } else if (CLICK_REPORT_DIMENSIONS.includes(report)) {
+      const rows = await getTopClicks(report, range, req.query.limit || 1000);
+      csv =
+        formatCsvRow(["Key", "Name", "Clicks", "Unique Visitors"]) +
+        rows.map((row) => formatCsvRow([row.key, row.label, row.clicks, row.unique_visitors])).join("");
+    } else {
+      const reports = ["timeline", ...CLICK_REPORT_DIMENSIONS].join(", ");
+      return res.status(400).json(formatResponse(false, null, `report must be one of: ${reports}`));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="clicks-${report}-${range.from}-${range.to}.csv"`);
+    // UTF-8 BOM so Excel shows Thai text correctly
+    res.send("\uFEFF" + csv);
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to export click report", 500, formatResponse);
+  }
+});
+
+export default router;
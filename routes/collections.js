@@ -0,0 +1,409 @@
+import express from "express";
+import { executeQuery } from "../config/database.js";
+import { formatResponse } from "../utils/helpers.js";
+import { requireAuth } from "./auth.js";
+import { sanitizeObject } from "../utils/sanitize.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { rateLimiter } from "../middleware/rateLimiter.js";
+import { validateRequest } from "../middleware/requestValidator.js";
+import { formatDateTime } from "../utils/dateRange.js";
+import {
+  MAX_COLLECTION_PRODUCTS,
+  COLLECTION_SLUG_PATTERN,
+  COLLECTION_VISIBLE_CONDITION,
+  slugify,
+  isUploadUrl,
+  normalizeItemIds,
+  findUnknownItemIds,
+  setCollectionProducts,
+  getCollectionProducts,
+  getPublicCollection
+} from "../services/collectionService.js";
+
+const router = express.Router();
+
+// Get allowed origins and referers from environment
+const allowedOrigins = process.env.CLIENT_URL
+  ? [process.env.CLIENT_URL, "http://localhost:3000"]
+  : ["http://localhost:3000"];
+
+const allowedReferers = process.env.CLIENT_URL
+  ? [process.env.CLIENT_URL, "http://localhost:3000"]
+  : ["http://localhost:3000"];
+
+// Validate and normalize collection input
+function buildCollectionValues(body) {
+  const toDateTimeOrNull = (value) => {
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : formatDateTime(date);
+  };
+
+  if (!body.title || !String(body.title).trim()) {
+    return { error: "Collection title is required" };
+  }
+
+  const slug = body.slug ? String(body.slug).trim().toLowerCase() : slugify(body.title);
+  if (!slug || slug.length > 150 || !COLLECTION_SLUG_PATTERN.test(slug)) {
+    return { error: "slug may only contain lowercase letters, digits, Thai characters and single hyphens" };
+  }
+
+  const coverImageUrl = body.cover_image_url ? String(body.cover_image_url).trim() : null;
+  if (coverImageUrl && !isUploadUrl(coverImageUrl)) {
+    return { error: "cover_image_url must be an image from the uploads library (/api/uploads/...)" };
+  }
+
+  const startTime = toDateTimeOrNull(body.start_time);
+  const endTime = toDateTimeOrNull(body.end_time);
+  if (startTime === undefined || endTime === undefined) {
+    return { error: "start_time and end_time must be valid dates" };
+  }
+  if (startTime && endTime && startTime > endTime) {
+    return { error: "start_time must not be after end_time" };
+  }
+
+  return {
+    values: {
+      slug,
+      title: String(body.title).trim(),
+      description: body.description ? String(body.description).trim() : null,
+      cover_image_url: coverImageUrl,
+      start_time: startTime,
+      end_time: endTime,
+      is_active: body.is_active === undefined ? 1 : body.is_active ? 1 : 0
+    }
+  };
+}
+
+// Validate a list of item IDs for a collection; returns { itemIds } or { error }
+async function validateCollectionItemIds(itemIds) {
+  const normalized = normalizeItemIds(itemIds);
+  if (!normalized) {
+    return { error: "item_ids must be an array of Shopee item IDs" };
+  }
+  if (normalized.length > MAX_COLLECTION_PRODUCTS) {
+    return { error: `A collection can hold at most ${MAX_COLLECTION_PRODUCTS} products` };
+  }
+
+  const unknown = await findUnknownItemIds(normalized);
+  if (unknown.length > 0) {
+    return { error: `Products not found: ${unknown.join(", ")}` };
+  }
+  return { itemIds: normalized };
+}
+
+// Load a collection row by ID
+async function findCollection(id) {
+  const result = await executeQuery("SELECT * FROM collections WHERE id = ?", [id]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data[0] || null;
+}
+
+// ==================== Admin ====================
+
+// Get all collections with product counts and current visibility
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const query = `
+      SELECT
+        col.*,
+        (${COLLECTION_VISIBLE_CONDITION}) as is_visible,
+        (SELECT COUNT(*) FROM collection_products cp WHERE cp.collection_id = col.id) as product_count
+      FROM collections col
+      ORDER BY col.created_at DESC
+    `;
+    const result = await executeQuery(query);
+
+    if (result.success) {
+      res.json(
+        formatResponse(
+          true,
+          result.data.map((row) => ({ ...row, is_visible: !!row.is_visible })),
+          "Collections retrieved successfully"
+        )
+      );
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve collections", 500, formatResponse);
+  }
+});
+
+// Get a collection with all its products in curated order
+router.get("/:id(\\d+)", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const products = await getCollectionProducts(collection.id);
+    res.json(formatResponse(true, { ...collection, products }, "Collection retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve collection", 500, formatResponse);
+  }
+});
+
+// Create collection (optional item_ids in display order)
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const { values, error } = buildCollectionValues(req.body);
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    let itemIds = [];
+    if (req.body.item_ids !== undefined) {
+      const validation = await validateCollectionItemIds(req.body.item_ids);
+      if (validation.error) {
+        return res.status(400).json(formatResponse(false, null, validation.error));
+      }
+      itemIds = validation.itemIds;
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO collections (slug, title, description, cover_image_url, start_time, end_time, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.slug,
+        values.title,
+        values.description,
+        values.cover_image_url,
+        values.start_time,
+        values.end_time,
+        values.is_active,
+        req.user?.id || null
+      ]
+    );
+
+    if (!result.success) {
+      if (result.error && result.error.includes("Duplicate entry")) {
+        return res.status(409).json(formatResponse(false, null, "Collection slug already exists"));
+      }
+      throw new Error(result.error);
+    }
+
+    const id = result.data.insertId;
+    const productCount = await setCollectionProducts(id, itemIds);
+    res
+      .status(201)
+      .json(formatResponse(true, { id, ...values, product_count: productCount }, "Collection created successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to create collection", 500, formatResponse);
+  }
+});
+
+// Update collection details (products are managed with /:id/products)
+router.put("/:id(\\d+)", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    req.body = sanitizeObject(req.body);
+    const { values, error } = buildCollectionValues(req.body);
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const result = await executeQuery(
+      `UPDATE collections SET
+         slug = ?, title = ?, description = ?, cover_image_url = ?, start_time = ?, end_time = ?, is_active = ?
+       WHERE id = ?`,
+      [
+        values.slug,
+        values.title,
+        values.description,
+        values.cover_image_url,
+        values.start_time,
+        values.end_time,
+        values.is_active,
+        id
+      ]
+    );
+
+    if (!result.success) {
+      if (result.error && result.error.includes("Duplicate entry")) {
+        return res.status(409).json(formatResponse(false, null, "Collection slug already exists"));
+      }
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    res.json(formatResponse(true, { id: parseInt(id), ...values }, "Collection updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update collection", 500, formatResponse);
+  }
+});
+
+// Update collection status (Active/Inactive)
+router.patch("/:id(\\d+)/status", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const { id } = req.params;
+    const { is_active } = req.body;
+
+    const result = await executeQuery("UPDATE collections SET is_active = ? WHERE id = ?", [is_active ? 1 : 0, id]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    res.json(formatResponse(true, { id: parseInt(id), is_active: !!is_active }, "Collection status updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update collection status", 500, formatResponse);
+  }
+});
+
+// Delete collection (its product list is removed by cascade)
+router.delete("/:id(\\d+)", requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery("DELETE FROM collections WHERE id = ?", [req.params.id]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    res.json(formatResponse(true, null, "Collection deleted successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to delete collection", 500, formatResponse);
+  }
+});
+
+// Replace the product list in the given order (drag-to-reorder sends the full list)
+router.put("/:id(\\d+)/products", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const collection = await findCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const validation = await validateCollectionItemIds(req.body.item_ids);
+    if (validation.error) {
+      return res.status(400).json(formatResponse(false, null, validation.error));
+    }
+
+    await setCollectionProducts(collection.id, validation.itemIds);
+    const products = await getCollectionProducts(collection.id);
+    res.json(formatResponse(true, products, "Collection products updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update collection products", 500, formatResponse);
+  }
+});
+
+// Append products to the end of the list (ones already in the collection keep their place)
+router.post("/:id(\\d+)/products", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const collection = await findCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const current = await executeQuery(
+      "SELECT product_item_id FROM collection_products WHERE collection_id = ? ORDER BY position ASC",
+      [collection.id]
+    );
+    if (!current.success) {
+      throw new Error(current.error);
+    }
+
+    const existingIds = current.data.map((row) => String(row.product_item_id));
+    const requested = normalizeItemIds(req.body.item_ids);
+    if (!requested || requested.length === 0) {
+      return res.status(400).json(formatResponse(false, null, "item_ids must be a non-empty array of Shopee item IDs"));
+    }
+
+    const validation = await validateCollectionItemIds([...existingIds, ...requested]);
+    if (validation.error) {
+      return res.status(400).json(formatResponse(false, null, validation.error));
+    }
+
+    await setCollectionProducts(collection.id, validation.itemIds);
+    const products = await getCollectionProducts(collection.id);
+    res.json(
+      formatResponse(
+        true,
+        products,
+        `${validation.itemIds.length - existingIds.length} product(s) added to collection`
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to add products to collection", 500, formatResponse);
+  }
+});
+
+// Remove a product from a collection (positions of the rest are closed up)
+router.delete("/:id(\\d+)/products/:itemId", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const current = await executeQuery(
+      "SELECT product_item_id FROM collection_products WHERE collection_id = ? ORDER BY position ASC",
+      [collection.id]
+    );
+    if (!current.success) {
+      throw new Error(current.error);
+    }
+
+    const existingIds = current.data.map((row) => String(row.product_item_id));
+    if (!existingIds.includes(req.params.itemId)) {
+      return res.status(404).json(formatResponse(false, null, "Product is not in this collection"));
+    }
+
+    await setCollectionProducts(
+      collection.id,
+      existingIds.filter((itemId) => itemId !== req.params.itemId)
+    );
+    res.json(formatResponse(true, null, "Product removed from collection"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to remove product from collection", 500, formatResponse);
+  }
+});
+
+// ==================== Public ====================
+
+// Get an active collection by slug with its active products in curated order (public endpoint for client)
+// Apply rate limiting and request validation
+router.get("/:slug",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  validateRequest({
+    allowedOrigins,
+    requireReferer: process.env.NODE_ENV === 'production', // Only require in production
+    allowedReferers,
+    allowNoReferer: true // Allow direct browser access
+  }),
+  async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    if (!COLLECTION_SLUG_PATTERN.test(slug)) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const collection = await getPublicCollection(slug);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    res.json(formatResponse(true, collection, "Collection retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve collection", 500, formatResponse);
+  }
+});
+
+export default router;
@@ -0,0 +1,329 @@
+import express from "express";
+import { executeQuery } from "../config/database.js";
+import { formatResponse } from "../utils/helpers.js";
+import { requireAuth } from "./auth.js";
+import { sanitizeObject } from "../utils/sanitize.js";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import {
+  CURATION_MODES,
+  runWatchlist,
+  runAllWatchlists,
+  isCurationRunning,
+  reviewQueueEntry
+} from "../services/curationService.js";
+
+const router = express.Router();
+
+// Validate and normalize watchlist input
+function buildWatchlistValues(body) {
+  const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  };
+
+  if (!body.name || !String(body.name).trim()) {
+    return { error: "Watchlist name is required" };
+  }
+  if (!body.keyword || !String(body.keyword).trim()) {
+    return { error: "Keyword is required" };
+  }
+  if (body.mode !== undefined && !CURATION_MODES.includes(body.mode)) {
+    return { error: `mode must be one of: ${CURATION_MODES.join(", ")}` };
+  }
+
+  const minPrice = toNumberOrNull(body.min_price);
+  const maxPrice = toNumberOrNull(body.max_price);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: "min_price must not be greater than max_price" };
+  }
+
+  const shopTypes = Array.isArray(body.shop_types) ? body.shop_types.join(",") : body.shop_types;
+
+  return {
+    values: {
+      name: String(body.name).trim(),
+      keyword: String(body.keyword).trim(),
+      category_id: body.category_id ? parseInt(body.category_id) : null,
+      min_commission_rate: toNumberOrNull(body.min_commission_rate),
+      min_rating_star: toNumberOrNull(body.min_rating_star),
+      min_sales: body.min_sales ? parseInt(body.min_sales) : null,
+      min_price: minPrice,
+      max_price: maxPrice,
+      shop_types: shopTypes ? String(shopTypes).replace(/[^0-9,]/g, "") || null : null,
+      mode: body.mode || "review",
+      max_results: Math.min(Math.max(parseInt(body.max_results) || 20, 1), 100),
+      is_active: body.is_active === undefined ? 1 : body.is_active ? 1 : 0
+    }
+  };
+}
+
+// Parse last_run_summary JSON
+function mapWatchlist(row) {
+  let lastRunSummary = null;
+  try {
+    lastRunSummary = row.last_run_summary ? JSON.parse(row.last_run_summary) : null;
+  } catch (error) {
+    lastRunSummary = null;
+  }
+  return { ...row, last_run_summary: lastRunSummary };
+}
+
+// ==================== Watchlists ====================
+
+// Get all watchlists with pending review counts
+router.get("/watchlists", requireAuth, async (req, res) => {
+  try {
+    const query = `
+      SELECT
+        w.*,
+        c.name as category_name,
+        (SELECT COUNT(*) FROM curation_review_queue q WHERE q.watchlist_id = w.id AND q.status = 'pending') as pending_count
+      FROM curation_watchlists w
+      LEFT JOIN categories c ON w.category_id = c.id
+      ORDER BY w.created_at DESC
+    `;
+    const result = await executeQuery(query);
+
+    if (result.success) {
+      res.json(
+        formatResponse(
+          true,
+          { watchlists: result.data.map(mapWatchlist), isRunning: isCurationRunning() },
+          "Watchlists retrieved successfully"
+        )
+      );
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve watchlists", 500, formatResponse);
+  }
+});
+
+// Create watchlist
+router.post("/watchlists", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const { values, error } = buildWatchlistValues(req.body);
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO curation_watchlists
+        (name, keyword, category_id, min_commission_rate, min_rating_star, min_sales,
+         min_price, max_price, shop_types, mode, max_results, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.name,
+        values.keyword,
+        values.category_id,
+        values.min_commission_rate,
+        values.min_rating_star,
+        values.min_sales,
+        values.min_price,
+        values.max_price,
+        values.shop_types,
+        values.mode,
+        values.max_results,
+        values.is_active,
+        req.user?.id || null
+      ]
+    );
+
+    if (result.success) {
+      res.status(201).json(formatResponse(true, { id: result.data.insertId, ...values }, "Watchlist created successfully"));
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to create watchlist", 500, formatResponse);
+  }
+});
+
+// Update watchlist
+router.put("/watchlists/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    req.body = sanitizeObject(req.body);
+    const { values, error } = buildWatchlistValues(req.body);
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const result = await executeQuery(
+      `UPDATE curation_watchlists SET
+         name = ?, keyword = ?, category_id = ?, min_commission_rate = ?, min_rating_star = ?, min_sales = ?,
+         min_price = ?, max_price = ?, shop_types = ?, mode = ?, max_results = ?, is_active = ?
+       WHERE id = ?`,
+      [
+        values.name,
+        values.keyword,
+        values.category_id,
+        values.min_commission_rate,
+        values.min_rating_star,
+        values.min_sales,
+        values.min_price,
+        values.max_price,
+        values.shop_types,
+        values.mode,
+        values.max_results,
+        values.is_active,
+        id
+      ]
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Watchlist not found"));
+    }
+
+    res.json(formatResponse(true, { id: parseInt(id), ...values }, "Watchlist updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update watchlist", 500, formatResponse);
+  }
+});
+
+// Delete watchlist (its review queue entries are removed by cascade)
+router.delete("/watchlists/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await executeQuery("DELETE FROM curation_watchlists WHERE id = ?", [id]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Watchlist not found"));
+    }
+
+    res.json(formatResponse(true, null, "Watchlist deleted successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to delete watchlist", 500, formatResponse);
+  }
+});
+
+// Run a single watchlist now and return its summary
+router.post("/watchlists/:id/run", requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery("SELECT * FROM curation_watchlists WHERE id = ?", [req.params.id]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Watchlist not found"));
+    }
+
+    const summary = await runWatchlist(result.data[0]);
+    res.json(formatResponse(true, summary, "Watchlist run completed"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to run watchlist", 500, formatResponse);
+  }
+});
+
+// Run all active watchlists (runs in background)
+router.post("/run", requireAuth, async (req, res) => {
+  try {
+    if (isCurationRunning()) {
+      return res.status(409).json(formatResponse(false, null, "A curation run is already in progress"));
+    }
+
+    runAllWatchlists().catch((error) => {
+      Logger.error("[Curation] Manual run failed:", error.message);
+    });
+
+    res.status(202).json(formatResponse(true, null, "Curation run started"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to start curation run", 500, formatResponse);
+  }
+});
+
+// ==================== Review queue ====================
+
+// Get review queue entries (?status=pending|approved|rejected, ?watchlist_id=)
+router.get("/review", requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+    const status = req.query.status || "pending";
+
+    let whereClause = "WHERE 1=1";
+    const params = [];
+
+    if (status !== "all") {
+      whereClause += " AND q.status = ?";
+      params.push(status);
+    }
+    if (req.query.watchlist_id) {
+      whereClause += " AND q.watchlist_id = ?";
+      params.push(req.query.watchlist_id);
+    }
+
+    const [result, countResult] = await Promise.all([
+      executeQuery(
+        `SELECT q.*, w.name as watchlist_name, w.keyword
+         FROM curation_review_queue q
+         JOIN curation_watchlists w ON q.watchlist_id = w.id
+         ${whereClause}
+         ORDER BY q.created_at DESC, q.id DESC
+         LIMIT ${limit} OFFSET ${offset}`,
+        params
+      ),
+      executeQuery(`SELECT COUNT(*) as total FROM curation_review_queue q ${whereClause}`, params)
+    ]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const entries = result.data.map((row) => {
+      let product = null;
+      try {
+        product = JSON.parse(row.product_data);
+      } catch (error) {
+        product = null;
+      }
+      const { product_data, ...rest } = row;
+      return { ...rest, product };
+    });
+    const total = countResult.success ? countResult.data[0].total : 0;
+
+    res.json(
+      formatResponse(
+        true,
+        { entries, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } },
+        "Review queue retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve review queue", 500, formatResponse);
+  }
+});
+
+// Approve (import) or reject a review queue entry
+router.post("/review/:id/:decision(approve|reject)", requireAuth, async (req, res) => {
+  try {
+    const decision = req.params.decision === "approve" ? "approved" : "rejected";
+    const result = await reviewQueueEntry(parseInt(req.params.id), decision, req.user?.id || null);
+
+    if (!result) {
+      return res.status(404).json(formatResponse(false, null, "Review entry not found"));
+    }
+    if (result.alreadyReviewed) {
+      return res.status(409).json(formatResponse(false, result, `Review entry is already ${result.status}`));
+    }
+
+    res.json(formatResponse(true, result, decision === "approved" ? "Product approved and imported" : "Product rejected"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to review entry", 500, formatResponse);
+  }
+});
+
+export default router;
@@ -0,0 +1,167 @@
+import express from "express";
+import multer from "multer";
+import { formatResponse } from "../utils/helpers.js";
+import { requireAuth } from "./auth.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { resolveDateRange } from "../utils/dateRange.js";
+import { hasShopeeCredentials, ShopeeApiError } from "../services/shopeeApiService.js";
+import { importConversionsFromApi, importConversionsFromCsv } from "../services/conversionImportService.js";
+import {
+  EARNINGS_GROUPS,
+  getEarningsSummary,
+  getEarningsByPeriod,
+  getEarningsByProduct,
+  getEarningsByCategory,
+  getEarningsBySubId
+} from "../services/earningsReportService.js";
+
+const router = express.Router();
+
+const INVALID_RANGE_MESSAGE = "from/to must be YYYY-MM-DD, from <= to, at most 366 days";
+
+// Shopee only serves the conversion report for about three months at a time
+const API_IMPORT_MAX_DAYS = 90;
+
+const conversionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.(csv|txt)$/i.test(file.originalname) || /csv|text\/plain/.test(file.mimetype);
+    if (isCsv) {
+      return cb(null, true);
+    }
+    cb(new Error("Only CSV or TXT files are allowed"));
+  }
+});
+
+function formatImportMessage(report) {
+  return `Import finished: ${report.inserted} inserted, ${report.updated} updated, ${report.unchanged} unchanged, ${report.invalid} invalid, ${report.failed} failed`;
+}
+
+// Pull the conversion report from the Shopee API ({ from, to } purchase dates, default last 30 days)
+router.post("/import", requireAuth, async (req, res) => {
+  try {
+    if (!hasShopeeCredentials()) {
+      throw new Error("Shopee API credentials not configured");
+    }
+
+    const range = resolveDateRange(req.body || {}, API_IMPORT_MAX_DAYS);
+    if (!range) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `from/to must be YYYY-MM-DD, from <= to, at most ${API_IMPORT_MAX_DAYS} days`));
+    }
+
+    const report = await importConversionsFromApi(range);
+    res.json(formatResponse(true, { from: range.from, to: range.to, ...report }, formatImportMessage(report)));
+  } catch (error) {
+    const statusCode = error instanceof ShopeeApiError ? error.statusCode : 500;
+    return handleErrorWithFormat(error, res, "Failed to import conversion report", statusCode, formatResponse);
+  }
+});
+
+// Import the conversion CSV exported from the Shopee affiliate dashboard (multipart field "file")
+router.post("/import/csv", requireAuth, (req, res, next) => {
+  conversionUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error.message));
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(formatResponse(false, null, "No CSV file uploaded"));
+    }
+
+    const report = await importConversionsFromCsv(req.file.buffer.toString("utf8"));
+    if (report.error) {
+      return res.status(400).json(formatResponse(false, null, report.error));
+    }
+
+    res.json(formatResponse(true, report, formatImportMessage(report)));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to import conversion CSV", 500, formatResponse);
+  }
+});
+
+// Earnings totals (?from=&to=)
+router.get("/summary", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+
+    const summary = await getEarningsSummary(range);
+    res.json(formatResponse(true, { from: range.from, to: range.to, ...summary }, "Earnings summary retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve earnings summary", 500, formatResponse);
+  }
+});
+
+// Earnings per day, week or month (?group=day|week|month&from=&to=)
+router.get("/by-day", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+    const group = req.query.group || "day";
+    if (!EARNINGS_GROUPS.includes(group)) {
+      return res.status(400).json(formatResponse(false, null, `group must be one of: ${EARNINGS_GROUPS.join(", ")}`));
+    }
+
+    const rows = await getEarningsByPeriod(range, group);
+    res.json(formatResponse(true, { from: range.from, to: range.to, group, rows }, "Earnings retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve earnings", 500, formatResponse);
+  }
+});
+
+// Top products by commission (?limit=&from=&to=)
+router.get("/by-product", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+
+    const rows = await getEarningsByProduct(range, req.query.limit);
+    res.json(formatResponse(true, { from: range.from, to: range.to, rows }, "Earnings by product retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve earnings by product", 500, formatResponse);
+  }
+});
+
+// Earnings per category (?from=&to=)
+router.get("/by-category", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+
+    const rows = await getEarningsByCategory(range);
+    res.json(formatResponse(true, { from: range.from, to: range.to, rows }, "Earnings by category retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve earnings by category", 500, formatResponse);
+  }
+});
+
+// Earnings per sub-ID (?limit=&from=&to=)
+router.get("/by-sub-id", requireAuth, async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (!range) {
+      return res.status(400).json(formatResponse(false, null, INVALID_RANGE_MESSAGE));
+    }
+
+    const rows = await getEarningsBySubId(range, req.query.limit);
+    res.json(formatResponse(true, { from: range.from, to: range.to, rows }, "Earnings by sub-ID retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve earnings by sub-ID", 500, formatResponse);
+  }
+});
+
+export default router;
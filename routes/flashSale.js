@@ -0,0 +1,86 @@
+import express from "express";
+import { executeQuery } from "../config/database.js";
+import { formatResponse } from "../utils/helpers.js";
+import { requireAuth } from "./auth.js";
+import { sanitizeObject } from "../utils/sanitize.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import {
+  FLASH_SALE_RULES,
+  FLASH_SALE_SLOT_SIZE,
+  DEFAULT_FLASH_SALE_RULE,
+  getCurrentSlot,
+  getSlotProducts,
+  rebuildCurrentSlot
+} from "../services/flashSaleService.js";
+import { PRODUCT_OVERRIDE_JOIN, EFFECTIVE_NAME_SQL, EFFECTIVE_IMAGE_SQL } from "../services/productOverrideService.js";
+
+const router = express.Router();
+
+// Current slot with all its products (including ones that stopped being public)
+router.get("/current", requireAuth, async (req, res) => {
+  try {
+    const slot = await getCurrentSlot();
+    const products = slot ? await getSlotProducts(slot.id, { includeInactive: true }) : [];
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          slot,
+          products,
+          slotSize: FLASH_SALE_SLOT_SIZE,
+          defaultRule: DEFAULT_FLASH_SALE_RULE,
+          rules: Object.keys(FLASH_SALE_RULES)
+        },
+        "Flash sale slot retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve flash sale slot", 500, formatResponse);
+  }
+});
+
+// Pinned products (set with PATCH /api/products/:id/flash-sale)
+router.get("/pins", requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery(`
+      SELECT fp.product_item_id as item_id, fp.pinned_by, u.username as pinned_by_username, fp.created_at as pinned_at,
+             ${EFFECTIVE_NAME_SQL} as product_name, ${EFFECTIVE_IMAGE_SQL} as image_url, p.price, p.status, p.period_end_time, p.deleted_at
+      FROM flash_sale_pins fp
+      LEFT JOIN shopee_products p ON p.item_id = fp.product_item_id
+      ${PRODUCT_OVERRIDE_JOIN}
+      LEFT JOIN admin_users u ON u.id = fp.pinned_by
+      ORDER BY fp.created_at ASC
+    `);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    res.json(formatResponse(true, result.data, "Flash sale pins retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve flash sale pins", 500, formatResponse);
+  }
+});
+
+// Rebuild the current slot now ({ rule } optional, default: the slot's rule)
+router.post("/rotate", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body || {});
+    const { rule } = req.body;
+    if (rule !== undefined && !FLASH_SALE_RULES[rule]) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `rule must be one of: ${Object.keys(FLASH_SALE_RULES).join(", ")}`));
+    }
+
+    const slot = await rebuildCurrentSlot(rule || null);
+    res.json(
+      formatResponse(true, slot, `Flash sale slot rebuilt: ${slot.pinned} pinned, ${slot.picked} picked (${slot.rule})`)
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to rebuild flash sale slot", 500, formatResponse);
+  }
+});
+
+export default router;
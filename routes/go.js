@@ -0,0 +1,126 @@
+import express from "express";
+import { executeQuery } from "../config/database.js";
+import { formatResponse } from "../utils/helpers.js";
+import { sanitizeUrl } from "../utils/sanitize.js";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import {
+  isBotUserAgent,
+  normalizeSubId,
+  recordClick,
+  recordBannerClick
+} from "../services/clickTrackingService.js";
+import { LINK_CHANNEL_PATTERN, getLinkChannel, getCachedShortLink } from "../services/shortLinkService.js";
+
+const router = express.Router();
+
+// Clicks from crawlers and link previews (HEAD requests) are not counted
+function isCountedClick(req) {
+  return req.method !== "HEAD" && !isBotUserAgent(req.get("User-Agent") || "");
+}
+
+// Redirect to a banner's target URL and record the click
+// Relative target URLs are resolved against CLIENT_URL
+router.get("/banner/:bannerId", async (req, res) => {
+  try {
+    const bannerId = parseInt(req.params.bannerId);
+    if (!bannerId) {
+      return res.status(404).json(formatResponse(false, null, "Banner not found"));
+    }
+
+    const result = await executeQuery("SELECT id, position_id, target_url FROM banners WHERE id = ? AND deleted_at IS NULL", [bannerId]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Banner not found"));
+    }
+
+    const banner = result.data[0];
+    let target = sanitizeUrl(banner.target_url);
+    if (!target && banner.target_url && String(banner.target_url).startsWith("/") && process.env.CLIENT_URL) {
+      target = sanitizeUrl(new URL(banner.target_url, process.env.CLIENT_URL).toString());
+    }
+    if (!target) {
+      return res.status(404).json(formatResponse(false, null, "Banner has no link"));
+    }
+
+    if (isCountedClick(req)) {
+      recordBannerClick({
+        bannerId: banner.id,
+        positionId: banner.position_id,
+        referrer: req.get("Referer") || null,
+        ip: req.ip,
+        userAgent: req.get("User-Agent")
+      }).catch((error) => Logger.warn(`[Clicks] Failed to record click for banner #${bannerId}:`, error.message));
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+    res.redirect(302, target);
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to redirect", 500, formatResponse);
+  }
+});
+
+// Redirect to a product's affiliate link and record the click (?sub_id= optional)
+// ?channel= redirects to the channel's cached short link (falls back to offer_link when there is none;
+// links are generated through /api/short-links so visitors never wait for Shopee)
+router.get("/:itemId", async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    if (!/^\d+$/.test(itemId)) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const result = await executeQuery(
+      "SELECT item_id, offer_link, product_link FROM shopee_products WHERE item_id = ? AND deleted_at IS NULL",
+      [itemId]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const product = result.data[0];
+    const channel = LINK_CHANNEL_PATTERN.test(String(req.query.channel || "")) ? req.query.channel : null;
+    let target = null;
+
+    if (channel) {
+      try {
+        const linkChannel = await getLinkChannel(channel);
+        if (linkChannel && linkChannel.is_active) {
+          target = sanitizeUrl(await getCachedShortLink(product, linkChannel));
+        }
+      } catch (error) {
+        Logger.warn(`[Clicks] No short link for ${itemId} (${channel}):`, error.message);
+      }
+    }
+
+    target = target || sanitizeUrl(product.offer_link) || sanitizeUrl(product.product_link);
+    if (!target) {
+      return res.status(404).json(formatResponse(false, null, "Product has no link"));
+    }
+
+    if (isCountedClick(req)) {
+      // Don't make the visitor wait for the insert
+      recordClick({
+        itemId: product.item_id,
+        referrer: req.get("Referer") || null,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+        subId: normalizeSubId(req.query.sub_id) || channel
+      }).catch((error) => Logger.warn(`[Clicks] Failed to record click for ${itemId}:`, error.message));
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+    res.redirect(302, target);
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to redirect", 500, formatResponse);
+  }
+});
+
+export default router;
@@ -1,30 +1,84 @@
 import express from "express";
+import multer from "multer";
 import { executeQuery } from "../config/database.js";
-import { generateSignature, createAuthorizationHeader } from "../utils/helpers.js";
 import { formatResponse, validateRequiredFields } from "../utils/helpers.js";
 import { requireAuth } from "./auth.js";
 import { PRODUCT_OFFER_QUERY } from "../queries.js";
 import { sanitizeObject } from "../utils/sanitize.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import {
+  API_URL,
+  makeGraphQLRequest,
+  getShopeeClientStatus,
+  ShopeeApiError,
+  ShopeeCircuitOpenError
+} from "../services/shopeeApiService.js";
+import {
+  findShopeeProduct,
+  applySyncResult,
+  runFullSync,
+  isFullSyncRunning,
+  getSyncRuns,
+  getSyncRun
+} from "../services/productSyncService.js";
+import { getProductHistory } from "../services/productHistoryService.js";
+import { beforeProductWrite, afterProductWrite } from "../services/productHooks.js";
+import { analyzeCategory } from "../services/categoryAnalyzer.js";
+import { buildImportEntries, importProducts, IMPORT_MAX_ROWS } from "../services/productImportService.js";
+import { createProductExportWriter, EXPORT_FORMATS } from "../services/productExportService.js";
+import { aggregatedSearch, filterProductNodes, sortProductNodes } from "../services/productSearchService.js";
+import { DEFAULT_EXPIRING_WITHIN_HOURS } from "../services/productLifecycleService.js";
+import { parseTrendingWindow, getTrendingProducts, DEFAULT_TRENDING_WINDOW } from "../services/salesTrendService.js";
+import { buildProductSearch, addSearchHighlights } from "../services/productTextSearch.js";
+import {
+  buildPublicProductFilters,
+  buildWhereClause,
+  getPublicProductFacets,
+  PUBLIC_SORT_MODES,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+  getPublicProduct,
+  getRelatedProducts
+} from "../services/productListingService.js";
+import {
+  FLASH_SALE_SLOT_SIZE,
+  getCurrentSlot,
+  getSlotProducts,
+  setFlashSalePin
+} from "../services/flashSaleService.js";
+import {
+  PRODUCT_OVERRIDE_JOIN,
+  EFFECTIVE_NAME_SQL,
+  EFFECTIVE_IMAGE_SQL,
+  OVERRIDE_LOCKS,
+  lockedAssignment,
+  getProductOverride,
+  saveProductOverride
+} from "../services/productOverrideService.js";
+import { isUploadUrl, normalizeItemIds } from "../services/collectionService.js";
+import { trashProduct, restoreProduct, getTrash } from "../services/trashService.js";
+import { BULK_ACTIONS, BULK_MAX_ITEMS, BULK_RESYNC_MAX_ITEMS, runBulkAction } from "../services/productBulkService.js";
+import { compareProductFields, getProductChangeLog } from "../services/productChangeLogService.js";
 
 const router = express.Router();
 
-const API_URL = "https://open-api.affiliate.shopee.co.th/graphql";
 const APP_ID = process.env.SHOPEE_APP_ID;
 const APP_SECRET = process.env.SHOPEE_APP_SECRET;
 
-// Category cache to avoid repeated database queries
-let categoryCache = null;
-let categoryCacheTimestamp = null;
-const CATEGORY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-// Function to clear category cache (call when categories are updated)
-export function clearCategoryCache() {
-  categoryCache = null;
-  categoryCacheTimestamp = null;
-  Logger.info("[Cache] Category cache cleared");
-}
+// CSV upload for bulk import (kept in memory, never written to disk)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.(csv|txt)$/i.test(file.originalname) || /csv|text\/plain/.test(file.mimetype);
+    if (isCsv) {
+      return cb(null, true);
+    }
+    cb(new Error("Only CSV or TXT files are allowed"));
+  }
+});
 
 // Debug environment variables on startup (only in development)
 Logger.debug("Products Route Environment:", {
@@ -64,60 +118,8 @@ const PRODUCT_SEARCH_QUERY = `
   }
 `;
 
-async function makeGraphQLRequest(query, variables = {}) {
-  const timestamp = Math.floor(Date.now() / 1000);
-  const payload = JSON.stringify({ query, variables });
-
-  const signature = generateSignature({
-    appId: APP_ID,
-    timestamp: timestamp.toString(),
-    payload,
-    secret: APP_SECRET
-  });
-
-  const authHeader = createAuthorizationHeader({
-    appId: APP_ID,
-    timestamp: timestamp.toString(),
-    signature
-  });
-
-  Logger.debug("Making request to Shopee API:", {
-    url: API_URL,
-    bodyLength: payload.length
-  });
-
-  try {
-    const response = await fetch(API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: authHeader
-      },
-      body: payload
-    });
-
-    Logger.debug("Response status:", response.status, response.statusText);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      Logger.error("Error response body:", errorText);
-      throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
-    }
-
-    const jsonResponse = await response.json();
-    Logger.debug("Response received:", {
-      hasData: !!jsonResponse.data,
-      hasErrors: !!jsonResponse.errors
-    });
-
-    return jsonResponse;
-  } catch (error) {
-    Logger.error("GraphQL Request failed:", error);
-    throw error;
-  }
-}
-
 // Search products from Shopee API
+// ?mode=aggregate pulls several Shopee pages and filters/sorts/paginates the combined set (cached briefly)
 router.get("/search", async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -153,6 +155,38 @@ router.get("/search", async (req, res) => {
       );
     }
 
+    // Aggregated mode: filter/sort across several Shopee pages, paginate the combined set
+    if (req.query.mode === "aggregate") {
+      const result = await aggregatedSearch({
+        keyword,
+        commissionRate,
+        ratingStar,
+        sortBy,
+        sortOrder,
+        page,
+        limit: req.query.limit,
+        refresh: req.query.refresh === "true"
+      });
+
+      return res.json(
+        formatResponse(
+          true,
+          {
+            data: {
+              productOfferV2: {
+                nodes: result.nodes,
+                total: result.total,
+                hasMore: result.hasMore
+              }
+            },
+            pageInfo: result.pageInfo,
+            aggregation: result.aggregation
+          },
+          "Products retrieved successfully"
+        )
+      );
+    }
+
     const variables = {
       keyword: keyword.trim(),
       page: page
@@ -166,6 +200,11 @@ router.get("/search", async (req, res) => {
       Logger.debug("Trying ProductOfferV2 query...");
       data = await makeGraphQLRequest(PRODUCT_OFFER_QUERY, variables);
     } catch (error1) {
+      // Circuit open: Shopee is down, don't hammer it with the fallback query
+      if (error1 instanceof ShopeeCircuitOpenError) {
+        throw error1;
+      }
+
       Logger.warn("ProductOfferV2 failed, trying ProductSearch query...", error1.message);
 
       try {
@@ -201,7 +240,10 @@ router.get("/search", async (req, res) => {
         }
       } catch (error2) {
         Logger.error("Both queries failed:", error2.message);
-        throw new Error(`Shopee API queries failed: ${error1.message}, ${error2.message}`);
+        throw new ShopeeApiError(`Shopee API queries failed: ${error1.message}, ${error2.message}`, {
+          status: error2.status ?? null,
+          statusCode: error2.statusCode || 502
+        });
       }
     }
 
@@ -220,59 +262,21 @@ router.get("/search", async (req, res) => {
 
     // Apply client-side filtering if needed
     if (data.data.productOfferV2.nodes && (commissionRate > 0 || ratingStar > 0)) {
-      const filteredNodes = data.data.productOfferV2.nodes.filter((product) => {
-        let passesCommissionFilter = true;
-        let passesRatingFilter = true;
-
-        if (commissionRate > 0) {
-          const productCommissionRate = parseFloat(product.commissionRate) || 0;
-          // UI sends commission as whole number (e.g., 1 means 1%)
-          // Shopee API returns commission as decimal (e.g., 0.015 means 1.5%)
-          // So we need to convert UI value to decimal: 1 -> 0.01
-          const filterCommissionRateDecimal = commissionRate / 100;
-          passesCommissionFilter = productCommissionRate >= filterCommissionRateDecimal;
-        }
-
-        if (ratingStar > 0) {
-          const productRating = parseFloat(product.ratingStar) || 0;
-          passesRatingFilter = productRating >= ratingStar;
-        }
-
-        return passesCommissionFilter && passesRatingFilter;
-      });
-
+      const filteredNodes = filterProductNodes(data.data.productOfferV2.nodes, { commissionRate, ratingStar });
       data.data.productOfferV2.nodes = filteredNodes;
       data.data.productOfferV2.total = filteredNodes.length;
     }
 
     // Apply sorting if requested
     if (data.data.productOfferV2.nodes && sortBy) {
-        Logger.debug(`Sorting results by ${sortBy} (${sortOrder || 'desc'})`);
-        data.data.productOfferV2.nodes.sort((a, b) => {
-            let valA = 0, valB = 0;
-            
-            if (sortBy === 'commission') {
-                valA = parseFloat(a.commission) || 0;
-                valB = parseFloat(b.commission) || 0;
-            } else if (sortBy === 'sales') {
-                valA = parseFloat(a.sales) || 0;
-                valB = parseFloat(b.sales) || 0;
-            } else if (sortBy === 'price') {
-                valA = parseFloat(a.price) || 0;
-                valB = parseFloat(b.price) || 0;
-            }
-
-            if (sortOrder === 'asc') {
-                return valA - valB;
-            } else {
-                return valB - valA;
-            }
-        });
+      Logger.debug(`Sorting results by ${sortBy} (${sortOrder || 'desc'})`);
+      sortProductNodes(data.data.productOfferV2.nodes, sortBy, sortOrder);
     }
 
     res.json(formatResponse(true, data, "Products retrieved successfully"));
   } catch (error) {
-    return handleErrorWithFormat(error, res, "Failed to search products", 500, formatResponse);
+    const statusCode = error instanceof ShopeeApiError ? error.statusCode : 500;
+    return handleErrorWithFormat(error, res, "Failed to search products", statusCode, formatResponse);
   }
 });
 
@@ -292,7 +296,7 @@ router.post("/check", requireAuth, async (req, res) => {
         id, item_id, product_name, description, price, price_min, price_max,
         image_url, product_url, offer_link, shop_id, shop_name, shop_type,
         category_id, commission_rate, commission, rating_star, sales_count,
-        is_flash_sale, status, source, created_at, updated_at
+        is_flash_sale, status, source, deleted_at, created_at, updated_at
       FROM shopee_products 
       WHERE item_id = ?
     `, [itemId]);
@@ -301,59 +305,7 @@ router.post("/check", requireAuth, async (req, res) => {
       const existingProduct = result.data[0];
 
       // Compare with new product data if provided
-      const newProduct = req.body;
-      const differences = [];
-
-      const fieldsToCompare = [
-        { key: "product_name", newKey: "productName", label: "ชื่อสินค้า" },
-        { key: "shop_name", newKey: "shopName", label: "ชื่อร้าน" },
-        { key: "shop_id", newKey: "shopId", label: "รหัสร้าน", isNumber: true },
-        { key: "price", newKey: "price", label: "ราคา", isNumber: true },
-        { key: "price_min", newKey: "priceMin", label: "ราคาต่ำสุด", isNumber: true },
-        { key: "price_max", newKey: "priceMax", label: "ราคาสูงสุด", isNumber: true },
-        { key: "commission_rate", newKey: "commissionRate", label: "อัตรา commission", isDecimal: true },
-        {
-          key: "seller_commission_rate",
-          newKey: "sellerCommissionRate",
-          label: "อัตรา commission ผู้ขาย",
-          isDecimal: true
-        },
-        { key: "commission_amount", newKey: "commission", label: "จำนวน commission", isNumber: true },
-        { key: "sales_count", newKey: "sold", label: "ยอดขาย", isNumber: true },
-        { key: "rating_star", newKey: "ratingStar", label: "เรตติ้งดาว", isDecimal: true },
-        { key: "discount_rate", newKey: "discountRate", label: "อัตราส่วนลด", isNumber: true },
-        { key: "period_start_time", newKey: "periodStartTime", label: "เวลาเริ่ม", isNumber: true },
-        { key: "period_end_time", newKey: "periodEndTime", label: "เวลาสิ้นสุด", isNumber: true },
-        { key: "campaign_active", newKey: "campaignActive", label: "แคมเปญ", isBoolean: true }
-      ];
-
-      fieldsToCompare.forEach((field) => {
-        let existingValue = existingProduct[field.key];
-        let newValue = newProduct[field.newKey];
-
-        // Convert values for comparison
-        if (field.isNumber) {
-          existingValue = parseFloat(existingValue) || 0;
-          newValue = parseFloat(newValue) || 0;
-        } else if (field.isDecimal) {
-          existingValue = parseFloat(existingValue) || 0;
-          newValue = parseFloat(newValue) || 0;
-          // Show as decimal for display
-          existingValue = existingValue.toFixed(2);
-          newValue = newValue.toFixed(2);
-        } else if (field.isBoolean) {
-          existingValue = !!existingValue;
-          newValue = !!newValue;
-        }
-
-        if (existingValue != newValue) {
-          differences.push({
-            field: field.label,
-            oldValue: existingValue,
-            newValue: newValue
-          });
-        }
-      });
+      const differences = compareProductFields(existingProduct, req.body, { incoming: true });
 
       res.json(
         formatResponse(
@@ -361,6 +313,7 @@ router.post("/check", requireAuth, async (req, res) => {
           {
             exists: true,
             product: existingProduct,
+            overrides: await getProductOverride(itemId),
             differences: differences,
             hasChanges: differences.length > 0
           },
@@ -436,7 +389,7 @@ router.post("/save", requireAuth, async (req, res) => {
         status
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
-        product_name = VALUES(product_name),
+        ${lockedAssignment("product_name", "lock_title")},
         shop_name = VALUES(shop_name),
         shop_id = VALUES(shop_id),
         price = VALUES(price),
@@ -446,7 +399,7 @@ router.post("/save", requireAuth, async (req, res) => {
         seller_commission_rate = VALUES(seller_commission_rate),
         shopee_commission_rate = VALUES(shopee_commission_rate),
         commission_amount = VALUES(commission_amount),
-        image_url = VALUES(image_url),
+        ${lockedAssignment("image_url", "lock_image")},
         product_link = VALUES(product_link),
         offer_link = VALUES(offer_link),
         rating_star = VALUES(rating_star),
@@ -455,10 +408,11 @@ router.post("/save", requireAuth, async (req, res) => {
         period_start_time = VALUES(period_start_time),
         period_end_time = VALUES(period_end_time),
         campaign_active = VALUES(campaign_active),
-        category_id = VALUES(category_id),
+        ${lockedAssignment("category_id", "lock_category")},
         is_flash_sale = VALUES(is_flash_sale),
         source = VALUES(source),
         status = 'active',
+        deleted_at = NULL, -- saving a trashed product again restores it
         updated_at = CURRENT_TIMESTAMP
     `;
 
@@ -489,9 +443,12 @@ router.post("/save", requireAuth, async (req, res) => {
       "active"
     ];
 
+    const previous = await beforeProductWrite(productData.itemId);
     const result = await executeQuery(upsertQuery, values);
 
     if (result.success) {
+      await afterProductWrite(productData.itemId, previous, "save", { userId: req.user?.id || null });
+
       // Update tags if provided
       if (Array.isArray(productData.tags)) {
          const itemId = productData.itemId;
@@ -537,169 +494,6 @@ router.post("/save", requireAuth, async (req, res) => {
 });
 
 // Save product from frontend (public endpoint, no auth required)
-/**
- * Analyzes product name and matches it to the most appropriate category
- * @param {string} productName - The product name to analyze
- * @param {Array} categories - Array of category objects with id and name
- * @returns {number|null} - Category ID or null if no match found
- */
-async function analyzeCategory(productName) {
-  try {
-    Logger.debug(`[analyzeCategory] Starting analysis for: ${productName}`);
-    
-    // Check cache first
-    const now = Date.now();
-    if (categoryCache && categoryCacheTimestamp && (now - categoryCacheTimestamp < CATEGORY_CACHE_TTL)) {
-      Logger.debug(`[analyzeCategory] Using cached data (age: ${Math.round((now - categoryCacheTimestamp) / 1000)}s)`);
-    } else {
-      Logger.debug(`[analyzeCategory] Loading fresh data from database`);
-      
-      // Get all active categories from database
-      const categoriesResult = await executeQuery(
-        "SELECT id, name FROM categories WHERE is_active = 1 ORDER BY name ASC"
-      );
-
-      if (!categoriesResult.success || !categoriesResult.data || categoriesResult.data.length === 0) {
-        Logger.warn(`[analyzeCategory] No categories available in database`);
-        return null; // No categories available
-      }
-
-      const categories = categoriesResult.data;
-      
-      // Get all keywords from database for all categories
-      const keywordsResult = await executeQuery(
-        `SELECT ck.category_id, ck.keyword, ck.is_high_priority, c.name as category_name
-         FROM category_keywords ck
-         JOIN categories c ON ck.category_id = c.id
-         WHERE c.is_active = 1
-         ORDER BY ck.category_id, ck.is_high_priority DESC, ck.keyword ASC`
-      );
-
-      // Build cache structure
-      const cache = {
-        categories: [],
-        categoryKeywords: {},
-        categoryWords: {},
-        categoryHighPriorityKeywords: {}
-      };
-
-      // Initialize keywords arrays for each category
-      categories.forEach(cat => {
-        cache.categories.push(cat);
-        const catName = cat.name.toLowerCase();
-        const keywords = [catName];
-        const catWords = catName.split(/[\s\-_]+/).filter(w => w.length > 1);
-        
-        cache.categoryWords[cat.id] = catWords;
-        keywords.push(...catWords);
-        cache.categoryKeywords[cat.id] = keywords;
-        cache.categoryHighPriorityKeywords[cat.id] = [];
-      });
-
-      // Populate keywords from database
-      if (keywordsResult.success && keywordsResult.data && keywordsResult.data.length > 0) {
-        keywordsResult.data.forEach(kw => {
-          if (cache.categoryKeywords[kw.category_id]) {
-            cache.categoryKeywords[kw.category_id].push(kw.keyword);
-            if (kw.is_high_priority) {
-              cache.categoryHighPriorityKeywords[kw.category_id].push(kw.keyword);
-            }
-          }
-        });
-        Logger.debug(`[analyzeCategory] Loaded ${keywordsResult.data.length} keywords from database`);
-      } else {
-        Logger.warn(`[analyzeCategory] No keywords found in database. Using category names only.`);
-      }
-
-      // Update cache
-      categoryCache = cache;
-      categoryCacheTimestamp = now;
-      Logger.debug(`[analyzeCategory] Cache updated with ${categories.length} categories`);
-    }
-
-    // Use cached data for analysis
-    const productNameLower = productName.toLowerCase();
-    let bestMatch = null;
-    let bestScore = 0;
-
-    categoryCache.categories.forEach(cat => {
-      const keywords = categoryCache.categoryKeywords[cat.id] || [];
-      let score = 0;
-      const matchedKeywords = [];
-      const highPriorityKeywords = categoryCache.categoryHighPriorityKeywords[cat.id] || [];
-
-      keywords.forEach(keyword => {
-        const keywordLower = keyword.toLowerCase();
-        const wordBoundaryRegex = new RegExp(`\\b${keywordLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        const isExactWord = wordBoundaryRegex.test(productNameLower);
-        const isSubstring = productNameLower.includes(keywordLower);
-        
-        if (isExactWord || isSubstring) {
-          const isHighPriority = highPriorityKeywords.some(highPriority => 
-            keywordLower === highPriority.toLowerCase() || 
-            keywordLower.includes(highPriority.toLowerCase()) || 
-            highPriority.toLowerCase().includes(keywordLower)
-          );
-          
-          if (keyword === cat.name.toLowerCase()) {
-            score += 20;
-            matchedKeywords.push(keyword);
-          } 
-          else if (categoryCache.categoryWords[cat.id] && categoryCache.categoryWords[cat.id].includes(keyword)) {
-            score += 15;
-            matchedKeywords.push(keyword);
-          }
-          else if (isHighPriority && isExactWord) {
-            score += 10;
-            matchedKeywords.push(keyword);
-          }
-          else if (isHighPriority && isSubstring) {
-            score += 5;
-            matchedKeywords.push(keyword);
-          }
-          else if (isExactWord) {
-            score += 5;
-            matchedKeywords.push(keyword);
-          }
-          else {
-            score += 1;
-            matchedKeywords.push(keyword);
-          }
-        }
-      });
-
-      // Bonus: Multiple keyword matches in same category
-      if (matchedKeywords.length > 1) {
-        score += matchedKeywords.length * 2;
-      }
-
-      // Bonus: Longer keyword matches (more specific)
-      matchedKeywords.forEach(keyword => {
-        if (keyword.length > 5) {
-          score += 2;
-        }
-      });
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = cat.id;
-      }
-    });
-
-    // Lower threshold: return category if score is at least 1 (any match)
-    if (bestScore > 0) {
-      Logger.success(`[analyzeCategory] Best match: Category ID ${bestMatch} with score ${bestScore}`);
-      return bestMatch;
-    } else {
-      Logger.info(`[analyzeCategory] No category match found (bestScore: ${bestScore})`);
-      return null;
-    }
-  } catch (error) {
-    Logger.error("[analyzeCategory] Category analysis error:", error);
-    return null;
-  }
-}
-
 router.post("/save-from-frontend", async (req, res) => {
   try {
     // Sanitize input
@@ -714,6 +508,18 @@ router.post("/save-from-frontend", async (req, res) => {
       return res.status(400).json(formatResponse(false, null, `Missing required fields: ${missing.join(", ")}`));
     }
 
+    // Only admins restore trashed products (POST /save or /:itemId/restore)
+    const trashedResult = await executeQuery(
+      "SELECT item_id FROM shopee_products WHERE item_id = ? AND deleted_at IS NOT NULL",
+      [String(productData.itemId)]
+    );
+    if (!trashedResult.success) {
+      throw new Error(trashedResult.error);
+    }
+    if (trashedResult.data.length > 0) {
+      return res.status(409).json(formatResponse(false, null, "Product is in the trash"));
+    }
+
     // Analyze and assign category automatically if not provided
     let categoryId = productData.category_id ? parseInt(productData.category_id) : null;
     
@@ -753,7 +559,7 @@ router.post("/save-from-frontend", async (req, res) => {
         status
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
-        product_name = VALUES(product_name),
+        ${lockedAssignment("product_name", "lock_title")},
         shop_name = VALUES(shop_name),
         shop_id = VALUES(shop_id),
         price = VALUES(price),
@@ -763,7 +569,7 @@ router.post("/save-from-frontend", async (req, res) => {
         seller_commission_rate = VALUES(seller_commission_rate),
         shopee_commission_rate = VALUES(shopee_commission_rate),
         commission_amount = VALUES(commission_amount),
-        image_url = VALUES(image_url),
+        ${lockedAssignment("image_url", "lock_image")},
         product_link = VALUES(product_link),
         offer_link = VALUES(offer_link),
         rating_star = VALUES(rating_star),
@@ -772,7 +578,7 @@ router.post("/save-from-frontend", async (req, res) => {
         period_start_time = VALUES(period_start_time),
         period_end_time = VALUES(period_end_time),
         campaign_active = VALUES(campaign_active),
-        category_id = VALUES(category_id),
+        ${lockedAssignment("category_id", "lock_category")},
         is_flash_sale = VALUES(is_flash_sale),
         source = VALUES(source),
         status = 'active',
@@ -808,9 +614,11 @@ router.post("/save-from-frontend", async (req, res) => {
 
     Logger.debug(`[Save-from-frontend] Saving product with categoryId: ${categoryId} (itemId: ${productData.itemId})`);
 
+    const previous = await beforeProductWrite(productData.itemId);
     const result = await executeQuery(upsertQuery, values);
     
     if (result.success) {
+      await afterProductWrite(productData.itemId, previous, "save-from-frontend");
       Logger.success(`[Save-from-frontend] Product saved successfully. InsertId: ${result.data.insertId}, categoryId: ${categoryId}`);
     } else {
       Logger.error(`[Save-from-frontend] Failed to save product: ${result.error}`);
@@ -873,7 +681,8 @@ router.get("/test-shopee", async (req, res) => {
       credentials: {
         APP_ID: APP_ID,
         APP_SECRET_LENGTH: APP_SECRET.length
-      }
+      },
+      client: getShopeeClientStatus()
     });
   } catch (error) {
     const isDevelopment = process.env.NODE_ENV === "development";
@@ -881,6 +690,8 @@ router.get("/test-shopee", async (req, res) => {
     res.json({
       success: false,
       error: error.message,
+      errorType: error.name,
+      client: getShopeeClientStatus(),
       ...(isDevelopment && { stack: error.stack })
     });
   }
@@ -939,106 +750,447 @@ router.post("/sync-single", requireAuth, async (req, res) => {
       throw new Error("Shopee API credentials not configured");
     }
 
-    // 1. Call Shopee API Search
-    const variables = {
-      keyword: searchName,
-      page: 1,
-      limit: 20 // Get enough results to find match
-    };
-
-    // Try ProductOfferV2 first
-    let shopeeData;
+    // 1. Search Shopee and find matching Item ID
+    let foundProduct = null;
     try {
-      shopeeData = await makeGraphQLRequest(PRODUCT_OFFER_QUERY, variables);
+      foundProduct = await findShopeeProduct(itemId, searchName);
     } catch (error) {
-      Logger.warn("ProductOfferV2 search failed during sync, trying fallback...");
-      // Fallback logic if needed, or just fail
+      // Shopee failed: keep the current status, only a successful search without a match deactivates
+      if (error instanceof ShopeeCircuitOpenError) {
+        return res.status(error.statusCode).json(formatResponse(false, null, "Shopee API is temporarily unavailable", error.message));
+      }
+      if (error instanceof ShopeeApiError) {
+        Logger.warn("ProductOfferV2 search failed during sync:", error.message);
+        return res.status(error.statusCode).json(formatResponse(false, null, "Shopee API request failed", error.message));
+      }
+      throw error;
     }
 
-    let foundProduct = null;
-    let newStatus = 'inactive';
-
-    if (shopeeData && shopeeData.data && shopeeData.data.productOfferV2 && shopeeData.data.productOfferV2.nodes) {
-      const results = shopeeData.data.productOfferV2.nodes;
-      
-      // 2. Find matching Item ID
-      foundProduct = results.find(p => String(p.itemId) === String(itemId));
-      
-      if (foundProduct) {
-        newStatus = 'active';
-        Logger.success(`Match found for ${itemId}. Status -> active`);
+    if (foundProduct) {
+      Logger.success(`Match found for ${itemId}, refreshing details`);
+    } else {
+      Logger.warn(`No match found for ${itemId} in search results. Status -> inactive`);
+    }
+
+    // 2. Update Database
+    const syncResult = await applySyncResult(itemId, foundProduct, {
+      source: "sync-single",
+      userId: req.user?.id || null
+    });
+
+    res.json(formatResponse(true, syncResult, `Product synced. Status: ${syncResult.status}`));
+
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to sync product", 500, formatResponse);
+    res.status(500).json(formatResponse(false, null, "Failed to sync product", error.message));
+  }
+});
+
+// Bulk import products from a pasted list of item IDs / Shopee URLs or a CSV upload
+// multipart/form-data: file (CSV) and/or items (text), or JSON: { items: "..." | [] }
+router.post("/import", requireAuth, (req, res, next) => {
+  importUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error.message));
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!APP_ID || !APP_SECRET) {
+      throw new Error("Shopee API credentials not configured");
+    }
+
+    const entries = buildImportEntries({
+      items: req.body?.items,
+      csv: req.file ? req.file.buffer.toString("utf8") : null
+    });
+
+    if (entries.length === 0) {
+      return res.status(400).json(formatResponse(false, null, "No item IDs or URLs provided"));
+    }
+
+    if (entries.length > IMPORT_MAX_ROWS) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `Too many rows (${entries.length}). Maximum is ${IMPORT_MAX_ROWS} per import`));
+    }
+
+    const report = await importProducts(entries, { userId: req.user?.id || null });
+
+    res.json(
+      formatResponse(
+        true,
+        report,
+        `Import finished: ${report.summary.inserted} inserted, ${report.summary.updated} updated, ${report.summary.notFound} not found, ${report.summary.invalid} invalid, ${report.summary.failed} failed`
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to import products", 500, formatResponse);
+  }
+});
+
+// Filter keys accepted by POST /bulk (same meaning as the GET /saved query)
+const BULK_FILTER_KEYS = ["status", "category_id", "tag_id", "search", "expiring_within_hours"];
+
+/**
+ * Resolve the products targeted by a bulk request
+ * @param {Object} body - { itemIds } or { filter } (GET /saved filters)
+ * @returns {Promise<Object>} { itemIds } or { error }
+ */
+async function resolveBulkItemIds(body) {
+  if (body.itemIds !== undefined && body.filter !== undefined) {
+    return { error: "Provide either itemIds or filter, not both" };
+  }
+
+  if (body.itemIds !== undefined) {
+    const itemIds = normalizeItemIds(body.itemIds);
+    if (!itemIds || itemIds.length === 0) {
+      return { error: "itemIds must be a non-empty array of item IDs" };
+    }
+    return { itemIds };
+  }
+
+  const filter = body.filter;
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+    return { error: "itemIds or filter is required" };
+  }
+  // An empty filter would select every saved product
+  const query = {};
+  for (const key of BULK_FILTER_KEYS) {
+    if (filter[key] !== undefined && filter[key] !== null) {
+      query[key] = String(filter[key]);
+    }
+  }
+  if (Object.keys(query).length === 0) {
+    return { error: `filter must contain at least one of: ${BULK_FILTER_KEYS.join(", ")}` };
+  }
+
+  const { joinClause, whereClause, queryParams } = await buildSavedProductsFilters(query);
+  const result = await executeQuery(
+    `SELECT DISTINCT p.item_id FROM shopee_products p ${joinClause} ${whereClause}
+     ORDER BY p.item_id ASC
+     LIMIT ${parseInt(BULK_MAX_ITEMS) + 1}`,
+    queryParams
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return { itemIds: result.data.map((row) => String(row.item_id)) };
+}
+
+// Apply one action to many saved products, by item IDs or by a GET /saved filter
+// Body: { action, itemIds | filter, categoryId (set-category), tagIds (add-tags / remove-tags) }
+router.post("/bulk", requireAuth, async (req, res) => {
+  try {
+    // Sanitize input
+    req.body = sanitizeObject(req.body);
+    const { action } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json(formatResponse(false, null, `action must be one of: ${BULK_ACTIONS.join(", ")}`));
+    }
+
+    const options = {};
+    if (action === "set-category") {
+      // null (or "") removes the category
+      if (req.body.categoryId === undefined) {
+        return res.status(400).json(formatResponse(false, null, "categoryId is required (null removes the category)"));
+      }
+      if (req.body.categoryId !== null && req.body.categoryId !== "") {
+        options.categoryId = parseInt(req.body.categoryId);
+        const categoryResult = Number.isInteger(options.categoryId)
+          ? await executeQuery("SELECT id FROM categories WHERE id = ? AND deleted_at IS NULL", [options.categoryId])
+          : { success: true, data: [] };
+        if (!categoryResult.success) {
+          throw new Error(categoryResult.error);
+        }
+        if (categoryResult.data.length === 0) {
+          return res.status(400).json(formatResponse(false, null, "Category not found"));
+        }
       } else {
-        Logger.warn(`No match found for ${itemId} in search results. Status -> inactive`);
+        options.categoryId = null;
       }
-    } else {
-      Logger.warn(`No results from Shopee API for "${searchName}". Status -> inactive`);
+    } else if (action === "add-tags" || action === "remove-tags") {
+      const tagIds = Array.isArray(req.body.tagIds) ? [...new Set(req.body.tagIds.map((id) => parseInt(id)))] : [];
+      if (tagIds.length === 0 || tagIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+        return res.status(400).json(formatResponse(false, null, "tagIds must be a non-empty array of tag IDs"));
+      }
+      if (action === "add-tags") {
+        const tagResult = await executeQuery(
+          `SELECT id FROM tags WHERE id IN (${tagIds.map(() => "?").join(", ")}) AND deleted_at IS NULL`,
+          tagIds
+        );
+        if (!tagResult.success) {
+          throw new Error(tagResult.error);
+        }
+        const known = new Set(tagResult.data.map((row) => row.id));
+        const unknown = tagIds.filter((id) => !known.has(id));
+        if (unknown.length > 0) {
+          return res.status(400).json(formatResponse(false, { unknownTagIds: unknown }, "Some tags do not exist"));
+        }
+      }
+      options.tagIds = tagIds;
+    } else if (action === "resync" && (!APP_ID || !APP_SECRET)) {
+      throw new Error("Shopee API credentials not configured");
     }
 
-    // 3. Update Database
-    let updateQuery;
-    let queryParams;
+    const target = await resolveBulkItemIds(req.body);
+    if (target.error) {
+      return res.status(400).json(formatResponse(false, null, target.error));
+    }
 
-    if (foundProduct) {
-      // Update details and status to active
-      updateQuery = `
-        UPDATE shopee_products 
-        SET 
-          product_name = ?,
-          price = ?,
-          price_min = ?,
-          price_max = ?,
-          commission_rate = ?,
-          seller_commission_rate = ?,
-          shopee_commission_rate = ?,
-          commission_amount = ?,
-          image_url = ?,
-          rating_star = ?,
-          sales_count = ?,
-          discount_rate = ?,
-          status = 'active',
-          updated_at = CURRENT_TIMESTAMP
-        WHERE item_id = ?
-      `;
-      queryParams = [
-        foundProduct.productName,
-        foundProduct.price,
-        foundProduct.priceMin,
-        foundProduct.priceMax,
-        foundProduct.commissionRate,
-        foundProduct.sellerCommissionRate,
-        foundProduct.shopeeCommissionRate,
-        foundProduct.commission, // commission amount
-        foundProduct.imageUrl,
-        foundProduct.ratingStar,
-        foundProduct.sales,
-        foundProduct.priceDiscountRate || 0,
-        String(itemId)
-      ];
-    } else {
-      // Not found, set status to inactive
-      updateQuery = `
-        UPDATE shopee_products 
-        SET status = 'inactive', updated_at = CURRENT_TIMESTAMP 
-        WHERE item_id = ?
-      `;
-      queryParams = [String(itemId)];
+    const maxItems = action === "resync" ? BULK_RESYNC_MAX_ITEMS : BULK_MAX_ITEMS;
+    if (target.itemIds.length > maxItems) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `Too many products selected. Maximum is ${maxItems} per ${action} request`));
     }
 
-    const result = await executeQuery(updateQuery, queryParams);
+    const report = await runBulkAction(target.itemIds, action, { ...options, userId: req.user?.id || null });
 
-    if (result.success) {
-      res.json(formatResponse(true, { 
-        status: newStatus, 
-        found: !!foundProduct,
-        updated: result.data.affectedRows > 0
-      }, `Product synced. Status: ${newStatus}`));
-    } else {
-      throw new Error(result.error || "Failed to update database");
+    res.json(
+      formatResponse(
+        true,
+        report,
+        `Bulk ${action} finished: ${report.summary.updated} updated, ${report.summary.unchanged} unchanged, ${report.summary.notFound} not found, ${report.summary.failed} failed`
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to run bulk action", 500, formatResponse);
+  }
+});
+
+// Trigger a full resync of all saved products (runs in background)
+router.post("/sync-all", requireAuth, async (req, res) => {
+  try {
+    if (isFullSyncRunning()) {
+      return res.status(409).json(formatResponse(false, null, "A product sync run is already in progress"));
     }
 
+    runFullSync({ triggerType: "manual", triggeredBy: req.user?.id || null }).catch((error) => {
+      Logger.error("[ProductSync] Manual sync run failed:", error.message);
+    });
+
+    res.status(202).json(formatResponse(true, null, "Product sync started"));
   } catch (error) {
-    return handleErrorWithFormat(error, res, "Failed to sync product", 500, formatResponse);
-    res.status(500).json(formatResponse(false, null, "Failed to sync product", error.message));
+    return handleErrorWithFormat(error, res, "Failed to start product sync", 500, formatResponse);
+  }
+});
+
+// Get recent product sync runs (summary per run)
+router.get("/sync-runs", requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await getSyncRuns(limit);
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          runs,
+          isRunning: isFullSyncRunning()
+        },
+        "Sync runs retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve sync runs", 500, formatResponse);
+  }
+});
+
+// Get a single product sync run with failed item details
+router.get("/sync-runs/:runId", requireAuth, async (req, res) => {
+  try {
+    const run = await getSyncRun(parseInt(req.params.runId));
+
+    if (!run) {
+      return res.status(404).json(formatResponse(false, null, "Sync run not found"));
+    }
+
+    res.json(formatResponse(true, run, "Sync run retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve sync run", 500, formatResponse);
+  }
+});
+
+// Get price/commission history of a saved product (e.g. lowest price in 30 days)
+router.get("/:itemId/history", requireAuth, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const productResult = await executeQuery("SELECT item_id FROM shopee_products WHERE item_id = ?", [itemId]);
+    if (!productResult.success) {
+      throw new Error(productResult.error);
+    }
+    if (productResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const history = await getProductHistory(itemId, { days: req.query.days });
+
+    res.json(formatResponse(true, { itemId, ...history }, "Product history retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve product history", 500, formatResponse);
+  }
+});
+
+// Change timeline of a product (every write with its source, admin user and changed fields)
+router.get("/:itemId/changes", requireAuth, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const changeLog = await getProductChangeLog(itemId, { page, limit });
+
+    // The log outlives purged products; only unknown item IDs are 404
+    if (changeLog.total === 0) {
+      const productResult = await executeQuery("SELECT item_id FROM shopee_products WHERE item_id = ?", [itemId]);
+      if (!productResult.success) {
+        throw new Error(productResult.error);
+      }
+      if (productResult.data.length === 0) {
+        return res.status(404).json(formatResponse(false, null, "Product not found"));
+      }
+    }
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          itemId,
+          data: changeLog.entries,
+          total: changeLog.total,
+          page,
+          limit,
+          totalPages: Math.ceil(changeLog.total / limit)
+        },
+        "Product changes retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve product changes", 500, formatResponse);
+  }
+});
+
+/**
+ * Validate editorial override input
+ * Only fields present in the body change; null or "" clears a value.
+ * Without an explicit locks.<field>, setting a value locks the field against
+ * sync and clearing it unlocks.
+ * @param {Object} body - { display_title, custom_image_url, notes, pinned_category_id,
+ *   locks: { title, image, category } }
+ * @returns {Promise<Object>} { values } or { error }
+ */
+async function buildOverrideValues(body) {
+  const values = {};
+  const isEmpty = (value) => value === null || value === "";
+
+  if (body.display_title !== undefined) {
+    const title = isEmpty(body.display_title) ? null : String(body.display_title).trim();
+    if (title !== null && (!title || title.length > 500)) {
+      return { error: "display_title must be 1-500 characters" };
+    }
+    values.display_title = title;
+  }
+
+  if (body.custom_image_url !== undefined) {
+    const imageUrl = isEmpty(body.custom_image_url) ? null : String(body.custom_image_url).trim();
+    if (imageUrl !== null && (imageUrl.length > 500 || !(isUploadUrl(imageUrl) || /^https?:\/\/[^\s"'<>]+$/i.test(imageUrl)))) {
+      return { error: "custom_image_url must be an uploads library path (/api/uploads/...) or an http(s) URL" };
+    }
+    values.custom_image_url = imageUrl;
+  }
+
+  if (body.notes !== undefined) {
+    values.notes = isEmpty(body.notes) ? null : String(body.notes);
+  }
+
+  if (body.pinned_category_id !== undefined) {
+    const categoryId = isEmpty(body.pinned_category_id) ? null : parseInt(body.pinned_category_id);
+    if (Number.isNaN(categoryId)) {
+      return { error: "pinned_category_id must be a category ID" };
+    }
+    if (categoryId !== null) {
+      const categoryResult = await executeQuery("SELECT id FROM categories WHERE id = ?", [categoryId]);
+      if (!categoryResult.success) {
+        throw new Error(categoryResult.error);
+      }
+      if (categoryResult.data.length === 0) {
+        return { error: "pinned_category_id does not match an existing category" };
+      }
+    }
+    values.pinned_category_id = categoryId;
+  }
+
+  const locks = body.locks && typeof body.locks === "object" ? body.locks : {};
+  for (const [lock, field] of Object.entries(OVERRIDE_LOCKS)) {
+    const key = lock.replace("lock_", "");
+    if (locks[key] !== undefined) {
+      values[lock] = locks[key] ? 1 : 0;
+    } else if (values[field] !== undefined) {
+      values[lock] = values[field] === null ? 0 : 1;
+    }
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { error: "Nothing to update" };
+  }
+  return { values };
+}
+
+// Get editorial overrides of a saved product
+router.get("/:itemId/overrides", requireAuth, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const productResult = await executeQuery(
+      "SELECT item_id, product_name, image_url, category_id FROM shopee_products WHERE item_id = ?",
+      [itemId]
+    );
+    if (!productResult.success) {
+      throw new Error(productResult.error);
+    }
+    if (productResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const overrides = await getProductOverride(itemId);
+    res.json(
+      formatResponse(true, { product: productResult.data[0], overrides }, "Product overrides retrieved successfully")
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve product overrides", 500, formatResponse);
+  }
+});
+
+// Save editorial overrides (display title, custom image, notes, pinned category); kept through Shopee resync
+router.put("/:itemId", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const { itemId } = req.params;
+
+    const productResult = await executeQuery("SELECT item_id FROM shopee_products WHERE item_id = ?", [itemId]);
+    if (!productResult.success) {
+      throw new Error(productResult.error);
+    }
+    if (productResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const { values, error } = await buildOverrideValues(req.body);
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const previous = await beforeProductWrite(itemId);
+    const overrides = await saveProductOverride(itemId, values, req.user?.id || null);
+    await afterProductWrite(itemId, previous, "override", { userId: req.user?.id || null });
+
+    res.json(formatResponse(true, { itemId, overrides }, "Product overrides saved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to save product overrides", 500, formatResponse);
   }
 });
 
@@ -1054,12 +1206,19 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "Invalid status. Must be 'active' or 'inactive'"));
     }
 
+    const productResult = await executeQuery("SELECT item_id FROM shopee_products WHERE id = ?", [id]);
+    const itemId = productResult.success && productResult.data.length > 0 ? String(productResult.data[0].item_id) : null;
+    const previous = itemId ? await beforeProductWrite(itemId) : null;
+
     const result = await executeQuery(
-      "UPDATE shopee_products SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      "UPDATE shopee_products SET status = ?, status_source = 'admin', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
       [status, id]
     );
 
     if (result.success && result.data.affectedRows > 0) {
+      if (itemId) {
+        await afterProductWrite(itemId, previous, "status", { userId: req.user?.id || null });
+      }
       res.json(formatResponse(true, null, "Product status updated successfully"));
     } else {
       res.status(404).json(formatResponse(false, null, "Product not found"));
@@ -1072,7 +1231,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
   }
 });
 
-// Update flash sale status
+// Update flash sale status: pins/unpins the product in every flash-sale slot
 router.patch("/:id/flash-sale", requireAuth, async (req, res) => {
   try {
     // Sanitize input
@@ -1084,25 +1243,45 @@ router.patch("/:id/flash-sale", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "isFlashSale must be a boolean"));
     }
 
-    const result = await executeQuery(
-      "UPDATE shopee_products SET is_flash_sale = ?, updated_at = CURRENT_TIMESTAMP WHERE item_id = ?",
-      [isFlashSale ? 1 : 0, id]
-    );
-
-    if (result.success && result.data.affectedRows > 0) {
+    const found = await setFlashSalePin(id, isFlashSale, req.user?.id || null);
+    if (found) {
       res.json(formatResponse(true, null, "Flash sale status updated successfully"));
     } else {
       res.status(404).json(formatResponse(false, null, "Product not found"));
     }
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to update flash sale status", 500, formatResponse);
-    const isDevelopment = process.env.NODE_ENV === "development";
-    const errorMessage = isDevelopment ? error.message : "Failed to update flash sale status. Please try again.";
-    res.status(500).json(formatResponse(false, null, "Failed to update flash sale status", errorMessage));
   }
 });
 
-// Delete product by itemId (specific route must come before parameterized route)
+// Trashed products, newest first (specific route must come before parameterized routes)
+router.get("/trash", requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const trash = await getTrash("products", { page, limit });
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          data: trash.items,
+          total: trash.total,
+          page,
+          limit,
+          totalPages: Math.ceil(trash.total / limit),
+          retentionDays: trash.retentionDays
+        },
+        "Trashed products retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to fetch trashed products", 500, formatResponse);
+  }
+});
+
+// Move product to the trash by itemId (specific route must come before parameterized route)
 router.delete("/delete", requireAuth, async (req, res) => {
   try {
     const { itemId } = req.body;
@@ -1113,49 +1292,228 @@ router.delete("/delete", requireAuth, async (req, res) => {
 
     Logger.debug("Delete request - itemId:", itemId);
 
-    const deleteQuery = `DELETE FROM shopee_products WHERE item_id = ?`;
-    const result = await executeQuery(deleteQuery, [String(itemId)]);
-
-    if (result.success && result.data.affectedRows > 0) {
-      res.json(
-        formatResponse(
-          true,
-          {
-            affectedRows: result.data.affectedRows
-          },
-          "Product deleted successfully"
-        )
-      );
-    } else if (result.success && result.data.affectedRows === 0) {
-      res.status(404).json(formatResponse(false, null, "Product not found"));
+    const previous = await beforeProductWrite(itemId);
+    if (await trashProduct(itemId)) {
+      await afterProductWrite(itemId, previous, "trash", { userId: req.user?.id || null });
+      res.json(formatResponse(true, { itemId: String(itemId) }, "Product moved to trash"));
     } else {
-      throw new Error(result.error);
+      res.status(404).json(formatResponse(false, null, "Product not found"));
     }
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete product", 500, formatResponse);
-    const isDevelopment = process.env.NODE_ENV === "development";
-    const errorMessage = isDevelopment ? error.message : "Failed to delete product. Please try again.";
-    res.status(500).json(formatResponse(false, null, "Failed to delete product", errorMessage));
   }
 });
 
-// Delete product by ID (parameterized route comes after specific routes)
+// Restore a trashed product with its category and tags
+router.post("/:itemId/restore", requireAuth, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const previous = await beforeProductWrite(itemId);
+    if (await restoreProduct(itemId)) {
+      await afterProductWrite(itemId, previous, "restore", { userId: req.user?.id || null });
+      res.json(formatResponse(true, { itemId: String(itemId) }, "Product restored successfully"));
+    } else {
+      res.status(404).json(formatResponse(false, null, "Product not found in trash"));
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to restore product", 500, formatResponse);
+  }
+});
+
+// Move product to the trash by ID (parameterized route comes after specific routes)
 router.delete("/:id", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await executeQuery("DELETE FROM shopee_products WHERE id = ?", [id]);
+    const productResult = await executeQuery(
+      "SELECT item_id FROM shopee_products WHERE id = ? AND deleted_at IS NULL",
+      [id]
+    );
+    if (!productResult.success) {
+      throw new Error(productResult.error);
+    }
 
-    if (result.success && result.data.affectedRows > 0) {
-      res.json(formatResponse(true, null, "Product deleted successfully"));
+    const itemId = productResult.data.length > 0 ? String(productResult.data[0].item_id) : null;
+    const previous = itemId ? await beforeProductWrite(itemId) : null;
+    if (itemId && (await trashProduct(itemId))) {
+      await afterProductWrite(itemId, previous, "trash", { userId: req.user?.id || null });
+      res.json(formatResponse(true, { itemId }, "Product moved to trash"));
     } else {
       res.status(404).json(formatResponse(false, null, "Product not found"));
     }
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete product", 500, formatResponse);
-    const isDevelopment = process.env.NODE_ENV === "development";
-    const errorMessage = isDevelopment ? error.message : "Failed to delete product. Please try again.";
-    res.status(500).json(formatResponse(false, null, "Failed to delete product", errorMessage));
+  }
+});
+
+/**
+ * Build the filter/sort clauses shared by GET /saved and GET /saved/export
+ * Without sort_by, search results are ordered by relevance.
+ * @param {Object} query - req.query (status, category_id, tag_id, search, sort_by, sort_order)
+ * @returns {Promise<Object>} { joinClause, whereClause, queryParams, orderClause, orderParams, searchTerms }
+ */
+async function buildSavedProductsFilters(query) {
+  const status = query.status || "all";
+  const categoryId = query.category_id || "all";
+  const tagId = query.tag_id || "all";
+  const search = query.search || "";
+  const sortBy = query.sort_by;
+  const sortOrder = query.sort_order === 'asc' ? 'ASC' : 'DESC';
+
+  // Build query with filters (trashed products are listed by GET /trash)
+  let whereClause = "WHERE p.deleted_at IS NULL";
+  let queryParams = [];
+  let joinClause = "";
+  let orderClause = "ORDER BY p.updated_at DESC"; // Default sort
+
+  if (sortBy) {
+    if (sortBy === 'date') {
+      orderClause = `ORDER BY p.created_at ${sortOrder}`;
+      Logger.debug(`Sorting by Date Added (created_at) ${sortOrder}`);
+    } else if (sortBy === 'commission') {
+      orderClause = `ORDER BY p.commission_amount ${sortOrder}`;
+      Logger.debug(`Sorting by Commission ${sortOrder}`);
+    } else if (sortBy === 'sales') {
+      orderClause = `ORDER BY p.sales_count ${sortOrder}`;
+      Logger.debug(`Sorting by Sales ${sortOrder}`);
+    } else if (sortBy === 'price') {
+      orderClause = `ORDER BY p.price ${sortOrder}`;
+      Logger.debug(`Sorting by Price ${sortOrder}`);
+    } else if (sortBy === 'expiry') {
+      orderClause = `ORDER BY p.period_end_time ${sortOrder}`;
+      Logger.debug(`Sorting by Offer End ${sortOrder}`);
+    }
+  } else if (status === "expiring-soon") {
+    orderClause = "ORDER BY p.period_end_time ASC"; // Soonest to expire first
+  }
+  
+  Logger.debug(`Final ORDER BY clause: ${orderClause}`);
+
+  if (status !== "all" && status !== "") {
+    if (status === "flash-sale") {
+      whereClause += " AND p.is_flash_sale = 1";
+    } else if (status === "expiring-soon") {
+      // Active products whose offer period ends within ?expiring_within_hours= (default 24)
+      const hours = Math.min(Math.max(parseFloat(query.expiring_within_hours) || DEFAULT_EXPIRING_WITHIN_HOURS, 1), 24 * 90);
+      whereClause +=
+        " AND p.status = 'active' AND p.period_end_time >= UNIX_TIMESTAMP() AND p.period_end_time <= UNIX_TIMESTAMP() + ?";
+      queryParams.push(Math.round(hours * 3600));
+    } else if (status === "expired") {
+      whereClause += " AND p.period_end_time > 0 AND p.period_end_time < UNIX_TIMESTAMP()";
+    } else {
+      whereClause += " AND p.status = ?";
+      queryParams.push(status);
+    }
+  }
+
+  if (categoryId !== "all" && categoryId !== "") {
+    whereClause += " AND p.category_id = ?";
+    queryParams.push(categoryId);
+  }
+
+  if (tagId !== "all" && tagId !== "") {
+    joinClause += " JOIN product_tags pt ON p.item_id = pt.product_item_id";
+    whereClause += " AND pt.tag_id = ?";
+    queryParams.push(tagId);
+  }
+
+  let orderParams = [];
+  let searchTerms = null;
+  const productSearch = await buildProductSearch(search, { matchItemId: true });
+  if (productSearch) {
+    whereClause += ` AND ${productSearch.whereSql}`;
+    queryParams.push(...productSearch.params);
+    searchTerms = productSearch.terms;
+    if (!sortBy) {
+      orderClause = `ORDER BY ${productSearch.orderSql}, p.updated_at DESC`;
+      orderParams = productSearch.orderParams;
+    }
+  }
+
+  return { joinClause, whereClause, queryParams, orderClause, orderParams, searchTerms };
+}
+
+// Export saved products as CSV or XLSX (same filters as GET /saved, all pages)
+router.get("/saved/export", requireAuth, async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json(formatResponse(false, null, `format must be one of: ${EXPORT_FORMATS.join(", ")}`));
+  }
+
+  const batchSize = 500;
+
+  try {
+    const { joinClause, whereClause, queryParams, orderClause, orderParams } = await buildSavedProductsFilters(req.query);
+
+    // Read the matching ids up front: background jobs update rows (updated_at) while a long
+    // export runs, so paging the sorted query itself could skip or repeat products
+    const idsResult = await executeQuery(
+      `SELECT p.id FROM shopee_products p ${joinClause} ${whereClause} ${orderClause}, p.id DESC`,
+      [...queryParams, ...orderParams]
+    );
+    if (!idsResult.success) {
+      throw new Error(`Select query failed: ${idsResult.error}`);
+    }
+    const productIds = idsResult.data.map((row) => row.id);
+
+    const loadBatch = async (offset) => {
+      const ids = productIds.slice(offset, offset + batchSize);
+      if (ids.length === 0) {
+        return [];
+      }
+      const batchResult = await executeQuery(
+        `SELECT p.id, p.item_id, c.name as category_name, ${EFFECTIVE_NAME_SQL} as product_name, p.price, p.price_min, p.price_max,
+                p.commission_rate, p.commission_amount, p.shop_name, p.shop_id, p.product_link, p.offer_link,
+                p.rating_star, p.sales_count, p.discount_rate, p.period_start_time, p.period_end_time,
+                p.status, p.is_flash_sale, p.created_at, p.updated_at
+         FROM shopee_products p
+         LEFT JOIN categories c ON p.category_id = c.id
+         ${PRODUCT_OVERRIDE_JOIN}
+         WHERE p.id IN (${ids.map(() => "?").join(", ")})`,
+        ids
+      );
+      if (!batchResult.success) {
+        throw new Error(`Select query failed: ${batchResult.error}`);
+      }
+      // Keep the export order; products deleted meanwhile are left out
+      const rowsById = new Map(batchResult.data.map((row) => [row.id, row]));
+      return ids.map((id) => rowsById.get(id)).filter(Boolean);
+    };
+
+    // Load the first batch before sending headers so query errors still get a JSON response
+    let offset = 0;
+    let rows = await loadBatch(offset);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader(
+      "Content-Type",
+      format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv; charset=utf-8"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="saved-products-${date}.${format}"`);
+
+    const writer = createProductExportWriter(format, res);
+    let exported = 0;
+
+    while (offset < productIds.length) {
+      await writer.writeRows(rows);
+      exported += rows.length;
+
+      offset += batchSize;
+      rows = await loadBatch(offset);
+    }
+
+    await writer.end();
+    Logger.info(`[Export] Exported ${exported} saved products as ${format.toUpperCase()}`);
+  } catch (error) {
+    if (!res.headersSent) {
+      return handleErrorWithFormat(error, res, "Failed to export saved products", 500, formatResponse);
+    }
+    // Headers already sent: abort so the client doesn't keep a truncated file as complete
+    Logger.error("[Export] Export failed mid-stream:", error.message);
+    res.destroy(error);
   }
 });
 
@@ -1168,60 +1526,13 @@ router.get("/saved", requireAuth, async (req, res) => {
     const status = req.query.status || "all";
     const categoryId = req.query.category_id || "all";
     const tagId = req.query.tag_id || "all";
-    const search = req.query.search || "";
     const sortBy = req.query.sort_by;
     const sortOrder = req.query.sort_order === 'asc' ? 'ASC' : 'DESC';
 
     Logger.debug(`Fetching saved products: page=${page}, limit=${limit}, status=${status}, category=${categoryId}, tag=${tagId}, sort=${sortBy}:${sortOrder}`);
 
-    // Build query with filters
-    let whereClause = "WHERE 1=1";
-    let queryParams = [];
-    let joinClause = "";
-    let orderClause = "ORDER BY p.updated_at DESC"; // Default sort
-
-    if (sortBy) {
-        if (sortBy === 'date') {
-            orderClause = `ORDER BY p.created_at ${sortOrder}`;
-            Logger.debug(`Sorting by Date Added (created_at) ${sortOrder}`);
-        } else if (sortBy === 'commission') {
-            orderClause = `ORDER BY p.commission_amount ${sortOrder}`;
-            Logger.debug(`Sorting by Commission ${sortOrder}`);
-        } else if (sortBy === 'sales') {
-            orderClause = `ORDER BY p.sales_count ${sortOrder}`;
-            Logger.debug(`Sorting by Sales ${sortOrder}`);
-        } else if (sortBy === 'price') {
-            orderClause = `ORDER BY p.price ${sortOrder}`;
-            Logger.debug(`Sorting by Price ${sortOrder}`);
-        }
-    }
-    
-    Logger.debug(`Final ORDER BY clause: ${orderClause}`);
-
-    if (status !== "all" && status !== "") {
-      if (status === "flash-sale") {
-        whereClause += " AND p.is_flash_sale = 1";
-      } else {
-        whereClause += " AND p.status = ?";
-        queryParams.push(status);
-      }
-    }
-
-    if (categoryId !== "all" && categoryId !== "") {
-      whereClause += " AND p.category_id = ?";
-      queryParams.push(categoryId);
-    }
-
-    if (tagId !== "all" && tagId !== "") {
-      joinClause += " JOIN product_tags pt ON p.item_id = pt.product_item_id";
-      whereClause += " AND pt.tag_id = ?";
-      queryParams.push(tagId);
-    }
-
-    if (search.trim()) {
-      whereClause += " AND (p.product_name LIKE ? OR p.shop_name LIKE ? OR p.item_id LIKE ?)";
-      queryParams.push(`%${search.trim()}%`, `%${search.trim()}%`, `%${search.trim()}%`);
-    }
+    const { joinClause, whereClause, queryParams, orderClause, orderParams, searchTerms } =
+      await buildSavedProductsFilters(req.query);
 
     // Get total count
     // Use COUNT(DISTINCT p.id) to handle potential duplicates from joins if logic changes, strictly safe
@@ -1231,14 +1542,17 @@ router.get("/saved", requireAuth, async (req, res) => {
     // MySQL TIMESTAMP is stored in UTC but returned in connection timezone (+07:00)
     // We'll format it consistently in the frontend
     const selectQuery = `
-      SELECT DISTINCT p.id, p.item_id, p.category_id, c.name as category_name, p.product_name, p.price, p.price_min, p.price_max, 
+      SELECT DISTINCT p.id, p.item_id, p.category_id, c.name as category_name, ${EFFECTIVE_NAME_SQL} as product_name, p.price, p.price_min, p.price_max, 
              p.commission_rate, p.commission_amount, p.seller_commission_rate, p.shopee_commission_rate,
-             p.image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star, 
+             ${EFFECTIVE_IMAGE_SQL} as image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star, 
              p.sales_count, p.discount_rate, p.period_start_time, p.period_end_time, 
              p.status, p.campaign_active, p.is_flash_sale, 
+             p.product_name as shopee_product_name, p.image_url as shopee_image_url, po.notes,
+             (po.product_item_id IS NOT NULL) as has_overrides,
              p.created_at, p.updated_at
       FROM shopee_products p
       LEFT JOIN categories c ON p.category_id = c.id
+      ${PRODUCT_OVERRIDE_JOIN}
       ${joinClause}
       ${whereClause}
       ${orderClause}
@@ -1248,7 +1562,7 @@ router.get("/saved", requireAuth, async (req, res) => {
     // Execute queries
     const [countResult, productsResult] = await Promise.all([
       executeQuery(countQuery, queryParams),
-      executeQuery(selectQuery, queryParams)
+      executeQuery(selectQuery, [...queryParams, ...orderParams])
     ]);
 
     if (!countResult.success) {
@@ -1260,7 +1574,7 @@ router.get("/saved", requireAuth, async (req, res) => {
     }
 
     const totalCount = countResult.data[0]?.total || 0;
-    const products = productsResult.data || [];
+    const products = searchTerms ? addSearchHighlights(productsResult.data || [], searchTerms) : productsResult.data || [];
 
     Logger.debug(`Returning ${products.length} saved products (${totalCount} total)`);
 
@@ -1300,13 +1614,15 @@ router.patch("/status", requireAuth, async (req, res) => {
   
       const updateQuery = `
         UPDATE shopee_products 
-        SET status = ?, updated_at = CURRENT_TIMESTAMP 
+        SET status = ?, status_source = 'admin', updated_at = CURRENT_TIMESTAMP 
         WHERE item_id = ?
       `;
   
+      const previous = await beforeProductWrite(itemId);
       const result = await executeQuery(updateQuery, [status, String(itemId)]);
   
       if (result.success && result.data.affectedRows > 0) {
+        await afterProductWrite(itemId, previous, "status", { userId: req.user?.id || null });
         res.json(
           formatResponse(
             true,
@@ -1326,171 +1642,168 @@ router.patch("/status", requireAuth, async (req, res) => {
     }
   });
 
-// Public endpoint for client - Get Flash Sale products (auto-select top 6 by price & sales)
+// Public endpoint for client - Get the current flash-sale slot (read-only, see flashSaleService)
 router.get("/flash-sale", async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const effectiveLimit = Math.min(limit, 20); // แสดงสูงสุด 20 ตัว
-    const offset = (page - 1) * effectiveLimit;
-
-    Logger.debug(`[Public] Auto-selecting Flash Sale products: page=${page}, limit=${effectiveLimit}`);
-
-    // 1) เลือกสินค้าที่เข้าเงื่อนไข Flash Sale อัตโนมัติจากทั้งตาราง
-    //    - ต้อง active
-    //    - ถ้ามี campaign_active = 1 และอยู่ในช่วงเวลา → ใช้ได้
-    //    - ถ้าไม่มี campaign_active หรือ campaign_active = 0 → ก็ใช้ได้ (เพื่อให้มีสินค้าแสดง)
-    //    - ถ้ามี period_start_time / period_end_time ให้เช็คให้อยู่ในช่วงเวลา NOW
-    //    - เรียงลำดับ: ราคาถูกที่สุดก่อน แล้วตามด้วยยอดขายสูงสุด
-    const selectQuery = `
-      SELECT DISTINCT 
-        p.id, p.item_id, p.category_id, c.name as category_name, 
-        p.product_name, p.price, p.price_min, p.price_max, 
-        p.commission_rate, p.commission_amount,
-        p.image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star, 
-        p.sales_count, p.discount_rate, 
-        p.status, p.is_flash_sale, p.period_start_time, p.period_end_time, p.campaign_active, p.updated_at
-      FROM shopee_products p
-      LEFT JOIN categories c ON p.category_id = c.id
-      WHERE 
-        p.status = 'active'
-        AND (
-          -- กรณี 1: ไม่ตั้งเวลาเลย → แสดงได้
-          ( (p.period_start_time IS NULL OR p.period_start_time = 0) 
-            AND (p.period_end_time IS NULL OR p.period_end_time = 0) )
-          OR
-          -- กรณี 2: ตั้งเวลาแล้ว และอยู่ในช่วงเวลาปัจจุบัน → แสดงได้
-          ( p.period_start_time IS NOT NULL 
-            AND p.period_start_time > 0 
-            AND p.period_start_time <= UNIX_TIMESTAMP()
-            AND p.period_end_time IS NOT NULL
-            AND p.period_end_time > 0
-            AND p.period_end_time >= UNIX_TIMESTAMP()
-          )
-        )
-      ORDER BY 
-        p.price ASC,
-        p.sales_count DESC,
-        p.updated_at DESC
-    `;
+    const limit = Math.min(parseInt(req.query.limit) || 20, FLASH_SALE_SLOT_SIZE);
+    const offset = (page - 1) * limit;
 
-    const productsResult = await executeQuery(selectQuery);
+    const slot = await getCurrentSlot();
+    const flashSaleProducts = slot ? await getSlotProducts(slot.id, { limit, offset }) : [];
 
-    if (!productsResult.success) {
-      throw new Error(`Query failed: ${productsResult.error}`);
-    }
-
-    let allProducts = productsResult.data || [];
-    
-    // Random shuffle products
-    for (let i = allProducts.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allProducts[i], allProducts[j]] = [allProducts[j], allProducts[i]];
-    }
-    
-    // Take only the requested limit
-    const flashSaleProducts = allProducts.slice(offset, offset + effectiveLimit);
-
-    // 2) อัปเดตสถานะ is_flash_sale ให้เฉพาะชุดที่เลือก (สูงสุด 20 ตัว)
-    //    - เคลียร์ is_flash_sale ทั้งหมดก่อน
-    //    - จากนั้นตั้ง is_flash_sale = 1 เฉพาะ item_id ที่อยู่ใน flashSaleProducts
-    const clearFlashSaleQuery = `
-      UPDATE shopee_products
-      SET is_flash_sale = 0, updated_at = CURRENT_TIMESTAMP
-      WHERE is_flash_sale = 1
-    `;
-    await executeQuery(clearFlashSaleQuery);
-
-    if (flashSaleProducts.length > 0) {
-      const itemIds = flashSaleProducts
-        .map(p => p.item_id)
-        .filter(id => id !== null && id !== undefined);
-
-      if (itemIds.length > 0) {
-        const placeholders = itemIds.map(() => "?").join(",");
-        const markFlashSaleQuery = `
-          UPDATE shopee_products
-          SET is_flash_sale = 1, updated_at = CURRENT_TIMESTAMP
-          WHERE item_id IN (${placeholders})
-        `;
-        await executeQuery(markFlashSaleQuery, itemIds);
-      }
-    }
-
-    res.json(formatResponse(true, flashSaleProducts, "Flash Sale products retrieved successfully"));
+    res.json({
+      ...formatResponse(true, flashSaleProducts, "Flash Sale products retrieved successfully"),
+      slot: slot ? { start: slot.slot_start, end: slot.slot_end, rule: slot.rule } : null
+    });
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to retrieve flash sale products", 500, formatResponse);
-    const isDevelopment = process.env.NODE_ENV === "development";
-    const errorMessage = isDevelopment ? error.message : "Failed to retrieve flash sale products. Please try again.";
-    res.status(500).json(formatResponse(false, null, "Failed to retrieve flash sale products", errorMessage));
   }
 });
 
 // Public endpoint for client - Get active products with filtering
 router.get("/public", async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = (page - 1) * limit;
-    const categoryId = req.query.category_id || "all";
-    // Handle multiple tag IDs (support multiple tag_id query params)
-    const tagIds = Array.isArray(req.query.tag_id) 
-      ? req.query.tag_id 
-      : req.query.tag_id 
-        ? [req.query.tag_id] 
-        : [];
-    const search = req.query.search || "";
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const includeFacets = req.query.facets !== "false";
 
-    Logger.debug(`[Public] Fetching products: page=${page}, limit=${limit}, category=${categoryId}, tags=${tagIds.join(',')}`);
+    Logger.debug(`[Public] Fetching products: limit=${limit}, filters=${JSON.stringify(req.query)}`);
 
-    // Build query with filters - only active products
-    let whereClause = "WHERE p.status = 'active'";
-    let queryParams = [];
-    let joinClause = "";
+    // Filters (category, tags, search, price, rating, discount, shop, flash sale)
+    const { conditions, productSearch } = await buildPublicProductFilters(req.query);
 
-    if (categoryId !== "all" && categoryId !== "") {
-      whereClause += " AND p.category_id = ?";
-      queryParams.push(categoryId);
+    // Sort mode: relevance by default when searching, newest otherwise
+    const sort = req.query.sort || (productSearch ? "relevance" : "newest");
+    const sortMode = PUBLIC_SORT_MODES[sort];
+    if (!sortMode || (sort === "relevance" && !productSearch)) {
+      const validSorts = Object.keys(PUBLIC_SORT_MODES).join(", ");
+      return res.status(400).json(formatResponse(false, null, `sort must be one of: ${validSorts} (relevance requires search)`));
     }
 
-    if (tagIds.length > 0 && tagIds[0] !== "all" && tagIds[0] !== "") {
-      joinClause += " JOIN product_tags pt ON p.item_id = pt.product_item_id";
-      whereClause += " AND pt.tag_id IN (" + tagIds.map(() => "?").join(",") + ")";
-      queryParams.push(...tagIds);
+    // Position: opaque cursor from the previous response, or legacy ?page=
+    let position = null;
+    if (req.query.cursor) {
+      position = decodeCursor(req.query.cursor, sort);
+      if (!position) {
+        return res.status(400).json(formatResponse(false, null, "Invalid or expired cursor"));
+      }
     }
 
-    if (search.trim()) {
-      whereClause += " AND (p.product_name LIKE ? OR p.shop_name LIKE ?)";
-      queryParams.push(`%${search.trim()}%`, `%${search.trim()}%`);
+    const { whereClause, queryParams } = buildWhereClause(conditions);
+    let pageWhereClause = whereClause;
+    let pageParams = [...queryParams];
+    let orderClause;
+    let orderParams = [];
+    let offset = 0;
+
+    if (sort === "relevance") {
+      offset = position ? position.o : (Math.max(parseInt(req.query.page) || 1, 1) - 1) * limit;
+      orderClause = `ORDER BY ${productSearch.orderSql}, p.id DESC`;
+      orderParams = productSearch.orderParams;
+    } else {
+      if (position) {
+        const cursorCondition = buildCursorCondition(sortMode, position);
+        pageWhereClause += ` AND ${cursorCondition.sql}`;
+        pageParams.push(...cursorCondition.params);
+      } else {
+        offset = (Math.max(parseInt(req.query.page) || 1, 1) - 1) * limit;
+      }
+      orderClause = `ORDER BY sort_value ${sortMode.direction}, p.id ${sortMode.direction}`;
     }
 
-    // Get products
+    // Get products (one extra row tells whether there is a next page)
     const selectQuery = `
-      SELECT DISTINCT p.id, p.item_id, p.category_id, c.name as category_name, p.product_name, p.price, p.price_min, p.price_max, 
+      SELECT p.id, p.item_id, p.category_id, c.name as category_name, ${EFFECTIVE_NAME_SQL} as product_name, p.price, p.price_min, p.price_max, 
              p.commission_rate, p.commission_amount,
-             p.image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star, 
+             ${EFFECTIVE_IMAGE_SQL} as image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star, 
              p.sales_count, p.discount_rate, 
-             p.status, p.is_flash_sale, p.updated_at
+             p.status, p.is_flash_sale, p.updated_at${sortMode.expression ? `,
+             ${sortMode.expression} as sort_value` : ""}
       FROM shopee_products p
       LEFT JOIN categories c ON p.category_id = c.id
-      ${joinClause}
-      ${whereClause}
-      ORDER BY p.updated_at DESC
-      LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+      ${PRODUCT_OVERRIDE_JOIN}
+      ${pageWhereClause}
+      ${orderClause}
+      LIMIT ${limit + 1} OFFSET ${parseInt(offset)}
     `;
 
-    const productsResult = await executeQuery(selectQuery, queryParams);
+    const [productsResult, countResult, facets] = await Promise.all([
+      executeQuery(selectQuery, [...pageParams, ...orderParams]),
+      executeQuery(`SELECT COUNT(*) as total FROM shopee_products p ${whereClause}`, queryParams),
+      includeFacets ? getPublicProductFacets(conditions) : null
+    ]);
 
     if (!productsResult.success) {
       throw new Error(`Query failed: ${productsResult.error}`);
     }
+    if (!countResult.success) {
+      throw new Error(`Count query failed: ${countResult.error}`);
+    }
+
+    const hasMore = productsResult.data.length > limit;
+    const rows = productsResult.data.slice(0, limit);
+    const lastRow = rows[rows.length - 1];
+
+    let nextCursor = null;
+    if (hasMore && lastRow) {
+      nextCursor =
+        sort === "relevance"
+          ? encodeCursor({ s: sort, o: offset + limit })
+          : encodeCursor({ s: sort, v: lastRow.sort_value, id: lastRow.id });
+    }
 
-    res.json(formatResponse(true, productsResult.data, "Products retrieved successfully"));
+    const pageRows = rows.map(({ sort_value, ...product }) => product);
+    const products = productSearch ? addSearchHighlights(pageRows, productSearch.terms) : pageRows;
+
+    // pagination/facets sit next to data so clients reading data as the product array keep working
+    res.json({
+      ...formatResponse(true, products, "Products retrieved successfully"),
+      pagination: {
+        sort,
+        limit,
+        total: parseInt(countResult.data[0].total) || 0,
+        hasMore,
+        nextCursor
+      },
+      ...(facets ? { facets } : {})
+    });
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to retrieve products", 500, formatResponse);
-    const isDevelopment = process.env.NODE_ENV === "development";
-    const errorMessage = isDevelopment ? error.message : "Failed to retrieve products. Please try again.";
-    res.status(500).json(formatResponse(false, null, "Failed to retrieve products", errorMessage));
+  }
+});
+
+// Get trending products ranked by sales growth (?window=24h|7d, category_id, tag_id and other /public filters)
+router.get("/trending", async (req, res) => {
+  try {
+    const window = req.query.window || DEFAULT_TRENDING_WINDOW;
+    const windowHours = parseTrendingWindow(window);
+    if (!windowHours) {
+      return res.status(400).json(formatResponse(false, null, "window must look like 24h or 7d and fit the snapshot retention"));
+    }
+
+    const { conditions } = await buildPublicProductFilters(req.query);
+    const { whereClause, queryParams } = buildWhereClause(conditions);
+    const products = await getTrendingProducts({ whereClause, queryParams, windowHours, limit: req.query.limit });
+
+    res.json(formatResponse(true, { window, windowHours, products }, "Trending products retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trending products", 500, formatResponse);
+  }
+});
+
+// Get a single public product with category, tags, discount info and related products
+router.get("/public/:itemId", async (req, res) => {
+  try {
+    const product = await getPublicProduct(req.params.itemId);
+    if (!product) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const related = await getRelatedProducts(product, req.query.related_limit);
+
+    res.json(formatResponse(true, { ...product, related }, "Product retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve product", 500, formatResponse);
   }
 });
 
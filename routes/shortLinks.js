@@ -0,0 +1,291 @@
+import express from "express";
+import { executeQuery } from "../config/database.js";
+import { formatResponse } from "../utils/helpers.js";
+import { requireAuth } from "./auth.js";
+import { sanitizeObject } from "../utils/sanitize.js";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { ShopeeApiError, ShopeeCircuitOpenError } from "../services/shopeeApiService.js";
+import {
+  LINK_CHANNEL_PATTERN,
+  SHOPEE_SUB_ID_PATTERN,
+  MAX_SUB_IDS,
+  getChannelSubIds,
+  getLinkChannel,
+  clearChannelShortLinks,
+  ensureShortLink
+} from "../services/shortLinkService.js";
+
+const router = express.Router();
+
+const MAX_BULK_ITEMS = 50;
+
+// Validate and normalize channel input (sub_ids: array of up to 5 sub-IDs)
+function buildChannelValues(body) {
+  if (!body.name || !String(body.name).trim()) {
+    return { error: "Channel name is required" };
+  }
+
+  const subIds = body.sub_ids === undefined ? [] : body.sub_ids;
+  if (!Array.isArray(subIds) || subIds.length > MAX_SUB_IDS) {
+    return { error: `sub_ids must be an array of at most ${MAX_SUB_IDS} values` };
+  }
+  const normalized = subIds.map((value) => String(value ?? "").trim());
+  if (normalized.some((value) => !SHOPEE_SUB_ID_PATTERN.test(value))) {
+    return { error: "Sub-IDs may only contain letters, digits and _ (max 50 characters)" };
+  }
+  while (normalized.length < MAX_SUB_IDS) {
+    normalized.push("");
+  }
+
+  return {
+    values: {
+      name: String(body.name).trim().slice(0, 100),
+      sub_id1: normalized[0],
+      sub_id2: normalized[1],
+      sub_id3: normalized[2],
+      sub_id4: normalized[3],
+      sub_id5: normalized[4],
+      is_active: body.is_active === undefined ? 1 : body.is_active ? 1 : 0
+    }
+  };
+}
+
+function mapChannel(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    name: row.name,
+    sub_ids: getChannelSubIds(row),
+    is_active: !!row.is_active,
+    link_count: row.link_count !== undefined ? parseInt(row.link_count) || 0 : undefined,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// ==================== Channels ====================
+
+// Get all channels with their number of cached links
+router.get("/channels", requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery(`
+      SELECT ch.*, (SELECT COUNT(*) FROM product_short_links l WHERE l.channel = ch.channel) as link_count
+      FROM affiliate_link_channels ch
+      ORDER BY ch.id ASC
+    `);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    res.json(formatResponse(true, result.data.map(mapChannel), "Link channels retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve link channels", 500, formatResponse);
+  }
+});
+
+// Create channel ({ channel, name, sub_ids, is_active })
+router.post("/channels", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const channel = String(req.body.channel || "").trim().toLowerCase();
+    if (!LINK_CHANNEL_PATTERN.test(channel)) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, "channel must be 1-30 lowercase letters, digits or _"));
+    }
+
+    const { values, error } = buildChannelValues(req.body);
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO affiliate_link_channels (channel, name, sub_id1, sub_id2, sub_id3, sub_id4, sub_id5, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [channel, values.name, values.sub_id1, values.sub_id2, values.sub_id3, values.sub_id4, values.sub_id5, values.is_active]
+    );
+
+    if (!result.success) {
+      if (result.error && result.error.includes("Duplicate entry")) {
+        return res.status(409).json(formatResponse(false, null, "Channel already exists"));
+      }
+      throw new Error(result.error);
+    }
+
+    res
+      .status(201)
+      .json(formatResponse(true, mapChannel({ id: result.data.insertId, channel, ...values }), "Link channel created successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to create link channel", 500, formatResponse);
+  }
+});
+
+// Update channel; cached links are dropped when the sub-IDs change
+router.put("/channels/:channel", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const existing = await getLinkChannel(req.params.channel);
+    if (!existing) {
+      return res.status(404).json(formatResponse(false, null, "Link channel not found"));
+    }
+
+    const { values, error } = buildChannelValues(req.body);
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const result = await executeQuery(
+      `UPDATE affiliate_link_channels SET
+         name = ?, sub_id1 = ?, sub_id2 = ?, sub_id3 = ?, sub_id4 = ?, sub_id5 = ?, is_active = ?
+       WHERE channel = ?`,
+      [values.name, values.sub_id1, values.sub_id2, values.sub_id3, values.sub_id4, values.sub_id5, values.is_active, existing.channel]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    let clearedLinks = 0;
+    if (getChannelSubIds(existing).join("-") !== getChannelSubIds(values).join("-")) {
+      clearedLinks = await clearChannelShortLinks(existing.channel);
+    }
+
+    res.json(
+      formatResponse(
+        true,
+        { ...mapChannel({ ...existing, ...values }), cleared_links: clearedLinks },
+        "Link channel updated successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update link channel", 500, formatResponse);
+  }
+});
+
+// Delete channel and its cached links
+router.delete("/channels/:channel", requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery("DELETE FROM affiliate_link_channels WHERE channel = ?", [req.params.channel]);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.affectedRows === 0) {
+      return res.status(404).json(formatResponse(false, null, "Link channel not found"));
+    }
+
+    await clearChannelShortLinks(req.params.channel);
+    res.json(formatResponse(true, null, "Link channel deleted successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to delete link channel", 500, formatResponse);
+  }
+});
+
+// ==================== Short links ====================
+
+// Short links of a product for every active channel, or one (?channel=&refresh=true)
+router.get("/products/:itemId", requireAuth, async (req, res) => {
+  try {
+    const productResult = await executeQuery("SELECT item_id, product_link FROM shopee_products WHERE item_id = ?", [
+      req.params.itemId
+    ]);
+    if (!productResult.success) {
+      throw new Error(productResult.error);
+    }
+    if (productResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const channelResult = req.query.channel
+      ? await executeQuery("SELECT * FROM affiliate_link_channels WHERE channel = ? AND is_active = 1", [req.query.channel])
+      : await executeQuery("SELECT * FROM affiliate_link_channels WHERE is_active = 1 ORDER BY id ASC");
+    if (!channelResult.success) {
+      throw new Error(channelResult.error);
+    }
+    if (req.query.channel && channelResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Link channel not found"));
+    }
+
+    const product = productResult.data[0];
+    const refresh = req.query.refresh === "true";
+    const links = [];
+
+    // One channel at a time: each miss is a Shopee call
+    for (const channel of channelResult.data) {
+      links.push(await ensureShortLink(product, channel, { refresh }));
+    }
+
+    res.json(formatResponse(true, { item_id: product.item_id, links }, "Short links retrieved successfully"));
+  } catch (error) {
+    const statusCode = error instanceof ShopeeApiError ? error.statusCode : 500;
+    return handleErrorWithFormat(error, res, "Failed to generate short links", statusCode, formatResponse);
+  }
+});
+
+// Generate short links for several products and one channel ({ item_ids, channel, refresh })
+router.post("/generate", requireAuth, async (req, res) => {
+  try {
+    req.body = sanitizeObject(req.body);
+    const itemIds = Array.isArray(req.body.item_ids)
+      ? [...new Set(req.body.item_ids.map((id) => String(id).trim()).filter((id) => /^\d+$/.test(id)))]
+      : [];
+
+    if (itemIds.length === 0) {
+      return res.status(400).json(formatResponse(false, null, "item_ids must be a non-empty array of item IDs"));
+    }
+    if (itemIds.length > MAX_BULK_ITEMS) {
+      return res.status(400).json(formatResponse(false, null, `At most ${MAX_BULK_ITEMS} items per request`));
+    }
+
+    const channel = await getLinkChannel(String(req.body.channel || ""));
+    if (!channel || !channel.is_active) {
+      return res.status(404).json(formatResponse(false, null, "Link channel not found"));
+    }
+
+    const productResult = await executeQuery(
+      `SELECT item_id, product_link FROM shopee_products WHERE item_id IN (${itemIds.map(() => "?").join(", ")})`,
+      itemIds
+    );
+    if (!productResult.success) {
+      throw new Error(productResult.error);
+    }
+    const products = new Map(productResult.data.map((row) => [String(row.item_id), row]));
+
+    const results = [];
+    let circuitOpen = false;
+    for (const itemId of itemIds) {
+      const product = products.get(itemId);
+      if (!product) {
+        results.push({ item_id: itemId, status: "not_found" });
+        continue;
+      }
+      if (circuitOpen) {
+        results.push({ item_id: itemId, status: "failed", error: "Shopee API is temporarily unavailable" });
+        continue;
+      }
+
+      try {
+        const link = await ensureShortLink(product, channel, { refresh: req.body.refresh === true });
+        results.push({ item_id: itemId, status: "ok", ...link });
+      } catch (error) {
+        circuitOpen = error instanceof ShopeeCircuitOpenError;
+        Logger.warn(`[ShortLinks] Failed to generate link for ${itemId} (${channel.channel}):`, error.message);
+        results.push({ item_id: itemId, status: "failed", error: error.message });
+      }
+    }
+
+    const generated = results.filter((result) => result.status === "ok").length;
+    res.json(
+      formatResponse(
+        true,
+        { channel: channel.channel, results },
+        `Short links: ${generated} ready, ${results.length - generated} not generated`
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to generate short links", 500, formatResponse);
+  }
+});
+
+export default router;
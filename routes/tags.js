@@ -6,6 +6,8 @@ import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { validateRequest } from "../middleware/requestValidator.js";
+import { PRODUCT_OVERRIDE_JOIN, EFFECTIVE_NAME_SQL, EFFECTIVE_IMAGE_SQL } from "../services/productOverrideService.js";
+import { trashTag, restoreTag, getTrash } from "../services/trashService.js";
 
 const router = express.Router();
 
@@ -33,11 +35,11 @@ router.get("/public",
     const query = `
       SELECT 
         t.id, t.name, t.is_active, t.created_at, t.updated_at,
-        COUNT(DISTINCT pt.product_item_id) as product_count 
+        COUNT(DISTINCT sp.item_id) as product_count 
       FROM tags t 
       LEFT JOIN product_tags pt ON t.id = pt.tag_id 
-      LEFT JOIN shopee_products sp ON pt.product_item_id = sp.item_id AND sp.status = 'active'
-      WHERE t.is_active = 1
+      LEFT JOIN shopee_products sp ON pt.product_item_id = sp.item_id AND sp.status = 'active' AND sp.deleted_at IS NULL
+      WHERE t.is_active = 1 AND t.deleted_at IS NULL
       GROUP BY t.id 
       ORDER BY t.name ASC
     `;
@@ -59,9 +61,11 @@ router.get("/", requireAuth, async (req, res) => {
     const query = `
       SELECT 
         t.id, t.name, t.is_active, t.created_at, t.updated_at,
-        COUNT(pt.product_item_id) as product_count 
+        COUNT(sp.item_id) as product_count 
       FROM tags t 
       LEFT JOIN product_tags pt ON t.id = pt.tag_id 
+      LEFT JOIN shopee_products sp ON pt.product_item_id = sp.item_id AND sp.deleted_at IS NULL
+      WHERE t.deleted_at IS NULL
       GROUP BY t.id 
       ORDER BY t.name ASC
     `;
@@ -95,7 +99,7 @@ router.post("/", requireAuth, async (req, res) => {
       res.status(201).json(formatResponse(true, { id: result.data.insertId, name, is_active: 1, product_count: 0 }, "Tag created successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
-        return res.status(409).json(formatResponse(false, null, "Tag name already exists"));
+        return res.status(409).json(formatResponse(false, null, "Tag name already exists (it may be in the trash)"));
       }
       throw new Error(result.error);
     }
@@ -124,7 +128,7 @@ router.put("/:id", requireAuth, async (req, res) => {
       res.json(formatResponse(true, { id, name }, "Tag updated successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
-        return res.status(409).json(formatResponse(false, null, "Tag name already exists"));
+        return res.status(409).json(formatResponse(false, null, "Tag name already exists (it may be in the trash)"));
       }
       throw new Error(result.error);
     }
@@ -154,18 +158,45 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
   }
 });
 
-// Delete tag
+// Trashed tags with the number of product links kept for restore
+router.get("/trash", requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const trash = await getTrash("tags", { page, limit });
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          data: trash.items,
+          total: trash.total,
+          page,
+          limit,
+          totalPages: Math.ceil(trash.total / limit),
+          retentionDays: trash.retentionDays
+        },
+        "Trashed tags retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trashed tags", 500, formatResponse);
+  }
+});
+
+// Move tag to the trash
 router.delete("/:id", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // For tags, we might just allow deletion and cascade removes the links (defined in SQL).
-    // Or we can warn if products are attached. User requirements say "similar to Categories".
-    // "Categories: If products linked... cannot delete".
-    // So we should check for links first.
-
+    // Same rule as categories: tags still linked to products cannot be deleted.
+    // Links of trashed products don't count; they are stashed and put back on restore.
     const checkResult = await executeQuery(
-      "SELECT COUNT(*) as count FROM product_tags WHERE tag_id = ?",
+      `SELECT COUNT(*) as count
+       FROM product_tags pt
+       JOIN shopee_products p ON p.item_id = pt.product_item_id
+       WHERE pt.tag_id = ? AND p.deleted_at IS NULL`,
       [id]
     );
 
@@ -173,19 +204,30 @@ router.delete("/:id", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "Cannot delete tag because it has assigned products"));
     }
 
-    const result = await executeQuery(
-      "DELETE FROM tags WHERE id = ?",
-      [id]
-    );
-
-    if (result.success) {
-      res.json(formatResponse(true, null, "Tag deleted successfully"));
-    } else {
-      throw new Error(result.error);
+    const trashed = await trashTag(id, { userId: req.user?.id || null });
+    if (!trashed) {
+      return res.status(404).json(formatResponse(false, null, "Tag not found"));
     }
+
+    res.json(formatResponse(true, { id, unlinkedProducts: trashed.products }, "Tag moved to trash"));
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete tag", 500, formatResponse);
-    res.status(500).json(formatResponse(false, null, "Failed to delete tag", error.message));
+  }
+});
+
+// Restore a trashed tag and its product links
+router.post("/:id/restore", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const restored = await restoreTag(id, { userId: req.user?.id || null });
+    if (!restored) {
+      return res.status(404).json(formatResponse(false, null, "Tag not found in trash"));
+    }
+
+    res.json(formatResponse(true, { id, relinkedProducts: restored.products }, "Tag restored successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to restore tag", 500, formatResponse);
   }
 });
 
@@ -195,11 +237,12 @@ router.get("/:id/products", requireAuth, async (req, res) => {
     const { id } = req.params;
     
     const query = `
-      SELECT p.item_id, p.product_name, p.image_url, p.price, p.status 
+      SELECT p.item_id, ${EFFECTIVE_NAME_SQL} as product_name, ${EFFECTIVE_IMAGE_SQL} as image_url, p.price, p.status 
       FROM shopee_products p
       JOIN product_tags pt ON p.item_id = pt.product_item_id
-      WHERE pt.tag_id = ?
-      ORDER BY p.product_name ASC
+      ${PRODUCT_OVERRIDE_JOIN}
+      WHERE pt.tag_id = ? AND p.deleted_at IS NULL
+      ORDER BY product_name ASC
     `;
 
     const result = await executeQuery(query, [id]);
@@ -222,9 +265,10 @@ router.get("/:id/products/unassigned", requireAuth, async (req, res) => {
 
     // Select products that are NOT in the product_tags table for this tag_id
     const query = `
-      SELECT item_id, product_name, image_url, price, status 
-      FROM shopee_products 
-      WHERE item_id NOT IN (
+      SELECT p.item_id, ${EFFECTIVE_NAME_SQL} as product_name, ${EFFECTIVE_IMAGE_SQL} as image_url, p.price, p.status 
+      FROM shopee_products p
+      ${PRODUCT_OVERRIDE_JOIN}
+      WHERE p.deleted_at IS NULL AND p.item_id NOT IN (
         SELECT product_item_id FROM product_tags WHERE tag_id = ?
       )
       ORDER BY product_name ASC
@@ -0,0 +1,160 @@
+/**
+ * Click Report Service
+ * Aggregates product_clicks and banner_clicks for the admin click reports:
+ * timeline by day/week, top-N by product, category, tag, sub-ID, banner
+ * position and referrer page, and totals for the dashboard.
+ * Product clicks are grouped by the product's current category/tags.
+ */
+
+import { executeQuery } from '../config/database.js';
+
+export const CLICK_REPORT_DIMENSIONS = ['product', 'category', 'tag', 'sub_id', 'banner_position', 'referrer'];
+export const CLICK_TIMELINE_GROUPS = ['day', 'week'];
+
+/**
+ * Clicks per day or week (weeks start on Monday), product and banner clicks side by side
+ * @param {Object} range - From resolveDateRange
+ * @param {string} group - 'day' or 'week'
+ * @returns {Promise<Array>} [{ period, product_clicks, banner_clicks, unique_visitors }]
+ */
+export async function getClickTimeline(range, group = 'day') {
+  const periodExpression =
+    group === 'week' ? "DATE_SUB(DATE(clicked_at), INTERVAL WEEKDAY(clicked_at) DAY)" : "DATE(clicked_at)";
+
+  const result = await executeQuery(
+    `SELECT DATE_FORMAT(period, '%Y-%m-%d') as period,
+            SUM(kind = 'product') as product_clicks,
+            SUM(kind = 'banner') as banner_clicks,
+            COUNT(DISTINCT ip_hash) as unique_visitors
+     FROM (
+       SELECT ${periodExpression} as period, 'product' as kind, ip_hash
+       FROM product_clicks WHERE clicked_at >= ? AND clicked_at < ?
+       UNION ALL
+       SELECT ${periodExpression} as period, 'banner' as kind, ip_hash
+       FROM banner_clicks WHERE clicked_at >= ? AND clicked_at < ?
+     ) clicks
+     GROUP BY period
+     ORDER BY period ASC`,
+    [range.start, range.end, range.start, range.end]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({
+    period: row.period,
+    product_clicks: parseInt(row.product_clicks) || 0,
+    banner_clicks: parseInt(row.banner_clicks) || 0,
+    unique_visitors: parseInt(row.unique_visitors) || 0
+  }));
+}
+
+// SQL per report dimension: key/label columns, source and grouping
+const DIMENSION_QUERIES = {
+  product: `
+    SELECT c.product_item_id as \`key\`, MAX(p.product_name) as label,
+           COUNT(*) as clicks, COUNT(DISTINCT c.ip_hash) as unique_visitors
+    FROM product_clicks c
+    LEFT JOIN shopee_products p ON p.item_id = c.product_item_id
+    WHERE c.clicked_at >= ? AND c.clicked_at < ?
+    GROUP BY c.product_item_id`,
+  category: `
+    SELECT p.category_id as \`key\`, COALESCE(MAX(cat.name), 'Uncategorized') as label,
+           COUNT(*) as clicks, COUNT(DISTINCT c.ip_hash) as unique_visitors
+    FROM product_clicks c
+    JOIN shopee_products p ON p.item_id = c.product_item_id
+    LEFT JOIN categories cat ON cat.id = p.category_id
+    WHERE c.clicked_at >= ? AND c.clicked_at < ?
+    GROUP BY p.category_id`,
+  tag: `
+    SELECT t.id as \`key\`, MAX(t.name) as label,
+           COUNT(*) as clicks, COUNT(DISTINCT c.ip_hash) as unique_visitors
+    FROM product_clicks c
+    JOIN product_tags pt ON pt.product_item_id = c.product_item_id
+    JOIN tags t ON t.id = pt.tag_id
+    WHERE c.clicked_at >= ? AND c.clicked_at < ?
+    GROUP BY t.id`,
+  sub_id: `
+    SELECT COALESCE(c.sub_id, '') as \`key\`, COALESCE(c.sub_id, '(none)') as label,
+           COUNT(*) as clicks, COUNT(DISTINCT c.ip_hash) as unique_visitors
+    FROM product_clicks c
+    WHERE c.clicked_at >= ? AND c.clicked_at < ?
+    GROUP BY c.sub_id`,
+  banner_position: `
+    SELECT bc.position_id as \`key\`, COALESCE(MAX(bp.name), 'Unknown position') as label,
+           COUNT(*) as clicks, COUNT(DISTINCT bc.ip_hash) as unique_visitors
+    FROM banner_clicks bc
+    LEFT JOIN banner_positions bp ON bp.id = bc.position_id
+    WHERE bc.clicked_at >= ? AND bc.clicked_at < ?
+    GROUP BY bc.position_id`,
+  // Referrer page without query string; product and banner clicks together
+  referrer: `
+    SELECT page as \`key\`, COALESCE(page, '(direct)') as label,
+           COUNT(*) as clicks, COUNT(DISTINCT ip_hash) as unique_visitors
+    FROM (
+      SELECT SUBSTRING_INDEX(referrer, '?', 1) as page, ip_hash
+      FROM product_clicks WHERE clicked_at >= ? AND clicked_at < ?
+      UNION ALL
+      SELECT SUBSTRING_INDEX(referrer, '?', 1) as page, ip_hash
+      FROM banner_clicks WHERE clicked_at >= ? AND clicked_at < ?
+    ) clicks
+    GROUP BY page`
+};
+
+/**
+ * Top-N clicked products, categories, tags, sub-IDs, banner positions or referrer pages
+ * @param {string} dimension - One of CLICK_REPORT_DIMENSIONS
+ * @param {Object} range - From resolveDateRange
+ * @param {number} limit - Max rows (1-1000)
+ * @returns {Promise<Array>} [{ key, label, clicks, unique_visitors }]
+ */
+export async function getTopClicks(dimension, range, limit = 20) {
+  const baseQuery = DIMENSION_QUERIES[dimension];
+  if (!baseQuery) {
+    throw new Error(`Unknown click report dimension: ${dimension}`);
+  }
+
+  const params = dimension === 'referrer' ? [range.start, range.end, range.start, range.end] : [range.start, range.end];
+  const result = await executeQuery(
+    `${baseQuery}
+     ORDER BY clicks DESC, unique_visitors DESC
+     LIMIT ${Math.min(Math.max(parseInt(limit) || 20, 1), 1000)}`,
+    params
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({
+    key: row.key,
+    label: row.label,
+    clicks: parseInt(row.clicks) || 0,
+    unique_visitors: parseInt(row.unique_visitors) || 0
+  }));
+}
+
+/**
+ * Click totals for the dashboard (last 7 and 30 days)
+ * @returns {Promise<Object>} { last_7_days, last_30_days } with product_clicks and banner_clicks
+ */
+export async function getClickTotals() {
+  const result = await executeQuery(
+    `SELECT
+       (SELECT COUNT(*) FROM product_clicks WHERE clicked_at >= NOW() - INTERVAL 7 DAY) as product_7d,
+       (SELECT COUNT(*) FROM product_clicks WHERE clicked_at >= NOW() - INTERVAL 30 DAY) as product_30d,
+       (SELECT COUNT(*) FROM banner_clicks WHERE clicked_at >= NOW() - INTERVAL 7 DAY) as banner_7d,
+       (SELECT COUNT(*) FROM banner_clicks WHERE clicked_at >= NOW() - INTERVAL 30 DAY) as banner_30d`
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const row = result.data[0];
+  return {
+    last_7_days: { product_clicks: parseInt(row.product_7d) || 0, banner_clicks: parseInt(row.banner_7d) || 0 },
+    last_30_days: { product_clicks: parseInt(row.product_30d) || 0, banner_clicks: parseInt(row.banner_30d) || 0 }
+  };
+}
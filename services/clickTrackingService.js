@@ -0,0 +1,137 @@
+/**
+ * Click Tracking Service
+ * Records affiliate link clicks made through GET /go/:itemId and banner
+ * clicks made through GET /go/banner/:bannerId.
+ * - Crawlers, link previews and HTTP libraries are not counted
+ * - IPs are stored only as a keyed hash (HMAC-SHA256), never in clear text
+ * - User agents are reduced to a device class
+ */
+
+import crypto from 'crypto';
+import { executeQuery } from '../config/database.js';
+import Logger from '../utils/logger.js';
+
+const BOT_USER_AGENT_PATTERN =
+  /bot|crawl|spider|slurp|archiver|facebookexternalhit|facebookcatalog|embedly|preview|headless|phantomjs|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|python-urllib|httpclient|okhttp|axios|node-fetch|go-http-client|java\/|libwww|scrapy/i;
+
+const SUB_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+let ipHashSecret = process.env.CLICK_IP_HASH_SECRET || process.env.SESSION_SECRET;
+if (!ipHashSecret) {
+  // Hashes stay consistent only until restart without a configured secret
+  ipHashSecret = crypto.randomBytes(32).toString('hex');
+  Logger.warn("[Clicks] CLICK_IP_HASH_SECRET not set, using a random per-process secret for IP hashes");
+}
+
+/**
+ * Check whether a request comes from a bot or non-browser client
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean}
+ */
+export function isBotUserAgent(userAgent) {
+  return !userAgent || BOT_USER_AGENT_PATTERN.test(userAgent);
+}
+
+/**
+ * Reduce a user agent to a device class
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} 'mobile', 'tablet', 'desktop' or 'other'
+ */
+export function classifyUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(ua)) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android.*Mobile|Windows Phone/i.test(ua)) {
+    return 'mobile';
+  }
+  if (/Windows NT|Macintosh|X11|Linux|CrOS/i.test(ua)) {
+    return 'desktop';
+  }
+  return 'other';
+}
+
+/**
+ * Anonymise an IP address with a keyed hash
+ * @param {string} ip - Client IP
+ * @returns {string|null} 64-char hex hash
+ */
+export function hashIp(ip) {
+  if (!ip) {
+    return null;
+  }
+  return crypto.createHmac('sha256', ipHashSecret).update(String(ip)).digest('hex');
+}
+
+/**
+ * Validate an optional sub-ID (letters, digits, "_" and "-", max 50 chars)
+ * @param {string} value - sub_id from the query string
+ * @returns {string|null} The sub-ID, or null if missing/invalid
+ */
+export function normalizeSubId(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const subId = value.trim();
+  return SUB_ID_PATTERN.test(subId) ? subId : null;
+}
+
+/**
+ * Record a click (errors are logged, never thrown, so the redirect always happens)
+ * @param {Object} click
+ * @param {string} click.itemId - Shopee item ID
+ * @param {string|null} click.referrer - Referring page
+ * @param {string|null} click.ip - Client IP (hashed before storing)
+ * @param {string|null} click.userAgent - User-Agent header
+ * @param {string|null} click.subId - Validated sub-ID
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function recordClick({ itemId, referrer, ip, userAgent, subId }) {
+  const result = await executeQuery(
+    `INSERT INTO product_clicks (product_item_id, referrer, ip_hash, user_agent_class, sub_id)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      String(itemId),
+      referrer ? String(referrer).slice(0, 500) : null,
+      hashIp(ip),
+      classifyUserAgent(userAgent),
+      subId
+    ]
+  );
+
+  if (!result.success) {
+    Logger.warn(`[Clicks] Failed to record click for ${itemId}:`, result.error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Record a banner click (errors are logged, never thrown)
+ * @param {Object} click
+ * @param {number} click.bannerId - Banner ID
+ * @param {number|null} click.positionId - Banner position at the time of the click
+ * @param {string|null} click.referrer - Referring page
+ * @param {string|null} click.ip - Client IP (hashed before storing)
+ * @param {string|null} click.userAgent - User-Agent header
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function recordBannerClick({ bannerId, positionId, referrer, ip, userAgent }) {
+  const result = await executeQuery(
+    `INSERT INTO banner_clicks (banner_id, position_id, referrer, ip_hash, user_agent_class)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      bannerId,
+      positionId || null,
+      referrer ? String(referrer).slice(0, 500) : null,
+      hashIp(ip),
+      classifyUserAgent(userAgent)
+    ]
+  );
+
+  if (!result.success) {
+    Logger.warn(`[Clicks] Failed to record click for banner #${bannerId}:`, result.error);
+    return false;
+  }
+  return true;
+}
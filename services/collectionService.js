@@ -0,0 +1,179 @@
+/**
+ * Collection Service
+ * Editor-curated product collections ("Best gadgets under 500฿", ...): an
+ * ordered list of saved products with a title, description, cover image from
+ * the uploads library, optional start/end time and a URL slug.
+ * The product order is stored in collection_products.position (1-based) and
+ * is always rewritten as a whole, which is what drag-to-reorder sends.
+ */
+
+import pool, { executeQuery } from '../config/database.js';
+import { PUBLIC_BASE_CONDITION, PUBLIC_PRODUCT_COLUMNS } from './productListingService.js';
+import { PRODUCT_OVERRIDE_JOIN } from './productOverrideService.js';
+
+export const MAX_COLLECTION_PRODUCTS = 200;
+
+// Lowercase latin letters, digits, Thai characters and single hyphens; not digits only
+export const COLLECTION_SLUG_PATTERN = /^(?!\d+$)[a-z0-9\u0E00-\u0E7F]+(?:-[a-z0-9\u0E00-\u0E7F]+)*$/;
+
+// Files served by /api/uploads/<folder>/<filename>
+const UPLOAD_URL_PATTERN = /^\/api\/uploads\/[A-Za-z0-9_-]+\/[A-Za-z0-9._-]+$/;
+
+// Active and inside its start/end window
+export const COLLECTION_VISIBLE_CONDITION =
+  'col.is_active = 1 AND (col.start_time IS NULL OR col.start_time <= NOW()) AND (col.end_time IS NULL OR col.end_time >= NOW())';
+
+/**
+ * Build a slug from a title ("Mother's Day picks" -> "mother-s-day-picks")
+ * @param {string} title
+ * @returns {string} Slug, or '' when nothing usable is left
+ */
+export function slugify(title) {
+  return String(title || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0E00-\u0E7F]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 150)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Check that a cover image points into the uploads library
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isUploadUrl(url) {
+  return UPLOAD_URL_PATTERN.test(String(url || ''));
+}
+
+/**
+ * Normalise a list of item IDs (deduplicated, order kept)
+ * @param {Array} itemIds
+ * @returns {Array<string>|null} Item IDs, or null when the input is not a list of numeric IDs
+ */
+export function normalizeItemIds(itemIds) {
+  if (!Array.isArray(itemIds)) {
+    return null;
+  }
+  const normalized = itemIds.map((id) => String(id).trim());
+  if (normalized.some((id) => !/^\d+$/.test(id))) {
+    return null;
+  }
+  return [...new Set(normalized)];
+}
+
+/**
+ * Item IDs from a list that are not saved products (trashed products count as unknown)
+ * @param {Array<string>} itemIds
+ * @returns {Promise<Array<string>>}
+ */
+export async function findUnknownItemIds(itemIds) {
+  if (itemIds.length === 0) {
+    return [];
+  }
+
+  const result = await executeQuery(
+    `SELECT item_id FROM shopee_products WHERE deleted_at IS NULL AND item_id IN (${itemIds.map(() => '?').join(', ')})`,
+    itemIds
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const known = new Set(result.data.map((row) => String(row.item_id)));
+  return itemIds.filter((id) => !known.has(id));
+}
+
+/**
+ * Replace the products of a collection with an ordered list (transaction)
+ * @param {number} collectionId
+ * @param {Array<string>} itemIds - Item IDs in display order
+ * @returns {Promise<number>} Number of products in the collection
+ */
+export async function setCollectionProducts(collectionId, itemIds) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.execute("SET time_zone = '+07:00'");
+    await connection.beginTransaction();
+
+    // Keep added_at of products that stay in the collection
+    const [existing] = await connection.execute(
+      'SELECT product_item_id, added_at FROM collection_products WHERE collection_id = ?',
+      [collectionId]
+    );
+    const addedAt = new Map(existing.map((row) => [String(row.product_item_id), row.added_at]));
+
+    await connection.execute('DELETE FROM collection_products WHERE collection_id = ?', [collectionId]);
+
+    if (itemIds.length > 0) {
+      await connection.execute(
+        `INSERT INTO collection_products (collection_id, product_item_id, position, added_at)
+         VALUES ${itemIds.map(() => '(?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))').join(', ')}`,
+        itemIds.flatMap((itemId, index) => [collectionId, itemId, index + 1, addedAt.get(itemId) || null])
+      );
+    }
+
+    await connection.commit();
+    return itemIds.length;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Products of a collection in curated order
+ * @param {number} collectionId
+ * @param {Object} options
+ * @param {boolean} options.publicOnly - Only products that are currently public
+ * @returns {Promise<Array>} Products with collection_position (admin view adds is_public)
+ */
+export async function getCollectionProducts(collectionId, { publicOnly = false } = {}) {
+  const result = await executeQuery(
+    `SELECT ${PUBLIC_PRODUCT_COLUMNS}, cp.position as collection_position, cp.added_at,
+            (${PUBLIC_BASE_CONDITION}) as is_public
+     FROM collection_products cp
+     JOIN shopee_products p ON p.item_id = cp.product_item_id
+     LEFT JOIN categories c ON p.category_id = c.id
+     ${PRODUCT_OVERRIDE_JOIN}
+     WHERE cp.collection_id = ?${publicOnly ? ` AND ${PUBLIC_BASE_CONDITION}` : ''}
+     ORDER BY cp.position ASC`,
+    [collectionId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => {
+    const { is_public: isPublic, added_at: addedAt, ...product } = row;
+    return publicOnly ? product : { ...product, added_at: addedAt, is_public: !!isPublic };
+  });
+}
+
+/**
+ * A visible collection by slug with its public products
+ * @param {string} slug
+ * @returns {Promise<Object|null>} Collection with products, or null when missing/hidden
+ */
+export async function getPublicCollection(slug) {
+  const result = await executeQuery(
+    `SELECT col.id, col.slug, col.title, col.description, col.cover_image_url,
+            col.start_time, col.end_time, col.updated_at
+     FROM collections col
+     WHERE col.slug = ? AND ${COLLECTION_VISIBLE_CONDITION}`,
+    [slug]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.length === 0) {
+    return null;
+  }
+
+  const collection = result.data[0];
+  const products = await getCollectionProducts(collection.id, { publicOnly: true });
+  return { ...collection, products };
+}
@@ -0,0 +1,397 @@
+/**
+ * Conversion Import Service
+ * Imports Shopee affiliate conversion reports (actual orders and commissions)
+ * into affiliate_conversions, one row per ordered item:
+ * - Pulled through the conversionReport GraphQL query (manually or on a schedule)
+ * - Or uploaded as the CSV export from the Shopee affiliate dashboard
+ * Rows are upserted on (conversion_id, order_id, item_id, model_id), so
+ * re-importing a period refreshes order status and commission.
+ * Items are linked to shopee_products through product_item_id.
+ */
+
+import { executeQuery } from '../config/database.js';
+import { CONVERSION_REPORT_QUERY } from '../queries.js';
+import { makeGraphQLRequest, hasShopeeCredentials } from './shopeeApiService.js';
+import { parseCsv } from '../utils/csv.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import { formatDateTime } from '../utils/dateRange.js';
+import Logger from '../utils/logger.js';
+
+const IMPORT_INTERVAL_MS = (parseFloat(process.env.CONVERSION_IMPORT_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+const IMPORT_LOOKBACK_DAYS = parseInt(process.env.CONVERSION_IMPORT_LOOKBACK_DAYS) || 30;
+
+// Safety cap on scrollId pages per API import (500 conversions per page)
+const MAX_REPORT_PAGES = 100;
+// Row errors listed in an import report
+const MAX_REPORTED_ERRORS = 50;
+
+// CSV column aliases (header compared lowercase, without spaces, punctuation and "(฿)" suffixes)
+const CSV_COLUMNS = {
+  conversionId: ['checkoutid', 'conversionid'],
+  orderId: ['orderid'],
+  itemId: ['itemid', 'productid'],
+  modelId: ['modelid'],
+  itemName: ['itemname', 'productname'],
+  shopId: ['shopid'],
+  shopName: ['shopname'],
+  orderStatus: ['orderstatus'],
+  itemStatus: ['itemstatus', 'displayitemstatus'],
+  purchaseTime: ['ordertime', 'purchasetime'],
+  clickTime: ['clicktime'],
+  completeTime: ['completedtime', 'completetime'],
+  itemPrice: ['price', 'itemprice'],
+  qty: ['qty', 'quantity'],
+  actualAmount: ['purchasevalue', 'actualamount'],
+  commission: ['itemtotalcommission', 'totalcommission', 'itemcommission'],
+  subId: ['subid', 'utmcontent'],
+  subId1: ['subid1'],
+  subId2: ['subid2'],
+  subId3: ['subid3'],
+  subId4: ['subid4'],
+  subId5: ['subid5']
+};
+
+/**
+ * Convert a Unix timestamp (seconds) or a CSV date/time into a DATETIME string
+ * Accepts "YYYY-MM-DD HH:mm[:ss]" and "DD/MM/YYYY HH:mm[:ss]" (server time).
+ * @param {number|string} value
+ * @returns {string|null} "YYYY-MM-DD HH:mm:ss", or null when empty/invalid
+ */
+export function toDateTime(value) {
+  const input = String(value ?? '').trim();
+  if (!input || input === '0' || input === '--') {
+    return null;
+  }
+
+  if (/^\d{9,11}$/.test(input)) {
+    return formatDateTime(new Date(parseInt(input) * 1000));
+  }
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(input);
+  if (match) {
+    const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+    return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+  }
+
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(input);
+  if (match) {
+    const [, day, month, year, hour = '0', minute = '00', second = '00'] = match;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${minute}:${second}`;
+  }
+
+  return null;
+}
+
+function parseAmount(value) {
+  const amount = parseFloat(String(value ?? '').replace(/[^\d.-]/g, ''));
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Normalise a sub-ID string: Shopee joins sub_id1..5 with "-" and pads empty ones
+ * e.g. "website----" -> "website", "line-promo---" -> "line-promo"
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeConversionSubId(value) {
+  const subId = String(value ?? '').trim().replace(/-+$/, '').slice(0, 255);
+  return subId || null;
+}
+
+/**
+ * Validate and normalise one conversion item
+ * @param {Object} raw - Item fields (camelCase, as returned by the API / mapped from CSV)
+ * @returns {Object} Row for affiliate_conversions, or { error }
+ */
+export function normalizeConversionItem(raw) {
+  const orderId = String(raw.orderId ?? '').trim();
+  const itemId = String(raw.itemId ?? '').trim();
+  const purchaseTime = toDateTime(raw.purchaseTime);
+
+  if (!orderId) {
+    return { error: 'Missing order ID' };
+  }
+  if (!/^\d+$/.test(itemId)) {
+    return { error: 'Missing or invalid item ID' };
+  }
+  if (!purchaseTime) {
+    return { error: 'Missing or invalid purchase time' };
+  }
+
+  const conversionId = String(raw.conversionId ?? '').trim() || orderId;
+  const modelId = String(raw.modelId ?? '').trim();
+
+  return {
+    conversion_id: conversionId.slice(0, 50),
+    order_id: orderId.slice(0, 50),
+    product_item_id: itemId,
+    model_id: modelId && modelId !== '0' ? modelId.slice(0, 50) : '',
+    item_name: raw.itemName ? String(raw.itemName).trim() : null,
+    shop_id: raw.shopId ? String(raw.shopId).trim().slice(0, 50) : null,
+    shop_name: raw.shopName ? String(raw.shopName).trim().slice(0, 255) : null,
+    sub_id: normalizeConversionSubId(raw.subId),
+    qty: parseInt(raw.qty) || 0,
+    item_price: parseAmount(raw.itemPrice),
+    actual_amount: parseAmount(raw.actualAmount),
+    commission: parseAmount(raw.commission) || 0,
+    order_status: raw.orderStatus ? String(raw.orderStatus).trim().toUpperCase().slice(0, 30) : null,
+    item_status: raw.itemStatus ? String(raw.itemStatus).trim().slice(0, 50) : null,
+    purchase_time: purchaseTime,
+    click_time: toDateTime(raw.clickTime),
+    complete_time: toDateTime(raw.completeTime)
+  };
+}
+
+/**
+ * Flatten a conversionReport node into item-level rows
+ * @param {Object} node - conversionReport node
+ * @returns {Array} Raw items for normalizeConversionItem
+ */
+export function flattenConversionNode(node) {
+  return (node.orders || []).flatMap((order) =>
+    (order.items || []).map((item) => ({
+      conversionId: node.conversionId,
+      orderId: order.orderId,
+      orderStatus: order.orderStatus,
+      itemId: item.itemId,
+      modelId: item.modelId,
+      itemName: item.itemName,
+      shopId: item.shopId,
+      shopName: item.shopName,
+      itemStatus: item.displayItemStatus,
+      purchaseTime: node.purchaseTime,
+      clickTime: node.clickTime,
+      completeTime: item.completeTime,
+      itemPrice: item.itemPrice,
+      qty: item.qty,
+      actualAmount: item.actualAmount,
+      commission: item.itemTotalCommission,
+      subId: node.utmContent
+    }))
+  );
+}
+
+/**
+ * Map the rows of a Shopee conversion CSV export to raw items
+ * @param {string} csv - CSV content
+ * @returns {Object} { items: [{ row, raw }], error }
+ */
+export function parseConversionCsv(csv) {
+  const rows = parseCsv(csv);
+  if (rows.length < 2) {
+    return { items: [], error: 'CSV has no data rows' };
+  }
+
+  const normalize = (name) => String(name).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+  const header = rows[0].map(normalize);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    const index = header.findIndex((name) => aliases.includes(name));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+
+  const missing = ['orderId', 'itemId', 'purchaseTime', 'commission'].filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    return { items: [], error: `CSV is missing required columns: ${missing.join(', ')}` };
+  }
+
+  const items = rows.slice(1).map((fields, index) => {
+    const raw = {};
+    for (const [field, column] of Object.entries(columns)) {
+      raw[field] = (fields[column] || '').trim();
+    }
+
+    // Sub_id1..Sub_id5 columns are joined the same way Shopee builds utmContent
+    if (!raw.subId && columns.subId1 !== undefined) {
+      raw.subId = [raw.subId1, raw.subId2, raw.subId3, raw.subId4, raw.subId5].map((value) => value || '').join('-');
+    }
+
+    return { row: index + 2, raw };
+  });
+
+  return { items, error: null };
+}
+
+/**
+ * Insert or update one conversion item
+ * @param {Object} row - From normalizeConversionItem
+ * @param {string} source - 'api' or 'csv'
+ * @returns {Promise<string>} 'inserted', 'updated' or 'unchanged'
+ */
+async function upsertConversionItem(row, source) {
+  const result = await executeQuery(
+    `INSERT INTO affiliate_conversions (
+       conversion_id, order_id, product_item_id, model_id, item_name, shop_id, shop_name, sub_id,
+       qty, item_price, actual_amount, commission, order_status, item_status,
+       purchase_time, click_time, complete_time, source
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       item_name = COALESCE(VALUES(item_name), item_name),
+       shop_id = COALESCE(VALUES(shop_id), shop_id),
+       shop_name = COALESCE(VALUES(shop_name), shop_name),
+       sub_id = VALUES(sub_id),
+       qty = VALUES(qty),
+       item_price = VALUES(item_price),
+       actual_amount = VALUES(actual_amount),
+       commission = VALUES(commission),
+       order_status = VALUES(order_status),
+       item_status = VALUES(item_status),
+       purchase_time = VALUES(purchase_time),
+       click_time = COALESCE(VALUES(click_time), click_time),
+       complete_time = VALUES(complete_time),
+       source = VALUES(source)`,
+    [
+      row.conversion_id,
+      row.order_id,
+      row.product_item_id,
+      row.model_id,
+      row.item_name,
+      row.shop_id,
+      row.shop_name,
+      row.sub_id,
+      row.qty,
+      row.item_price,
+      row.actual_amount,
+      row.commission,
+      row.order_status,
+      row.item_status,
+      row.purchase_time,
+      row.click_time,
+      row.complete_time,
+      source
+    ]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  // affectedRows: 1 = inserted, 2 = updated, 0 = identical row
+  return result.data.affectedRows === 1 ? 'inserted' : result.data.affectedRows === 2 ? 'updated' : 'unchanged';
+}
+
+/**
+ * Validate and store raw items
+ * @param {Array} items - [{ row, raw }]
+ * @param {string} source - 'api' or 'csv'
+ * @returns {Promise<Object>} { rows, inserted, updated, unchanged, invalid, failed, errors }
+ */
+async function saveConversionItems(items, source) {
+  const report = { rows: items.length, inserted: 0, updated: 0, unchanged: 0, invalid: 0, failed: 0, errors: [] };
+  const addError = (row, error) => {
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ row, error });
+    }
+  };
+
+  for (const { row, raw } of items) {
+    const normalized = normalizeConversionItem(raw);
+    if (normalized.error) {
+      report.invalid++;
+      addError(row, normalized.error);
+      continue;
+    }
+
+    try {
+      const outcome = await upsertConversionItem(normalized, source);
+      report[outcome]++;
+    } catch (error) {
+      report.failed++;
+      addError(row, error.message);
+      Logger.error(`[Conversions] Failed to save order ${normalized.order_id} item ${normalized.product_item_id}:`, error.message);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Pull the conversion report for a purchase time range from the Shopee API
+ * @param {Object} range - { start, end } DATETIME strings, end exclusive (see resolveDateRange)
+ * @returns {Promise<Object>} Import report plus conversions (number of conversion nodes)
+ */
+export async function importConversionsFromApi(range) {
+  const purchaseTimeStart = Math.floor(new Date(range.start.replace(' ', 'T')).getTime() / 1000);
+  const purchaseTimeEnd = Math.floor(new Date(range.end.replace(' ', 'T')).getTime() / 1000) - 1;
+
+  const items = [];
+  let conversions = 0;
+  let scrollId;
+
+  for (let page = 1; page <= MAX_REPORT_PAGES; page++) {
+    const variables = { purchaseTimeStart, purchaseTimeEnd };
+    if (scrollId) {
+      variables.scrollId = scrollId;
+    }
+
+    const response = await makeGraphQLRequest(CONVERSION_REPORT_QUERY, variables);
+    const report = response?.data?.conversionReport;
+    const nodes = report?.nodes || [];
+
+    conversions += nodes.length;
+    nodes.forEach((node) => {
+      flattenConversionNode(node).forEach((raw) => items.push({ row: items.length + 1, raw }));
+    });
+
+    if (!report?.pageInfo?.hasNextPage || !report.pageInfo.scrollId) {
+      break;
+    }
+    if (page === MAX_REPORT_PAGES) {
+      Logger.warn(`[Conversions] Stopped after ${MAX_REPORT_PAGES} pages, import a shorter range for the rest`);
+    }
+    scrollId = report.pageInfo.scrollId;
+  }
+
+  const result = await saveConversionItems(items, 'api');
+  return { conversions, ...result };
+}
+
+/**
+ * Import a conversion CSV exported from the Shopee affiliate dashboard
+ * @param {string} csv - CSV content
+ * @returns {Promise<Object>} Import report, or { error } when the file is not a conversion report
+ */
+export async function importConversionsFromCsv(csv) {
+  const { items, error } = parseConversionCsv(csv);
+  if (error) {
+    return { error };
+  }
+  return saveConversionItems(items, 'csv');
+}
+
+/**
+ * Start the scheduled conversion import (re-pulls the last CONVERSION_IMPORT_LOOKBACK_DAYS
+ * so pending orders pick up their final status)
+ * Disabled with CONVERSION_IMPORT_ENABLED=false or without Shopee credentials
+ */
+export function startConversionImportScheduler() {
+  if (process.env.CONVERSION_IMPORT_ENABLED === 'false') {
+    Logger.info("[Conversions] Scheduled import disabled (CONVERSION_IMPORT_ENABLED=false)");
+    return null;
+  }
+  if (!hasShopeeCredentials()) {
+    Logger.warn("[Conversions] Scheduled import disabled: Shopee API credentials not configured");
+    return null;
+  }
+
+  return scheduleJob(
+    "conversion-import",
+    IMPORT_INTERVAL_MS,
+    async () => {
+      const end = new Date();
+      end.setHours(0, 0, 0, 0);
+      end.setDate(end.getDate() + 1);
+      const start = new Date(end);
+      start.setDate(start.getDate() - IMPORT_LOOKBACK_DAYS);
+
+      const report = await importConversionsFromApi({ start: formatDateTime(start), end: formatDateTime(end) });
+      Logger.info(
+        `[Conversions] Imported ${report.conversions} conversion(s): ${report.inserted} new, ${report.updated} updated, ${report.invalid} invalid, ${report.failed} failed`
+      );
+    },
+    { initialDelayMs: 5 * 60 * 1000 }
+  );
+}
@@ -0,0 +1,330 @@
+/**
+ * Curation Service
+ * Keyword watchlists that curate products automatically:
+ * - A scheduler runs each active watchlist through the Shopee search
+ * - Products passing the watchlist thresholds (commission, rating, sales,
+ *   price range, shop type) are either imported with source='auto' or put
+ *   into the review queue for an admin to approve
+ * - Thresholds left empty fall back to settings.min_commission_rate / min_rating_star
+ */
+
+import { executeQuery } from '../config/database.js';
+import { hasShopeeCredentials } from './shopeeApiService.js';
+import { fetchShopeePages } from './productSearchService.js';
+import { upsertProductFromOffer } from './productImportService.js';
+import { analyzeCategory } from './categoryAnalyzer.js';
+import { beforeProductWrite, afterProductWrite } from './productHooks.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import Logger from '../utils/logger.js';
+
+const CURATION_INTERVAL_MS = (parseFloat(process.env.CURATION_INTERVAL_HOURS) || 12) * 60 * 60 * 1000;
+const CURATION_MAX_PAGES = parseInt(process.env.CURATION_MAX_PAGES) || 3;
+
+export const CURATION_MODES = ['auto_import', 'review'];
+
+// True while runAllWatchlists is in progress
+let runningAll = false;
+
+/**
+ * Load default thresholds from settings (id = 1)
+ * @returns {Promise<Object>} { minCommissionRate, minRatingStar }
+ */
+async function getDefaultThresholds() {
+  const result = await executeQuery("SELECT min_commission_rate, min_rating_star FROM settings WHERE id = 1");
+  const settings = result.success && result.data.length > 0 ? result.data[0] : {};
+
+  return {
+    minCommissionRate: settings.min_commission_rate !== undefined ? parseFloat(settings.min_commission_rate) || 0 : 0,
+    minRatingStar: settings.min_rating_star !== undefined ? parseFloat(settings.min_rating_star) || 0 : 0
+  };
+}
+
+/**
+ * Parse the comma-separated shop_types column into numbers
+ */
+function parseShopTypes(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map((type) => parseInt(type))
+    .filter((type) => !isNaN(type));
+}
+
+/**
+ * Check whether a productOfferV2 node passes the watchlist thresholds
+ * @param {Object} node - productOfferV2 node
+ * @param {Object} criteria - Resolved thresholds
+ * @returns {boolean}
+ */
+export function matchesWatchlist(node, criteria) {
+  const commissionRate = parseFloat(node.commissionRate) || 0;
+  const rating = parseFloat(node.ratingStar) || 0;
+  const sales = parseInt(node.sales) || 0;
+  const price = parseFloat(node.price) || 0;
+
+  // min_commission_rate is a percentage (10 = 10%), Shopee returns a decimal (0.1)
+  if (criteria.minCommissionRate > 0 && commissionRate < criteria.minCommissionRate / 100) {
+    return false;
+  }
+  if (criteria.minRatingStar > 0 && rating < criteria.minRatingStar) {
+    return false;
+  }
+  if (criteria.minSales > 0 && sales < criteria.minSales) {
+    return false;
+  }
+  if (criteria.minPrice !== null && price < criteria.minPrice) {
+    return false;
+  }
+  if (criteria.maxPrice !== null && price > criteria.maxPrice) {
+    return false;
+  }
+  if (criteria.shopTypes.length > 0) {
+    const nodeShopTypes = Array.isArray(node.shopType) ? node.shopType : [node.shopType];
+    if (!nodeShopTypes.some((type) => criteria.shopTypes.includes(parseInt(type)))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Build the thresholds of a watchlist, falling back to settings defaults
+ */
+function resolveCriteria(watchlist, defaults) {
+  const toNumberOrNull = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+  return {
+    minCommissionRate: toNumberOrNull(watchlist.min_commission_rate) ?? defaults.minCommissionRate,
+    minRatingStar: toNumberOrNull(watchlist.min_rating_star) ?? defaults.minRatingStar,
+    minSales: parseInt(watchlist.min_sales) || 0,
+    minPrice: toNumberOrNull(watchlist.min_price),
+    maxPrice: toNumberOrNull(watchlist.max_price),
+    shopTypes: parseShopTypes(watchlist.shop_types)
+  };
+}
+
+/**
+ * Import a curated product into shopee_products with source='auto'
+ * @param {Object} node - productOfferV2 node
+ * @param {number|null} categoryId - Watchlist category (analyzed from the name when empty)
+ * @returns {Promise<string>} 'inserted' or 'updated'
+ */
+export async function importCuratedProduct(node, categoryId = null) {
+  const itemId = String(node.itemId);
+  const resolvedCategoryId = categoryId || (await analyzeCategory(node.productName));
+
+  const previous = await beforeProductWrite(itemId);
+  const action = await upsertProductFromOffer(node, { categoryId: resolvedCategoryId, source: 'auto' });
+  await afterProductWrite(itemId, previous, 'auto');
+
+  return action;
+}
+
+/**
+ * Run a single watchlist
+ * @param {Object} watchlist - Row from curation_watchlists
+ * @returns {Promise<Object>} Run summary
+ */
+export async function runWatchlist(watchlist) {
+  const summary = {
+    watchlistId: watchlist.id,
+    fetched: 0,
+    matched: 0,
+    alreadySaved: 0,
+    alreadyQueued: 0,
+    imported: 0,
+    queued: 0,
+    failed: 0
+  };
+
+  try {
+    const defaults = await getDefaultThresholds();
+    const criteria = resolveCriteria(watchlist, defaults);
+    const { nodes } = await fetchShopeePages(watchlist.keyword, CURATION_MAX_PAGES);
+    summary.fetched = nodes.length;
+
+    const matches = nodes.filter((node) => matchesWatchlist(node, criteria));
+    summary.matched = matches.length;
+
+    // Skip products that are already saved
+    let candidates = matches;
+    if (matches.length > 0) {
+      const itemIds = matches.map((node) => String(node.itemId));
+      const existingResult = await executeQuery(
+        `SELECT item_id FROM shopee_products WHERE item_id IN (${itemIds.map(() => '?').join(',')})`,
+        itemIds
+      );
+      const existing = new Set(existingResult.success ? existingResult.data.map((row) => String(row.item_id)) : []);
+      candidates = matches.filter((node) => !existing.has(String(node.itemId)));
+      summary.alreadySaved = matches.length - candidates.length;
+    }
+
+    // Review mode: skip products already queued (pending or decided) for this watchlist
+    if (watchlist.mode !== 'auto_import' && candidates.length > 0) {
+      const queuedResult = await executeQuery(
+        "SELECT item_id FROM curation_review_queue WHERE watchlist_id = ?",
+        [watchlist.id]
+      );
+      const queued = new Set(queuedResult.success ? queuedResult.data.map((row) => String(row.item_id)) : []);
+      const notQueued = candidates.filter((node) => !queued.has(String(node.itemId)));
+      summary.alreadyQueued = candidates.length - notQueued.length;
+      candidates = notQueued;
+    }
+
+    candidates = candidates.slice(0, Math.max(parseInt(watchlist.max_results) || 20, 1));
+
+    for (const node of candidates) {
+      try {
+        if (watchlist.mode === 'auto_import') {
+          await importCuratedProduct(node, watchlist.category_id);
+          summary.imported++;
+        } else {
+          const result = await executeQuery(
+            `INSERT IGNORE INTO curation_review_queue (watchlist_id, item_id, product_name, product_data)
+             VALUES (?, ?, ?, ?)`,
+            [watchlist.id, String(node.itemId), node.productName, JSON.stringify(node)]
+          );
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          summary.queued += result.data.affectedRows;
+        }
+      } catch (error) {
+        summary.failed++;
+        Logger.warn(`[Curation] Failed to process ${node.itemId} for watchlist #${watchlist.id}:`, error.message);
+      }
+    }
+
+    await executeQuery(
+      `UPDATE curation_watchlists
+       SET last_run_at = CURRENT_TIMESTAMP, last_run_status = 'completed', last_run_summary = ?
+       WHERE id = ?`,
+      [JSON.stringify(summary), watchlist.id]
+    );
+
+    Logger.info(
+      `[Curation] Watchlist #${watchlist.id} "${watchlist.name}": matched=${summary.matched}, imported=${summary.imported}, queued=${summary.queued}, failed=${summary.failed}`
+    );
+    return summary;
+  } catch (error) {
+    await executeQuery(
+      `UPDATE curation_watchlists
+       SET last_run_at = CURRENT_TIMESTAMP, last_run_status = 'failed', last_run_summary = ?
+       WHERE id = ?`,
+      [JSON.stringify({ ...summary, error: error.message }), watchlist.id]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Check whether a run over all watchlists is in progress
+ * @returns {boolean}
+ */
+export function isCurationRunning() {
+  return runningAll;
+}
+
+/**
+ * Run every active watchlist one after another
+ * @returns {Promise<Array>} Summaries (or errors) per watchlist
+ */
+export async function runAllWatchlists() {
+  if (runningAll) {
+    throw new Error("Curation run is already in progress");
+  }
+
+  runningAll = true;
+  try {
+    const result = await executeQuery("SELECT * FROM curation_watchlists WHERE is_active = 1 ORDER BY id ASC");
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const summaries = [];
+    for (const watchlist of result.data) {
+      try {
+        summaries.push(await runWatchlist(watchlist));
+      } catch (error) {
+        Logger.error(`[Curation] Watchlist #${watchlist.id} failed:`, error.message);
+        summaries.push({ watchlistId: watchlist.id, error: error.message });
+      }
+    }
+    return summaries;
+  } finally {
+    runningAll = false;
+  }
+}
+
+/**
+ * Approve or reject a review queue entry
+ * Approving imports the stored product data with source='auto'.
+ * @param {number} id - Review queue entry ID
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {number|null} userId - Reviewing admin
+ * @returns {Promise<Object|null>} { id, itemId, status, action }, alreadyReviewed when not pending, or null if not found
+ */
+export async function reviewQueueEntry(id, decision, userId = null) {
+  const result = await executeQuery(
+    `SELECT q.*, w.category_id
+     FROM curation_review_queue q
+     JOIN curation_watchlists w ON q.watchlist_id = w.id
+     WHERE q.id = ?`,
+    [id]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.length === 0) {
+    return null;
+  }
+
+  const entry = result.data[0];
+  if (entry.status !== 'pending') {
+    return { id: entry.id, itemId: entry.item_id, status: entry.status, alreadyReviewed: true };
+  }
+
+  let action = null;
+
+  if (decision === 'approved') {
+    const node = JSON.parse(entry.product_data);
+    action = await importCuratedProduct(node, entry.category_id);
+  }
+
+  const updateResult = await executeQuery(
+    "UPDATE curation_review_queue SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [decision, userId, id]
+  );
+  if (!updateResult.success) {
+    throw new Error(updateResult.error);
+  }
+
+  return { id: entry.id, itemId: entry.item_id, status: decision, action };
+}
+
+/**
+ * Start the scheduled curation run
+ * Disabled with CURATION_ENABLED=false or when Shopee credentials are missing
+ */
+export function startCurationScheduler() {
+  if (process.env.CURATION_ENABLED === 'false') {
+    Logger.info("[Curation] Scheduled curation disabled (CURATION_ENABLED=false)");
+    return null;
+  }
+
+  if (!hasShopeeCredentials()) {
+    Logger.warn("[Curation] Scheduled curation disabled: Shopee API credentials not configured");
+    return null;
+  }
+
+  return scheduleJob("curation", CURATION_INTERVAL_MS, async () => {
+    if (runningAll) {
+      Logger.info("[Curation] Previous run still in progress, skipping scheduled run");
+      return;
+    }
+    await runAllWatchlists();
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * Earnings Report Service
+ * Aggregates imported affiliate_conversions into earnings by day/week/month,
+ * product, category and sub-ID. Periods use the purchase time.
+ * - Cancelled/invalid orders are excluded from orders, items, sales and commission
+ * - confirmed_commission counts COMPLETED orders, pending_commission the rest
+ * - Products and categories come from shopee_products; items of products that
+ *   were never saved are reported as unlinked
+ */
+
+import { executeQuery } from '../config/database.js';
+
+export const EARNINGS_GROUPS = ['day', 'week', 'month'];
+
+const VALID_ORDER = "COALESCE(ac.order_status, '') NOT IN ('CANCELLED', 'INVALID')";
+
+const EARNINGS_COLUMNS = `
+  COUNT(DISTINCT CASE WHEN ${VALID_ORDER} THEN ac.order_id END) as orders,
+  COALESCE(SUM(CASE WHEN ${VALID_ORDER} THEN ac.qty END), 0) as items,
+  COALESCE(SUM(CASE WHEN ${VALID_ORDER} THEN ac.actual_amount END), 0) as sales_amount,
+  COALESCE(SUM(CASE WHEN ${VALID_ORDER} THEN ac.commission END), 0) as commission,
+  COALESCE(SUM(CASE WHEN ac.order_status = 'COMPLETED' THEN ac.commission END), 0) as confirmed_commission,
+  COUNT(DISTINCT CASE WHEN NOT (${VALID_ORDER}) THEN ac.order_id END) as cancelled_orders`;
+
+function mapEarnings(row) {
+  const commission = parseFloat(row.commission) || 0;
+  const confirmed = parseFloat(row.confirmed_commission) || 0;
+  return {
+    orders: parseInt(row.orders) || 0,
+    items: parseInt(row.items) || 0,
+    sales_amount: parseFloat(row.sales_amount) || 0,
+    commission,
+    confirmed_commission: confirmed,
+    pending_commission: Math.round((commission - confirmed) * 100) / 100,
+    cancelled_orders: parseInt(row.cancelled_orders) || 0
+  };
+}
+
+function clampLimit(limit) {
+  return Math.min(Math.max(parseInt(limit) || 20, 1), 1000);
+}
+
+/**
+ * Earnings totals for a range
+ * @param {Object} range - From resolveDateRange
+ * @returns {Promise<Object>} Totals plus last_imported_at
+ */
+export async function getEarningsSummary(range) {
+  const result = await executeQuery(
+    `SELECT ${EARNINGS_COLUMNS},
+            (SELECT MAX(updated_at) FROM affiliate_conversions) as last_imported_at
+     FROM affiliate_conversions ac
+     WHERE ac.purchase_time >= ? AND ac.purchase_time < ?`,
+    [range.start, range.end]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return { ...mapEarnings(result.data[0]), last_imported_at: result.data[0].last_imported_at };
+}
+
+/**
+ * Earnings per day, week (starting Monday) or month
+ * @param {Object} range - From resolveDateRange
+ * @param {string} group - 'day', 'week' or 'month'
+ * @returns {Promise<Array>} [{ period, ...earnings }]
+ */
+export async function getEarningsByPeriod(range, group = 'day') {
+  const periodExpressions = {
+    day: "DATE(ac.purchase_time)",
+    week: "DATE_SUB(DATE(ac.purchase_time), INTERVAL WEEKDAY(ac.purchase_time) DAY)",
+    month: "DATE_FORMAT(ac.purchase_time, '%Y-%m-01')"
+  };
+  const periodExpression = periodExpressions[group] || periodExpressions.day;
+
+  const result = await executeQuery(
+    `SELECT DATE_FORMAT(${periodExpression}, '%Y-%m-%d') as period, ${EARNINGS_COLUMNS}
+     FROM affiliate_conversions ac
+     WHERE ac.purchase_time >= ? AND ac.purchase_time < ?
+     GROUP BY period
+     ORDER BY period ASC`,
+    [range.start, range.end]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({ period: row.period, ...mapEarnings(row) }));
+}
+
+/**
+ * Top products by commission
+ * @param {Object} range - From resolveDateRange
+ * @param {number} limit - Max rows (1-1000)
+ * @returns {Promise<Array>} [{ item_id, product_name, linked, category_id, category_name, ...earnings }]
+ */
+export async function getEarningsByProduct(range, limit = 20) {
+  const result = await executeQuery(
+    `SELECT ac.product_item_id as item_id,
+            COALESCE(MAX(p.product_name), MAX(ac.item_name)) as product_name,
+            MAX(p.id) IS NOT NULL as linked,
+            MAX(p.category_id) as category_id,
+            MAX(c.name) as category_name,
+            ${EARNINGS_COLUMNS}
+     FROM affiliate_conversions ac
+     LEFT JOIN shopee_products p ON p.item_id = ac.product_item_id
+     LEFT JOIN categories c ON c.id = p.category_id
+     WHERE ac.purchase_time >= ? AND ac.purchase_time < ?
+     GROUP BY ac.product_item_id
+     ORDER BY commission DESC, orders DESC
+     LIMIT ${clampLimit(limit)}`,
+    [range.start, range.end]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({
+    item_id: row.item_id,
+    product_name: row.product_name,
+    linked: !!row.linked,
+    category_id: row.category_id,
+    category_name: row.category_name,
+    ...mapEarnings(row)
+  }));
+}
+
+/**
+ * Earnings per category of the linked product
+ * Items without a saved product are grouped as "Unlinked products", saved
+ * products without a category as "Uncategorized".
+ * @param {Object} range - From resolveDateRange
+ * @returns {Promise<Array>} [{ category_id, category_name, linked, ...earnings }]
+ */
+export async function getEarningsByCategory(range) {
+  const result = await executeQuery(
+    `SELECT p.category_id,
+            CASE WHEN MAX(p.id) IS NULL THEN 'Unlinked products'
+                 ELSE COALESCE(MAX(c.name), 'Uncategorized') END as category_name,
+            MAX(p.id) IS NOT NULL as linked,
+            ${EARNINGS_COLUMNS}
+     FROM affiliate_conversions ac
+     LEFT JOIN shopee_products p ON p.item_id = ac.product_item_id
+     LEFT JOIN categories c ON c.id = p.category_id
+     WHERE ac.purchase_time >= ? AND ac.purchase_time < ?
+     GROUP BY p.category_id, p.id IS NULL
+     ORDER BY commission DESC, orders DESC`,
+    [range.start, range.end]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({
+    category_id: row.category_id,
+    category_name: row.category_name,
+    linked: !!row.linked,
+    ...mapEarnings(row)
+  }));
+}
+
+/**
+ * Earnings per sub-ID (e.g. per channel)
+ * @param {Object} range - From resolveDateRange
+ * @param {number} limit - Max rows (1-1000)
+ * @returns {Promise<Array>} [{ sub_id, ...earnings }]
+ */
+export async function getEarningsBySubId(range, limit = 50) {
+  const result = await executeQuery(
+    `SELECT ac.sub_id, ${EARNINGS_COLUMNS}
+     FROM affiliate_conversions ac
+     WHERE ac.purchase_time >= ? AND ac.purchase_time < ?
+     GROUP BY ac.sub_id
+     ORDER BY commission DESC, orders DESC
+     LIMIT ${clampLimit(limit)}`,
+    [range.start, range.end]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({ sub_id: row.sub_id, ...mapEarnings(row) }));
+}
@@ -0,0 +1,280 @@
+/**
+ * Flash Sale Service
+ * Flash-sale products rotate in fixed time slots (FLASH_SALE_SLOT_HOURS, aligned
+ * to midnight). Each slot's product set is chosen once, when the slot is built,
+ * and stored in flash_sale_slot_items; public reads only look it up.
+ * - Pinned products (flash_sale_pins) always come first in every slot
+ * - The rest is picked by a rule; "random" is seeded by the slot start, so a
+ *   rebuild of the same slot gives the same products
+ * - is_flash_sale on shopee_products mirrors the current slot, so the
+ *   flash_sale listing filters keep working
+ */
+
+import pool, { executeQuery } from '../config/database.js';
+import { PUBLIC_BASE_CONDITION, PUBLIC_PRODUCT_COLUMNS } from './productListingService.js';
+import { PRODUCT_OVERRIDE_JOIN } from './productOverrideService.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import { formatDateTime } from '../utils/dateRange.js';
+import Logger from '../utils/logger.js';
+
+const SLOT_HOURS = Math.min(Math.max(parseInt(process.env.FLASH_SALE_SLOT_HOURS) || 3, 1), 24);
+export const FLASH_SALE_SLOT_SIZE = Math.min(Math.max(parseInt(process.env.FLASH_SALE_SLOT_SIZE) || 20, 1), 100);
+const SLOT_RETENTION_DAYS = 7;
+
+// Selection rules: ORDER BY of the non-pinned products
+export const FLASH_SALE_RULES = {
+  random: { orderBy: 'MD5(CONCAT(p.item_id, ?)) ASC', seeded: true },
+  cheapest: { orderBy: 'p.price ASC, p.sales_count DESC, p.id DESC' },
+  best_selling: { orderBy: 'p.sales_count DESC, p.id DESC' },
+  top_discount: { orderBy: 'p.discount_rate DESC, p.sales_count DESC, p.id DESC' },
+  top_commission: { orderBy: 'p.commission_rate DESC, p.sales_count DESC, p.id DESC' }
+};
+
+export const DEFAULT_FLASH_SALE_RULE = FLASH_SALE_RULES[process.env.FLASH_SALE_RULE] ? process.env.FLASH_SALE_RULE : 'random';
+
+// Public, and inside the offer period when one is set
+const ELIGIBLE_CONDITION = `${PUBLIC_BASE_CONDITION}
+  AND (p.period_start_time IS NULL OR p.period_start_time = 0 OR p.period_start_time <= UNIX_TIMESTAMP())`;
+
+/**
+ * Start and end of the slot containing a moment (the last slot of a day ends at midnight)
+ * @param {Date} date
+ * @returns {Object} { start, end } DATETIME strings
+ */
+export function getSlotBounds(date = new Date()) {
+  const start = new Date(date);
+  start.setHours(Math.floor(start.getHours() / SLOT_HOURS) * SLOT_HOURS, 0, 0, 0);
+
+  const end = new Date(start);
+  end.setHours(end.getHours() + SLOT_HOURS);
+  const midnight = new Date(start);
+  midnight.setHours(24, 0, 0, 0);
+
+  return { start: formatDateTime(start), end: formatDateTime(end < midnight ? end : midnight) };
+}
+
+/**
+ * Build the product set of a slot
+ * Runs in a transaction; when the slot already exists (built by another
+ * request or process) nothing is changed unless replace is set.
+ * @param {Object} bounds - From getSlotBounds
+ * @param {Object} options
+ * @param {string} options.rule - Key of FLASH_SALE_RULES
+ * @param {boolean} options.replace - Rebuild an existing slot
+ * @returns {Promise<Object|null>} { id, start, end, rule, pinned, picked }, or null if it already existed
+ */
+export async function buildSlot(bounds, { rule = DEFAULT_FLASH_SALE_RULE, replace = false } = {}) {
+  const ruleConfig = FLASH_SALE_RULES[rule];
+  if (!ruleConfig) {
+    throw new Error(`Unknown flash sale rule: ${rule}`);
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.execute("SET time_zone = '+07:00'");
+    await connection.beginTransaction();
+
+    if (replace) {
+      await connection.execute('DELETE FROM flash_sale_slots WHERE slot_start = ?', [bounds.start]);
+    }
+
+    const [slotInsert] = await connection.execute(
+      'INSERT IGNORE INTO flash_sale_slots (slot_start, slot_end, rule, slot_size) VALUES (?, ?, ?, ?)',
+      [bounds.start, bounds.end, rule, FLASH_SALE_SLOT_SIZE]
+    );
+    if (slotInsert.affectedRows === 0) {
+      await connection.commit();
+      return null;
+    }
+    const slotId = slotInsert.insertId;
+
+    const [pins] = await connection.execute(
+      `SELECT p.item_id
+       FROM flash_sale_pins fp
+       JOIN shopee_products p ON p.item_id = fp.product_item_id
+       WHERE ${ELIGIBLE_CONDITION}
+       ORDER BY fp.created_at ASC, fp.product_item_id ASC
+       LIMIT ${FLASH_SALE_SLOT_SIZE}`
+    );
+
+    let picks = [];
+    const remaining = FLASH_SALE_SLOT_SIZE - pins.length;
+    if (remaining > 0) {
+      [picks] = await connection.execute(
+        `SELECT p.item_id
+         FROM shopee_products p
+         WHERE ${ELIGIBLE_CONDITION}
+           AND NOT EXISTS (SELECT 1 FROM flash_sale_pins fp WHERE fp.product_item_id = p.item_id)
+         ORDER BY ${ruleConfig.orderBy}
+         LIMIT ${remaining}`,
+        ruleConfig.seeded ? [bounds.start] : []
+      );
+    }
+
+    const items = [
+      ...pins.map((row) => ({ itemId: row.item_id, pinned: 1 })),
+      ...picks.map((row) => ({ itemId: row.item_id, pinned: 0 }))
+    ];
+    if (items.length > 0) {
+      await connection.execute(
+        `INSERT INTO flash_sale_slot_items (slot_id, product_item_id, position, is_pinned)
+         VALUES ${items.map(() => '(?, ?, ?, ?)').join(', ')}`,
+        items.flatMap((item, index) => [slotId, item.itemId, index + 1, item.pinned])
+      );
+    }
+
+    // Mirror the slot into is_flash_sale without touching updated_at
+    if (bounds.start <= formatDateTime(new Date())) {
+      await connection.execute(
+        `UPDATE shopee_products p
+         LEFT JOIN flash_sale_slot_items i ON i.slot_id = ? AND i.product_item_id = p.item_id
+         SET p.is_flash_sale = (i.slot_id IS NOT NULL), p.updated_at = p.updated_at
+         WHERE p.is_flash_sale <> (i.slot_id IS NOT NULL)`,
+        [slotId]
+      );
+    }
+
+    await connection.commit();
+    return { id: slotId, start: bounds.start, end: bounds.end, rule, pinned: pins.length, picked: picks.length };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Build the current slot if it does not exist yet and prune old slots
+ * @returns {Promise<Object|null>} The new slot, or null when it already existed
+ */
+export async function ensureCurrentSlot() {
+  const bounds = getSlotBounds();
+  const existing = await executeQuery('SELECT id FROM flash_sale_slots WHERE slot_start = ?', [bounds.start]);
+  if (!existing.success) {
+    throw new Error(existing.error);
+  }
+  if (existing.data.length > 0) {
+    return null;
+  }
+
+  const slot = await buildSlot(bounds);
+  await executeQuery('DELETE FROM flash_sale_slots WHERE slot_end < NOW() - INTERVAL ? DAY', [SLOT_RETENTION_DAYS]);
+  return slot;
+}
+
+/**
+ * Rebuild the current slot now (after pins changed or on admin request)
+ * @param {string} rule - Key of FLASH_SALE_RULES (default: the current slot's rule)
+ * @returns {Promise<Object>} The rebuilt slot
+ */
+export async function rebuildCurrentSlot(rule = null) {
+  const bounds = getSlotBounds();
+  let slotRule = rule;
+  if (!slotRule) {
+    const current = await executeQuery('SELECT rule FROM flash_sale_slots WHERE slot_start = ?', [bounds.start]);
+    if (!current.success) {
+      throw new Error(current.error);
+    }
+    slotRule = current.data[0]?.rule || DEFAULT_FLASH_SALE_RULE;
+  }
+  return buildSlot(bounds, { rule: slotRule, replace: true });
+}
+
+/**
+ * The slot shown right now: the latest slot that has started
+ * Falls back to an older slot when the rotation job has not built the current one yet.
+ * @returns {Promise<Object|null>} flash_sale_slots row
+ */
+export async function getCurrentSlot() {
+  const result = await executeQuery(
+    'SELECT id, slot_start, slot_end, rule, slot_size FROM flash_sale_slots WHERE slot_start <= ? ORDER BY slot_start DESC LIMIT 1',
+    [formatDateTime(new Date())]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data[0] || null;
+}
+
+/**
+ * Products of a slot in slot order (products that stopped being public are left out)
+ * @param {number} slotId - flash_sale_slots.id
+ * @param {Object} options
+ * @param {number} options.limit - Max products
+ * @param {number} options.offset - Products to skip
+ * @param {boolean} options.includeInactive - Admin view: keep products that are no longer public
+ * @returns {Promise<Array>} Products with is_pinned and slot_position
+ */
+export async function getSlotProducts(slotId, { limit = FLASH_SALE_SLOT_SIZE, offset = 0, includeInactive = false } = {}) {
+  const result = await executeQuery(
+    `SELECT ${PUBLIC_PRODUCT_COLUMNS}, p.campaign_active, i.is_pinned, i.position as slot_position
+     FROM flash_sale_slot_items i
+     JOIN shopee_products p ON p.item_id = i.product_item_id
+     LEFT JOIN categories c ON p.category_id = c.id
+     ${PRODUCT_OVERRIDE_JOIN}
+     WHERE i.slot_id = ?${includeInactive ? '' : ` AND ${PUBLIC_BASE_CONDITION}`}
+     ORDER BY i.position ASC
+     LIMIT ${Math.min(Math.max(parseInt(limit) || FLASH_SALE_SLOT_SIZE, 1), 100)}
+     OFFSET ${Math.max(parseInt(offset) || 0, 0)}`,
+    [slotId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.map((row) => ({ ...row, is_pinned: !!row.is_pinned }));
+}
+
+/**
+ * Pin or unpin a saved product, then rebuild the current slot so the change shows immediately
+ * @param {string} itemId - Shopee item ID
+ * @param {boolean} pinned - Pin (true) or unpin (false)
+ * @param {number|null} userId - Admin user
+ * @returns {Promise<boolean>} False when the product does not exist
+ */
+export async function setFlashSalePin(itemId, pinned, userId = null) {
+  const product = await executeQuery('SELECT item_id FROM shopee_products WHERE item_id = ?', [String(itemId)]);
+  if (!product.success) {
+    throw new Error(product.error);
+  }
+  if (product.data.length === 0) {
+    return false;
+  }
+
+  const result = pinned
+    ? await executeQuery('INSERT IGNORE INTO flash_sale_pins (product_item_id, pinned_by) VALUES (?, ?)', [String(itemId), userId])
+    : await executeQuery('DELETE FROM flash_sale_pins WHERE product_item_id = ?', [String(itemId)]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  if (result.data.affectedRows > 0) {
+    await rebuildCurrentSlot();
+  }
+  return true;
+}
+
+/**
+ * Start the flash-sale rotation job (checks every minute whether a new slot has begun)
+ * Disabled with FLASH_SALE_ROTATION_ENABLED=false
+ */
+export function startFlashSaleRotationScheduler() {
+  if (process.env.FLASH_SALE_ROTATION_ENABLED === 'false') {
+    Logger.info("[FlashSale] Rotation disabled (FLASH_SALE_ROTATION_ENABLED=false)");
+    return null;
+  }
+
+  return scheduleJob(
+    "flash-sale-rotation",
+    60 * 1000,
+    async () => {
+      const slot = await ensureCurrentSlot();
+      if (slot) {
+        Logger.info(
+          `[FlashSale] Slot ${slot.start} - ${slot.end} built (${slot.rule}): ${slot.pinned} pinned, ${slot.picked} picked`
+        );
+      }
+    },
+    { initialDelayMs: 5 * 1000 }
+  );
+}
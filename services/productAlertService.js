@@ -0,0 +1,185 @@
+/**
+ * Product Alert Service
+ * Evaluates alert rules when a saved product is updated by sync or save and
+ * delivers matches into the admin notification inbox (admin_notifications).
+ *
+ * Rule types:
+ * - price_drop:        price dropped by at least `threshold` percent
+ * - commission_below:  commission rate fell below `threshold` percent
+ * - commission_change: commission rate changed by at least `threshold` percentage points (0 = any change)
+ *
+ * Scopes: a single product (product_item_id), a category (category_id) or global.
+ */
+
+import { executeQuery } from '../config/database.js';
+import Logger from '../utils/logger.js';
+
+export const ALERT_RULE_TYPES = ['price_drop', 'commission_below', 'commission_change'];
+export const ALERT_RULE_SCOPES = ['product', 'category', 'global'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Check a single rule against the previous and current product values
+ * @returns {Object|null} Notification details or null when the rule doesn't match
+ */
+function matchRule(rule, previous, current) {
+  const threshold = parseFloat(rule.threshold) || 0;
+  const name = current.product_name || current.item_id;
+
+  switch (rule.rule_type) {
+    case 'price_drop': {
+      const oldPrice = toNumber(previous.price);
+      const newPrice = toNumber(current.price);
+      if (!oldPrice || newPrice === null || newPrice <= 0 || newPrice >= oldPrice) {
+        return null;
+      }
+      const dropPercent = ((oldPrice - newPrice) / oldPrice) * 100;
+      if (dropPercent < threshold) {
+        return null;
+      }
+      return {
+        type: 'price_drop',
+        title: `Price dropped ${dropPercent.toFixed(1)}%`,
+        message: `${name}: ฿${oldPrice.toFixed(2)} → ฿${newPrice.toFixed(2)}`,
+        data: { oldPrice, newPrice, dropPercent: parseFloat(dropPercent.toFixed(2)) }
+      };
+    }
+
+    case 'commission_below': {
+      // commission_rate is stored as decimal (0.1 = 10%), threshold is a percentage
+      const oldRate = toNumber(previous.commission_rate);
+      const newRate = toNumber(current.commission_rate);
+      const limit = threshold / 100;
+      // Only alert when the rate crosses the threshold, not on every update below it
+      if (oldRate === null || newRate === null || !(newRate < limit && oldRate >= limit)) {
+        return null;
+      }
+      return {
+        type: 'commission_below',
+        title: `Commission fell below ${threshold}%`,
+        message: `${name}: ${(oldRate * 100).toFixed(2)}% → ${(newRate * 100).toFixed(2)}%`,
+        data: { oldRate, newRate, threshold }
+      };
+    }
+
+    case 'commission_change': {
+      const oldRate = toNumber(previous.commission_rate);
+      const newRate = toNumber(current.commission_rate);
+      if (oldRate === null || newRate === null) {
+        return null;
+      }
+      const changePoints = (newRate - oldRate) * 100;
+      if (Math.abs(changePoints) < 0.0001 || Math.abs(changePoints) < threshold) {
+        return null;
+      }
+      return {
+        type: 'commission_change',
+        title: `Commission ${changePoints > 0 ? 'increased' : 'decreased'} ${Math.abs(changePoints).toFixed(2)} pts`,
+        message: `${name}: ${(oldRate * 100).toFixed(2)}% → ${(newRate * 100).toFixed(2)}%`,
+        data: { oldRate, newRate, changePoints: parseFloat(changePoints.toFixed(4)) }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Evaluate active alert rules for a product after it was written
+ * Rules only fire on changes, so nothing happens for newly inserted products.
+ * Never throws: alerts must not break product saves.
+ * @param {string} itemId - Shopee item ID
+ * @param {Object|null} previous - Product values before the write (getProductPricing)
+ * @param {Object|null} current - Product values after the write (getProductPricing)
+ * @param {string} source - What wrote the product (save, sync-single, scheduled-sync, ...)
+ * @returns {Promise<number>} Number of notifications created
+ */
+export async function evaluateProductAlerts(itemId, previous, current, source) {
+  if (!previous || !current) {
+    return 0;
+  }
+
+  try {
+    const rulesResult = await executeQuery(
+      `SELECT * FROM product_alert_rules
+       WHERE is_active = 1
+         AND (
+           scope = 'global'
+           OR (scope = 'product' AND product_item_id = ?)
+           OR (scope = 'category' AND category_id = ?)
+         )`,
+      [String(itemId), current.category_id || null]
+    );
+
+    if (!rulesResult.success) {
+      throw new Error(rulesResult.error);
+    }
+
+    let created = 0;
+    for (const rule of rulesResult.data) {
+      const match = matchRule(rule, previous, current);
+      if (!match) {
+        continue;
+      }
+
+      const insertResult = await executeQuery(
+        `INSERT INTO admin_notifications (type, title, message, product_item_id, rule_id, data)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          match.type,
+          match.title,
+          match.message,
+          String(itemId),
+          rule.id,
+          JSON.stringify({ ...match.data, ruleName: rule.name, source })
+        ]
+      );
+
+      if (insertResult.success) {
+        created++;
+      }
+    }
+
+    if (created > 0) {
+      Logger.info(`[ProductAlerts] ${created} notification(s) created for ${itemId}`);
+    }
+    return created;
+  } catch (error) {
+    Logger.warn(`[ProductAlerts] Failed to evaluate alerts for ${itemId}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Validate alert rule input
+ * @param {Object} input - Request body
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateAlertRule(input) {
+  const { scope, rule_type, threshold, product_item_id, category_id } = input;
+
+  if (!ALERT_RULE_SCOPES.includes(scope)) {
+    return `scope must be one of: ${ALERT_RULE_SCOPES.join(', ')}`;
+  }
+  if (!ALERT_RULE_TYPES.includes(rule_type)) {
+    return `rule_type must be one of: ${ALERT_RULE_TYPES.join(', ')}`;
+  }
+  if (scope === 'product' && !product_item_id) {
+    return 'product_item_id is required for product rules';
+  }
+  if (scope === 'category' && !category_id) {
+    return 'category_id is required for category rules';
+  }
+
+  const value = parseFloat(threshold);
+  if (threshold === undefined || threshold === null || threshold === '' || isNaN(value) || value < 0) {
+    return 'threshold must be a number >= 0';
+  }
+  if (rule_type !== 'commission_change' && (value <= 0 || value > 100)) {
+    return 'threshold must be a percentage between 0 and 100';
+  }
+
+  return null;
+}
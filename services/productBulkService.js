@@ -0,0 +1,215 @@
+/**
+ * Product Bulk Service
+ * Applies one action to many saved products (POST /api/products/bulk) and
+ * reports the outcome per item:
+ * - activate / deactivate / set-category / add-tags / remove-tags / delete run
+ *   in a single transaction, so either every item is written or none is
+ * - resync looks every item up through the Shopee client one by one (like the
+ *   import), so it is not transactional
+ * Item statuses: updated, unchanged, not_found, failed. Trashed products count
+ * as not found. Updated items go through the product hooks (source bulk-<action>).
+ */
+
+import pool, { executeQuery } from '../config/database.js';
+import { ShopeeCircuitOpenError } from './shopeeApiService.js';
+import { findShopeeProductById, applySyncResult } from './productSyncService.js';
+import { PRODUCT_OVERRIDE_JOIN } from './productOverrideService.js';
+import { beforeProductsWrite, afterProductsWrite } from './productHooks.js';
+import Logger from '../utils/logger.js';
+
+export const BULK_ACTIONS = ['activate', 'deactivate', 'set-category', 'add-tags', 'remove-tags', 'delete', 'resync'];
+export const BULK_MAX_ITEMS = parseInt(process.env.PRODUCT_BULK_MAX_ITEMS) || 500;
+export const BULK_RESYNC_MAX_ITEMS = parseInt(process.env.PRODUCT_BULK_RESYNC_MAX_ITEMS) || 50;
+
+/**
+ * Build the report of a bulk action from per-item results (kept in input order)
+ */
+function buildReport(itemIds, results) {
+  const summary = { total: itemIds.length, updated: 0, unchanged: 0, notFound: 0, failed: 0 };
+  const items = itemIds.map((itemId) => {
+    const item = { itemId, ...results.get(itemId) };
+    summary[item.status === 'not_found' ? 'notFound' : item.status]++;
+    return item;
+  });
+  return { summary, items };
+}
+
+/**
+ * Write a transactional action for the products found (rows locked FOR UPDATE)
+ * @returns {Promise<Map>} itemId -> { status, ...details }
+ */
+async function applyTransactionalAction(connection, action, rows, { categoryId, tagIds }) {
+  const results = new Map();
+  const itemIds = rows.map((row) => String(row.item_id));
+  const update = async (sql, ids, params = []) => {
+    if (ids.length > 0) {
+      await connection.execute(`${sql} WHERE item_id IN (${ids.map(() => '?').join(', ')})`, [...params, ...ids]);
+    }
+  };
+
+  if (action === 'activate' || action === 'deactivate') {
+    const status = action === 'activate' ? 'active' : 'inactive';
+    const changed = [];
+    for (const row of rows) {
+      const itemId = String(row.item_id);
+      if (row.status === status) {
+        results.set(itemId, { status: 'unchanged' });
+      } else {
+        changed.push(itemId);
+        results.set(itemId, { status: 'updated', from: row.status, to: status });
+      }
+    }
+    await update(
+      "UPDATE shopee_products SET status = ?, status_source = 'admin', updated_at = CURRENT_TIMESTAMP",
+      changed,
+      [status]
+    );
+  } else if (action === 'set-category') {
+    const changed = [];
+    for (const row of rows) {
+      const itemId = String(row.item_id);
+      const current = row.category_id === null ? null : Number(row.category_id);
+      if (row.lock_category && row.pinned_category_id !== null && Number(row.pinned_category_id) !== categoryId) {
+        results.set(itemId, { status: 'failed', error: 'Category is locked by a product override' });
+      } else if (current === categoryId) {
+        results.set(itemId, { status: 'unchanged' });
+      } else {
+        changed.push(itemId);
+        results.set(itemId, { status: 'updated', from: current, to: categoryId });
+      }
+    }
+    await update('UPDATE shopee_products SET category_id = ?, updated_at = CURRENT_TIMESTAMP', changed, [categoryId]);
+  } else if (action === 'add-tags' || action === 'remove-tags') {
+    const [links] = await connection.execute(
+      `SELECT product_item_id, tag_id FROM product_tags
+       WHERE product_item_id IN (${itemIds.map(() => '?').join(', ')})
+         AND tag_id IN (${tagIds.map(() => '?').join(', ')})`,
+      [...itemIds, ...tagIds]
+    );
+    const linked = new Set(links.map((link) => `${link.product_item_id}:${link.tag_id}`));
+    const adding = action === 'add-tags';
+    const pairs = [];
+
+    for (const itemId of itemIds) {
+      const changedTags = tagIds.filter((tagId) => linked.has(`${itemId}:${tagId}`) !== adding);
+      changedTags.forEach((tagId) => pairs.push([itemId, tagId]));
+      results.set(
+        itemId,
+        changedTags.length > 0 ? { status: 'updated', [adding ? 'added' : 'removed']: changedTags } : { status: 'unchanged' }
+      );
+    }
+
+    if (pairs.length > 0) {
+      await connection.execute(
+        adding
+          ? `INSERT IGNORE INTO product_tags (product_item_id, tag_id) VALUES ${pairs.map(() => '(?, ?)').join(', ')}`
+          : `DELETE FROM product_tags WHERE (product_item_id, tag_id) IN (${pairs.map(() => '(?, ?)').join(', ')})`,
+        pairs.flat()
+      );
+    }
+  } else if (action === 'delete') {
+    itemIds.forEach((itemId) => results.set(itemId, { status: 'updated' }));
+    await update('UPDATE shopee_products SET deleted_at = CURRENT_TIMESTAMP', itemIds);
+  } else {
+    throw new Error(`Unknown bulk action: ${action}`);
+  }
+
+  return results;
+}
+
+/**
+ * Resync products one by one with a lookup by item ID
+ * Shopee being down marks the remaining items as failed instead of calling it again.
+ * @returns {Promise<Map>} itemId -> { status, ...details }
+ */
+async function resyncProducts(rows, userId) {
+  const results = new Map();
+  let circuitError = null;
+
+  for (const row of rows) {
+    const itemId = String(row.item_id);
+    if (circuitError) {
+      results.set(itemId, { status: 'failed', error: circuitError.message });
+      continue;
+    }
+
+    try {
+      const node = await findShopeeProductById(itemId, row.shop_id);
+      const syncResult = await applySyncResult(itemId, node, { source: 'bulk-resync', userId });
+      // Not found on Shopee: the product is deactivated, as in the scheduled sync
+      results.set(itemId, { status: 'updated', found: syncResult.found, productStatus: syncResult.status });
+    } catch (error) {
+      if (error instanceof ShopeeCircuitOpenError) {
+        circuitError = error;
+      }
+      results.set(itemId, { status: 'failed', error: error.message });
+      Logger.warn(`[ProductBulk] Resync failed for ${itemId}:`, error.message);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Apply a bulk action to saved products
+ * @param {Array<string>} itemIds - Normalised item IDs (see normalizeItemIds)
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} options
+ * @param {number|null} options.categoryId - set-category: target category (null clears it)
+ * @param {Array<number>} options.tagIds - add-tags / remove-tags: tags to link or unlink
+ * @param {number|null} options.userId - Admin user running the action
+ * @returns {Promise<Object>} { summary, items }
+ */
+export async function runBulkAction(itemIds, action, { categoryId = null, tagIds = [], userId = null } = {}) {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new Error(`Unknown bulk action: ${action}`);
+  }
+  if (itemIds.length === 0) {
+    return buildReport(itemIds, new Map());
+  }
+
+  const placeholders = itemIds.map(() => '?').join(', ');
+  const selectRows = `SELECT p.item_id, p.shop_id, p.status, p.category_id,
+                             COALESCE(po.lock_category, 0) as lock_category, po.pinned_category_id
+                      FROM shopee_products p
+                      ${PRODUCT_OVERRIDE_JOIN}
+                      WHERE p.item_id IN (${placeholders}) AND p.deleted_at IS NULL`;
+
+  let results;
+  if (action === 'resync') {
+    const rowsResult = await executeQuery(selectRows, itemIds);
+    if (!rowsResult.success) {
+      throw new Error(rowsResult.error);
+    }
+    results = await resyncProducts(rowsResult.data, userId);
+  } else {
+    let previous;
+    const connection = await pool.getConnection();
+    try {
+      await connection.execute("SET time_zone = '+07:00'");
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(`${selectRows} FOR UPDATE`, itemIds);
+      // Previous state for the hooks after commit, read while the rows are locked
+      previous = await beforeProductsWrite(rows.map((row) => String(row.item_id)));
+      results = await applyTransactionalAction(connection, action, rows, { categoryId, tagIds });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const updatedIds = [...results].filter(([, result]) => result.status === 'updated').map(([itemId]) => itemId);
+    await afterProductsWrite(updatedIds, previous, `bulk-${action}`, { userId });
+  }
+
+  for (const itemId of itemIds) {
+    if (!results.has(itemId)) {
+      results.set(itemId, { status: 'not_found', error: 'Product not found' });
+    }
+  }
+  return buildReport(itemIds, results);
+}
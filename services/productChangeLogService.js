@@ -0,0 +1,211 @@
+/**
+ * Product Change Log Service
+ * Field-by-field comparison of product values (labels in Thai, shown as-is in
+ * the admin UI), used by:
+ * - POST /api/products/check: stored row vs. the Shopee data about to be saved
+ * - product_change_log: a product snapshot before vs. after every write
+ *   (save, sync, import, override, bulk action, trash/restore, offer expiry,
+ *   category/tag trash), with the write source and the admin user when there is one
+ */
+
+import { executeQuery } from '../config/database.js';
+import { PRODUCT_OVERRIDE_JOIN } from './productOverrideService.js';
+import Logger from '../utils/logger.js';
+
+// Compared fields; newKey is the request body key used by /check
+export const PRODUCT_CHANGE_FIELDS = [
+  { key: 'product_name', newKey: 'productName', label: 'ชื่อสินค้า' },
+  { key: 'shop_name', newKey: 'shopName', label: 'ชื่อร้าน' },
+  { key: 'shop_id', newKey: 'shopId', label: 'รหัสร้าน', isNumber: true },
+  { key: 'price', newKey: 'price', label: 'ราคา', isNumber: true },
+  { key: 'price_min', newKey: 'priceMin', label: 'ราคาต่ำสุด', isNumber: true },
+  { key: 'price_max', newKey: 'priceMax', label: 'ราคาสูงสุด', isNumber: true },
+  { key: 'commission_rate', newKey: 'commissionRate', label: 'อัตรา commission', isDecimal: true },
+  { key: 'seller_commission_rate', newKey: 'sellerCommissionRate', label: 'อัตรา commission ผู้ขาย', isDecimal: true },
+  { key: 'commission_amount', newKey: 'commission', label: 'จำนวน commission', isNumber: true },
+  { key: 'sales_count', newKey: 'sold', label: 'ยอดขาย', isNumber: true },
+  { key: 'rating_star', newKey: 'ratingStar', label: 'เรตติ้งดาว', isDecimal: true },
+  { key: 'discount_rate', newKey: 'discountRate', label: 'อัตราส่วนลด', isNumber: true },
+  { key: 'period_start_time', newKey: 'periodStartTime', label: 'เวลาเริ่ม', isNumber: true },
+  { key: 'period_end_time', newKey: 'periodEndTime', label: 'เวลาสิ้นสุด', isNumber: true },
+  { key: 'campaign_active', newKey: 'campaignActive', label: 'แคมเปญ', isBoolean: true },
+  { key: 'image_url', label: 'รูปภาพ' },
+  { key: 'status', label: 'สถานะ' },
+  { key: 'category_name', label: 'หมวดหมู่' },
+  { key: 'tags', label: 'แท็ก' },
+  { key: 'display_title', label: 'ชื่อที่แสดง' },
+  { key: 'custom_image_url', label: 'รูปภาพที่กำหนดเอง' },
+  { key: 'notes', label: 'หมายเหตุ' },
+  { key: 'pinned_category_name', label: 'หมวดหมู่ที่ปักหมุด' },
+  { key: 'lock_title', label: 'ล็อกชื่อสินค้า', isBoolean: true },
+  { key: 'lock_image', label: 'ล็อกรูปภาพ', isBoolean: true },
+  { key: 'lock_category', label: 'ล็อกหมวดหมู่', isBoolean: true },
+  { key: 'in_trash', label: 'อยู่ในถังขยะ', isBoolean: true }
+];
+
+/**
+ * Convert a value for comparison and display
+ */
+function normalizeFieldValue(field, value) {
+  if (field.isNumber) {
+    return parseFloat(value) || 0;
+  }
+  if (field.isDecimal) {
+    // Show as decimal for display
+    return (parseFloat(value) || 0).toFixed(2);
+  }
+  if (field.isBoolean) {
+    return !!value;
+  }
+  return value;
+}
+
+/**
+ * Compare product values field by field
+ * @param {Object} before - Stored values (snake_case columns)
+ * @param {Object} after - New values: a snapshot, or the /check request body when incoming is set
+ * @param {Object} options
+ * @param {boolean} options.incoming - Read after through newKey and only compare those fields
+ * @returns {Array<Object>} [{ field (label), key, oldValue, newValue }]
+ */
+export function compareProductFields(before, after, { incoming = false } = {}) {
+  const fields = incoming ? PRODUCT_CHANGE_FIELDS.filter((field) => field.newKey) : PRODUCT_CHANGE_FIELDS;
+  const differences = [];
+
+  for (const field of fields) {
+    const oldValue = normalizeFieldValue(field, before[field.key]);
+    const newValue = normalizeFieldValue(field, incoming ? after[field.newKey] : after[field.key]);
+
+    if (oldValue != newValue) {
+      differences.push({ field: field.label, key: field.key, oldValue, newValue });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Current values of products as compared by the change log
+ * Also carries the getProductPricing values (item_id, product_name, category_id,
+ * price/commission/sales fields, updated_at) used by history and alerts.
+ * @param {Array<string>} itemIds - Shopee item IDs
+ * @returns {Promise<Map>} itemId -> snapshot (missing products are left out)
+ */
+export async function getProductSnapshots(itemIds) {
+  const snapshots = new Map();
+  if (itemIds.length === 0) {
+    return snapshots;
+  }
+
+  const result = await executeQuery(
+    `SELECT p.item_id, p.product_name, p.shop_name, p.shop_id, p.price, p.price_min, p.price_max,
+            p.commission_rate, p.seller_commission_rate, p.commission_amount, p.sales_count,
+            p.rating_star, p.discount_rate, p.period_start_time, p.period_end_time, p.campaign_active,
+            p.image_url, p.status, p.category_id, c.name as category_name,
+            (p.deleted_at IS NOT NULL) as in_trash, p.updated_at,
+            po.display_title, po.custom_image_url, po.notes, pc.name as pinned_category_name,
+            COALESCE(po.lock_title, 0) as lock_title, COALESCE(po.lock_image, 0) as lock_image,
+            COALESCE(po.lock_category, 0) as lock_category,
+            (SELECT GROUP_CONCAT(t.name ORDER BY t.name SEPARATOR ', ')
+             FROM product_tags pt JOIN tags t ON t.id = pt.tag_id
+             WHERE pt.product_item_id = p.item_id) as tags
+     FROM shopee_products p
+     LEFT JOIN categories c ON p.category_id = c.id
+     ${PRODUCT_OVERRIDE_JOIN}
+     LEFT JOIN categories pc ON pc.id = po.pinned_category_id
+     WHERE p.item_id IN (${itemIds.map(() => '?').join(', ')})`,
+    itemIds.map(String)
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  for (const row of result.data) {
+    snapshots.set(String(row.item_id), row);
+  }
+  return snapshots;
+}
+
+/**
+ * Current values of a product (see getProductSnapshots)
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<Object|null>} Snapshot, or null if the product doesn't exist
+ */
+export async function getProductSnapshot(itemId) {
+  const snapshots = await getProductSnapshots([String(itemId)]);
+  return snapshots.get(String(itemId)) || null;
+}
+
+/**
+ * Record what a write changed. Never throws: the log must not break product saves.
+ * A product that didn't exist before gets a 'created' entry; a write that changed
+ * nothing is not recorded.
+ * @param {string} itemId - Shopee item ID
+ * @param {Object|null} previous - Snapshot before the write
+ * @param {Object|null} current - Snapshot after the write
+ * @param {string} source - What wrote the product
+ * @param {number|null} userId - Admin user, null for background jobs
+ * @returns {Promise<boolean>} True if an entry was written
+ */
+export async function recordProductChanges(itemId, previous, current, source, userId = null) {
+  try {
+    if (!current) {
+      return false;
+    }
+
+    const changes = previous ? compareProductFields(previous, current) : [];
+    if (previous && changes.length === 0) {
+      return false;
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO product_change_log (product_item_id, event, source, changed_by, changes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [String(itemId), previous ? 'updated' : 'created', source, userId, JSON.stringify(changes)]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return true;
+  } catch (error) {
+    Logger.warn(`[ProductChangeLog] Failed to record changes for ${itemId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Change timeline of a product, newest first
+ * @param {string} itemId - Shopee item ID
+ * @param {Object} options
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function getProductChangeLog(itemId, { page = 1, limit = 20 } = {}) {
+  const offset = (page - 1) * limit;
+
+  const [entriesResult, countResult] = await Promise.all([
+    executeQuery(
+      `SELECT l.id, l.event, l.source, l.changed_by, u.username as changed_by_username, l.changes, l.created_at
+       FROM product_change_log l
+       LEFT JOIN admin_users u ON u.id = l.changed_by
+       WHERE l.product_item_id = ?
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      [String(itemId)]
+    ),
+    executeQuery('SELECT COUNT(*) as total FROM product_change_log WHERE product_item_id = ?', [String(itemId)])
+  ]);
+  if (!entriesResult.success) {
+    throw new Error(entriesResult.error);
+  }
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+
+  const entries = entriesResult.data.map((entry) => ({
+    ...entry,
+    changes: entry.changes ? JSON.parse(entry.changes) : []
+  }));
+  return { entries, total: countResult.data[0].total };
+}
@@ -0,0 +1,164 @@
+/**
+ * Product Export Service
+ * Streams saved products to CSV or XLSX (GET /api/products/saved/export).
+ * Rows are written batch by batch so the full result set never sits in memory.
+ */
+
+import ExcelJS from 'exceljs';
+import { executeQuery } from '../config/database.js';
+import { formatCsvRow } from '../utils/csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Export columns: header label, record key and XLSX column width
+const EXPORT_COLUMNS = [
+  { header: 'Item ID', key: 'item_id', width: 16 },
+  { header: 'Product Name', key: 'product_name', width: 60 },
+  { header: 'Shop Name', key: 'shop_name', width: 30 },
+  { header: 'Shop ID', key: 'shop_id', width: 14 },
+  { header: 'Category', key: 'category_name', width: 20 },
+  { header: 'Tags', key: 'tags', width: 30 },
+  { header: 'Price', key: 'price', width: 12 },
+  { header: 'Price Min', key: 'price_min', width: 12 },
+  { header: 'Price Max', key: 'price_max', width: 12 },
+  { header: 'Commission Rate (%)', key: 'commission_rate_percent', width: 18 },
+  { header: 'Commission Amount', key: 'commission_amount', width: 18 },
+  { header: 'Rating', key: 'rating_star', width: 8 },
+  { header: 'Sales', key: 'sales_count', width: 10 },
+  { header: 'Discount (%)', key: 'discount_rate', width: 12 },
+  { header: 'Status', key: 'status', width: 10 },
+  { header: 'Flash Sale', key: 'is_flash_sale', width: 10 },
+  { header: 'Product Link', key: 'product_link', width: 45 },
+  { header: 'Offer Link', key: 'offer_link', width: 35 },
+  { header: 'Campaign Start', key: 'period_start', width: 20 },
+  { header: 'Campaign End', key: 'period_end', width: 20 },
+  { header: 'Created At', key: 'created_at', width: 20 },
+  { header: 'Updated At', key: 'updated_at', width: 20 }
+];
+
+/**
+ * Format a Date as "YYYY-MM-DD HH:mm:ss" in server local time (Asia/Bangkok)
+ */
+function formatDateTime(date) {
+  if (!date || isNaN(date.getTime())) {
+    return '';
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Map a shopee_products row (plus tags) to export values keyed by column
+ */
+function toExportRecord(row, tags) {
+  const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+  const periodStart = parseInt(row.period_start_time) || 0;
+  const periodEnd = parseInt(row.period_end_time) || 0;
+
+  return {
+    item_id: row.item_id,
+    product_name: row.product_name,
+    shop_name: row.shop_name || '',
+    shop_id: row.shop_id || '',
+    category_name: row.category_name || '',
+    tags: tags.join(', '),
+    price: toNumber(row.price),
+    price_min: toNumber(row.price_min),
+    price_max: toNumber(row.price_max),
+    commission_rate_percent: row.commission_rate !== null ? parseFloat((parseFloat(row.commission_rate) * 100).toFixed(2)) : null,
+    commission_amount: toNumber(row.commission_amount),
+    rating_star: toNumber(row.rating_star),
+    sales_count: row.sales_count,
+    discount_rate: toNumber(row.discount_rate),
+    status: row.status,
+    is_flash_sale: row.is_flash_sale ? 'yes' : 'no',
+    product_link: row.product_link || '',
+    offer_link: row.offer_link || '',
+    period_start: periodStart > 0 ? formatDateTime(new Date(periodStart * 1000)) : '',
+    period_end: periodEnd > 0 ? formatDateTime(new Date(periodEnd * 1000)) : '',
+    created_at: row.created_at ? formatDateTime(new Date(row.created_at)) : '',
+    updated_at: row.updated_at ? formatDateTime(new Date(row.updated_at)) : ''
+  };
+}
+
+/**
+ * Load tag names for a batch of products
+ * @param {Array<string>} itemIds - Shopee item IDs
+ * @returns {Promise<Object>} Map of item ID -> tag names
+ */
+async function loadTagsByItemId(itemIds) {
+  const tagsByItemId = {};
+  if (itemIds.length === 0) {
+    return tagsByItemId;
+  }
+
+  const placeholders = itemIds.map(() => '?').join(',');
+  const result = await executeQuery(
+    `SELECT pt.product_item_id, t.name
+     FROM product_tags pt
+     JOIN tags t ON pt.tag_id = t.id
+     WHERE pt.product_item_id IN (${placeholders})
+     ORDER BY t.name ASC`,
+    itemIds
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  result.data.forEach((row) => {
+    (tagsByItemId[row.product_item_id] = tagsByItemId[row.product_item_id] || []).push(row.name);
+  });
+  return tagsByItemId;
+}
+
+/**
+ * Create a streaming writer for the given format
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} stream - Writable stream (Express response)
+ * @returns {Object} { writeRows(rows), end() }
+ */
+export function createProductExportWriter(format, stream) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet('Products', { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    return {
+      async writeRows(rows) {
+        const tagsByItemId = await loadTagsByItemId(rows.map((row) => row.item_id));
+        rows.forEach((row) => {
+          worksheet.addRow(toExportRecord(row, tagsByItemId[row.item_id] || [])).commit();
+        });
+      },
+      async end() {
+        worksheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  // CSV with UTF-8 BOM so Excel shows Thai text correctly
+  stream.write('\uFEFF' + formatCsvRow(EXPORT_COLUMNS.map((column) => column.header)));
+
+  return {
+    async writeRows(rows) {
+      const tagsByItemId = await loadTagsByItemId(rows.map((row) => row.item_id));
+      const chunk = rows
+        .map((row) => {
+          const record = toExportRecord(row, tagsByItemId[row.item_id] || []);
+          return formatCsvRow(EXPORT_COLUMNS.map((column) => record[column.key]));
+        })
+        .join('');
+      // Respect backpressure from slow clients
+      if (!stream.write(chunk)) {
+        await new Promise((resolve) => stream.once('drain', resolve));
+      }
+    },
+    async end() {
+      stream.end();
+    }
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Product History Service
+ * Keeps a time series of price, commission and sales values for saved products.
+ * A snapshot is written to product_price_history whenever /save, /save-from-frontend,
+ * /sync-single or the scheduled sync changes one of the tracked values.
+ */
+
+import { executeQuery } from '../config/database.js';
+import Logger from '../utils/logger.js';
+
+// Values tracked in product_price_history
+const TRACKED_FIELDS = ['price', 'commission_rate', 'commission_amount', 'sales_count', 'discount_rate'];
+
+/**
+ * Get the current tracked values of a product
+ * Call before writing to shopee_products so the previous state is not lost.
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<Object|null>} Tracked values plus name, category and updated_at, or null if product doesn't exist
+ */
+export async function getProductPricing(itemId) {
+  const result = await executeQuery(
+    `SELECT item_id, product_name, category_id, ${TRACKED_FIELDS.join(', ')}, updated_at
+     FROM shopee_products
+     WHERE item_id = ?`,
+    [String(itemId)]
+  );
+
+  if (!result.success || result.data.length === 0) {
+    return null;
+  }
+
+  return result.data[0];
+}
+
+/**
+ * Check whether any tracked value differs between two snapshots
+ */
+function hasPricingChanged(previous, current) {
+  return TRACKED_FIELDS.some((field) => {
+    const oldValue = parseFloat(previous[field]) || 0;
+    const newValue = parseFloat(current[field]) || 0;
+    return Math.abs(oldValue - newValue) > 0.0001;
+  });
+}
+
+async function insertSnapshot(itemId, values, source, recordedAt = null) {
+  const params = [
+    String(itemId),
+    ...TRACKED_FIELDS.map((field) => (values[field] === undefined ? null : values[field])),
+    source
+  ];
+
+  let query = `INSERT INTO product_price_history
+    (product_item_id, ${TRACKED_FIELDS.join(', ')}, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+  if (recordedAt) {
+    query = `INSERT INTO product_price_history
+      (product_item_id, ${TRACKED_FIELDS.join(', ')}, source, recorded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+    params.push(recordedAt);
+  }
+
+  const result = await executeQuery(query, params);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+}
+
+/**
+ * Record a history snapshot after a product write
+ * - Compares the stored row with the latest snapshot and writes one if anything changed
+ * - When the product has no history yet, the previous state (if known) is stored first
+ *   so values that existed before history tracking are not lost
+ * Never throws: history must not break product saves.
+ * @param {string} itemId - Shopee item ID
+ * @param {Object|null} previous - Result of getProductPricing() before the write
+ * @param {string} source - What wrote the product (save, save-from-frontend, sync-single, scheduled-sync)
+ * @param {Object|null} current - Result of getProductPricing() after the write (loaded if omitted)
+ * @returns {Promise<boolean>} True if a snapshot was written
+ */
+export async function recordProductHistory(itemId, previous, source, current = null) {
+  try {
+    current = current || (await getProductPricing(itemId));
+    if (!current) {
+      return false;
+    }
+
+    const lastResult = await executeQuery(
+      `SELECT ${TRACKED_FIELDS.join(', ')}, recorded_at
+       FROM product_price_history
+       WHERE product_item_id = ?
+       ORDER BY recorded_at DESC, id DESC
+       LIMIT 1`,
+      [String(itemId)]
+    );
+    let baseline = lastResult.success && lastResult.data.length > 0 ? lastResult.data[0] : null;
+
+    // First write since history tracking started: keep the previous values too
+    if (!baseline && previous && hasPricingChanged(previous, current)) {
+      await insertSnapshot(itemId, previous, 'baseline', previous.updated_at || null);
+      baseline = previous;
+    }
+
+    if (baseline && !hasPricingChanged(baseline, current)) {
+      return false;
+    }
+
+    await insertSnapshot(itemId, current, source);
+    Logger.debug(`[ProductHistory] Snapshot recorded for ${itemId} (${source})`);
+    return true;
+  } catch (error) {
+    Logger.warn(`[ProductHistory] Failed to record history for ${itemId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the price/commission time series of a product
+ * @param {string} itemId - Shopee item ID
+ * @param {Object} options
+ * @param {number} options.days - Size of the window in days (default: 30)
+ * @returns {Promise<Object>} { points, summary }
+ */
+export async function getProductHistory(itemId, { days = 30 } = {}) {
+  const windowDays = Math.min(Math.max(parseInt(days) || 30, 1), 365);
+
+  const result = await executeQuery(
+    `SELECT ${TRACKED_FIELDS.join(', ')}, source, recorded_at
+     FROM product_price_history
+     WHERE product_item_id = ?
+       AND recorded_at >= DATE_SUB(NOW(), INTERVAL ${windowDays} DAY)
+     ORDER BY recorded_at ASC, id ASC`,
+    [String(itemId)]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const points = result.data.map((row) => ({
+    recorded_at: row.recorded_at,
+    price: row.price !== null ? parseFloat(row.price) : null,
+    commission_rate: row.commission_rate !== null ? parseFloat(row.commission_rate) : null,
+    commission_amount: row.commission_amount !== null ? parseFloat(row.commission_amount) : null,
+    sales_count: row.sales_count,
+    discount_rate: row.discount_rate !== null ? parseFloat(row.discount_rate) : null,
+    source: row.source
+  }));
+
+  const current = await getProductPricing(itemId);
+  const currentPrice = current && current.price !== null ? parseFloat(current.price) : null;
+  const currentCommissionRate = current && current.commission_rate !== null ? parseFloat(current.commission_rate) : null;
+
+  // Include the current value so a product that never changed still has a lowest price
+  const prices = points.filter((p) => p.price !== null && p.price > 0);
+  let lowest = prices.reduce((min, p) => (min === null || p.price < min.price ? p : min), null);
+  const highest = prices.reduce((max, p) => (max === null || p.price > max.price ? p : max), null);
+
+  if (currentPrice !== null && currentPrice > 0 && (!lowest || currentPrice < lowest.price)) {
+    lowest = { price: currentPrice, recorded_at: current.updated_at };
+  }
+
+  const commissionRates = points.map((p) => p.commission_rate).filter((rate) => rate !== null);
+  const firstCommissionRate = commissionRates.length > 0 ? commissionRates[0] : currentCommissionRate;
+
+  return {
+    days: windowDays,
+    points,
+    summary: {
+      currentPrice,
+      lowestPrice: lowest ? lowest.price : null,
+      lowestPriceAt: lowest ? lowest.recorded_at : null,
+      highestPrice: highest ? highest.price : currentPrice,
+      isLowestPrice: lowest !== null && currentPrice !== null && currentPrice <= lowest.price,
+      currentCommissionRate,
+      commissionRateChange:
+        currentCommissionRate !== null && firstCommissionRate !== null
+          ? parseFloat((currentCommissionRate - firstCommissionRate).toFixed(4))
+          : null
+    }
+  };
+}
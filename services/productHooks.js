@@ -0,0 +1,82 @@
+/**
+ * Product Hooks
+ * Single place for side effects that must run after a saved product is written
+ * (/save, /save-from-frontend, /sync-single, scheduled sync, import, curation,
+ * overrides, bulk actions, trash/restore, offer expiry, category/tag trash):
+ * - Price/commission history snapshot
+ * - Alert rule evaluation
+ * - Change log entry
+ */
+
+import { recordProductHistory } from './productHistoryService.js';
+import { evaluateProductAlerts } from './productAlertService.js';
+import { getProductSnapshot, getProductSnapshots, recordProductChanges } from './productChangeLogService.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * Capture product state before a write
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<Object|null>} Previous state or null if product doesn't exist yet
+ */
+export async function beforeProductWrite(itemId) {
+  try {
+    return await getProductSnapshot(itemId);
+  } catch (error) {
+    Logger.warn(`[ProductHooks] Failed to load previous state for ${itemId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Run side effects after a product write. Never throws.
+ * @param {string} itemId - Shopee item ID
+ * @param {Object|null} previous - Result of beforeProductWrite()
+ * @param {string} source - What wrote the product
+ * @param {Object} options
+ * @param {number|null} options.userId - Admin user behind the write (null for background jobs)
+ */
+export async function afterProductWrite(itemId, previous, source, { userId = null } = {}) {
+  try {
+    const current = await getProductSnapshot(itemId);
+    if (!current) {
+      return;
+    }
+
+    await recordProductHistory(itemId, previous, source, current);
+    await evaluateProductAlerts(itemId, previous, current, source);
+    await recordProductChanges(itemId, previous, current, source, userId);
+  } catch (error) {
+    Logger.warn(`[ProductHooks] After-write hooks failed for ${itemId}:`, error.message);
+  }
+}
+
+/**
+ * Capture the state of many products before one write (see beforeProductWrite)
+ * @param {Array<string>} itemIds - Shopee item IDs
+ * @returns {Promise<Map>} itemId -> previous state (empty if it couldn't be loaded)
+ */
+export async function beforeProductsWrite(itemIds) {
+  try {
+    return await getProductSnapshots(itemIds);
+  } catch (error) {
+    Logger.warn(`[ProductHooks] Failed to load previous state of ${itemIds.length} product(s):`, error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Run afterProductWrite for every product of a multi-product write. Never throws.
+ * Products without a previous state are skipped (they were not created by the write).
+ * @param {Array<string>} itemIds - Shopee item IDs that were written
+ * @param {Map} previous - Result of beforeProductsWrite()
+ * @param {string} source - What wrote the products
+ * @param {Object} options
+ * @param {number|null} options.userId - Admin user behind the write (null for background jobs)
+ */
+export async function afterProductsWrite(itemIds, previous, source, { userId = null } = {}) {
+  for (const itemId of itemIds) {
+    if (previous.has(String(itemId))) {
+      await afterProductWrite(String(itemId), previous.get(String(itemId)), source, { userId });
+    }
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Product Import Service
+ * Bulk import of products from a pasted list or CSV of Shopee item IDs / product URLs:
+ * - Parses shopId/itemId out of Shopee URLs
+ * - Looks each product up through the Shopee client
+ * - Assigns a category with analyzeCategory
+ * - Upserts into shopee_products and reports the outcome per row
+ */
+
+import { executeQuery } from '../config/database.js';
+import { ShopeeCircuitOpenError } from './shopeeApiService.js';
+import { findShopeeProductById } from './productSyncService.js';
+import { analyzeCategory } from './categoryAnalyzer.js';
+import { beforeProductWrite, afterProductWrite } from './productHooks.js';
+import { lockedAssignment } from './productOverrideService.js';
+import { parseCsv } from '../utils/csv.js';
+import Logger from '../utils/logger.js';
+
+export const IMPORT_MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 50;
+
+// CSV header names recognised as the product column (compared lowercase, without spaces/underscores)
+const PRODUCT_COLUMN_NAMES = ['itemid', 'url', 'link', 'productlink', 'producturl', 'product'];
+const CATEGORY_COLUMN_NAMES = ['categoryid', 'category'];
+
+/**
+ * Extract shopId/itemId from a Shopee product URL or a plain item ID
+ * Supported:
+ * - 22000000000
+ * - https://shopee.co.th/product/<shopId>/<itemId>
+ * - https://shopee.co.th/<product-name>-i.<shopId>.<itemId>
+ * - URLs with ?itemId=...&shopId=... query parameters
+ * @param {string} value - Raw input
+ * @returns {Object} { itemId, shopId } or { error }
+ */
+export function parseProductReference(value) {
+  const input = String(value || '').trim();
+
+  if (!input) {
+    return { error: 'Empty value' };
+  }
+
+  if (/^\d{5,20}$/.test(input)) {
+    return { itemId: input, shopId: null };
+  }
+
+  if (!/[./]/.test(input)) {
+    return { error: 'Not an item ID or URL' };
+  }
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+  } catch (error) {
+    return { error: 'Not an item ID or URL' };
+  }
+
+  if (!/(^|\.)shopee\.[a-z.]+$/i.test(url.hostname)) {
+    return { error: 'Not a Shopee URL' };
+  }
+
+  // Short links (s.shopee.co.th/xxxx) need a redirect lookup to resolve
+  if (/^s\.shopee\./i.test(url.hostname) || /^shope\.ee$/i.test(url.hostname)) {
+    return { error: 'Short links are not supported, use the full product URL' };
+  }
+
+  const productPath = /\/product\/(\d+)\/(\d+)/.exec(url.pathname);
+  if (productPath) {
+    return { shopId: productPath[1], itemId: productPath[2] };
+  }
+
+  const slugPath = /-i\.(\d+)\.(\d+)/.exec(decodeURIComponent(url.pathname));
+  if (slugPath) {
+    return { shopId: slugPath[1], itemId: slugPath[2] };
+  }
+
+  const itemId = url.searchParams.get('itemId') || url.searchParams.get('item_id');
+  if (itemId && /^\d+$/.test(itemId)) {
+    const shopId = url.searchParams.get('shopId') || url.searchParams.get('shop_id');
+    return { itemId, shopId: shopId && /^\d+$/.test(shopId) ? shopId : null };
+  }
+
+  return { error: 'Could not find an item ID in the URL' };
+}
+
+/**
+ * Build import entries from pasted text and/or an uploaded CSV
+ * Pasted text: one item ID or URL per line (commas also separate entries).
+ * CSV: uses the item_id/url/link column when there is a header, otherwise the first column.
+ * An optional category_id column overrides category analysis.
+ * @param {Object} input
+ * @param {string|Array} input.items - Pasted list (string or array of strings)
+ * @param {string} input.csv - CSV file content
+ * @returns {Array} Entries { row, input, categoryId }
+ */
+export function buildImportEntries({ items, csv } = {}) {
+  const entries = [];
+
+  if (items) {
+    const values = Array.isArray(items) ? items : String(items).split(/[\r\n,]+/);
+    values
+      .map((value) => String(value).trim())
+      .filter(Boolean)
+      .forEach((value) => entries.push({ row: entries.length + 1, input: value, categoryId: null }));
+  }
+
+  if (csv) {
+    const rows = parseCsv(csv);
+    if (rows.length === 0) {
+      return entries;
+    }
+
+    const normalize = (name) => String(name).toLowerCase().replace(/[\s_-]+/g, '');
+    const header = rows[0].map(normalize);
+    let productColumn = header.findIndex((name) => PRODUCT_COLUMN_NAMES.includes(name));
+    const categoryColumn = header.findIndex((name) => CATEGORY_COLUMN_NAMES.includes(name));
+    const hasHeader = productColumn !== -1;
+
+    if (!hasHeader) {
+      productColumn = 0;
+    }
+
+    rows.slice(hasHeader ? 1 : 0).forEach((fields) => {
+      const value = (fields[productColumn] || '').trim();
+      const categoryValue = categoryColumn !== -1 ? parseInt(fields[categoryColumn]) : NaN;
+      entries.push({
+        row: entries.length + 1,
+        input: value,
+        categoryId: Number.isInteger(categoryValue) && categoryValue > 0 ? categoryValue : null
+      });
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Insert or update a product from a productOfferV2 node
+ * @param {Object} node - productOfferV2 node
+ * @param {Object} options
+ * @param {number|null} options.categoryId - Category to assign
+ * @param {boolean} options.overwriteCategory - Replace the category of an existing product
+ *   (default: only set it when the product has none); a locked category is always kept
+ * @param {string} options.source - Value for shopee_products.source
+ * @returns {Promise<string>} 'inserted' or 'updated'
+ */
+export async function upsertProductFromOffer(node, { categoryId = null, overwriteCategory = false, source = 'import' } = {}) {
+  const categoryValue = overwriteCategory ? 'VALUES(category_id)' : 'COALESCE(category_id, VALUES(category_id))';
+  const upsertQuery = `
+    INSERT INTO shopee_products (
+      item_id, product_name, shop_name, shop_id,
+      price, price_min, price_max,
+      commission_rate, seller_commission_rate, shopee_commission_rate, commission_amount,
+      image_url, product_link, offer_link,
+      rating_star, sales_count, discount_rate,
+      period_start_time, period_end_time, campaign_active,
+      category_id, source, status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active')
+    ON DUPLICATE KEY UPDATE
+      ${lockedAssignment('product_name', 'lock_title')},
+      shop_name = VALUES(shop_name),
+      shop_id = VALUES(shop_id),
+      price = VALUES(price),
+      price_min = VALUES(price_min),
+      price_max = VALUES(price_max),
+      commission_rate = VALUES(commission_rate),
+      seller_commission_rate = VALUES(seller_commission_rate),
+      shopee_commission_rate = VALUES(shopee_commission_rate),
+      commission_amount = VALUES(commission_amount),
+      ${lockedAssignment('image_url', 'lock_image')},
+      product_link = VALUES(product_link),
+      offer_link = VALUES(offer_link),
+      rating_star = VALUES(rating_star),
+      sales_count = VALUES(sales_count),
+      discount_rate = VALUES(discount_rate),
+      period_start_time = VALUES(period_start_time),
+      period_end_time = VALUES(period_end_time),
+      campaign_active = VALUES(campaign_active),
+      ${lockedAssignment('category_id', 'lock_category', categoryValue)},
+      status = 'active',
+      deleted_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+  `;
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const periodEnd = parseInt(node.periodEndTime) || 0;
+
+  const values = [
+    String(node.itemId),
+    node.productName,
+    node.shopName || '',
+    node.shopId ? String(node.shopId) : '',
+    parseFloat(node.price) || 0,
+    node.priceMin ? parseFloat(node.priceMin) : null,
+    node.priceMax ? parseFloat(node.priceMax) : null,
+    parseFloat(node.commissionRate) || 0,
+    parseFloat(node.sellerCommissionRate) || 0,
+    parseFloat(node.shopeeCommissionRate) || 0,
+    parseFloat(node.commission) || 0,
+    node.imageUrl || '',
+    node.productLink || '',
+    node.offerLink || '',
+    parseFloat(node.ratingStar) || 0,
+    parseInt(node.sales) || 0,
+    parseFloat(node.priceDiscountRate) || 0,
+    parseInt(node.periodStartTime) || 0,
+    periodEnd,
+    periodEnd === 0 || periodEnd > nowSeconds ? 1 : 0,
+    categoryId,
+    source
+  ];
+
+  const result = await executeQuery(upsertQuery, values);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to save product');
+  }
+
+  // affectedRows: 1 = inserted, 2 = updated, 0 = unchanged
+  return result.data.affectedRows === 1 ? 'inserted' : 'updated';
+}
+
+/**
+ * Import a list of entries and report the outcome of each row
+ * Row statuses: inserted, updated, not_found, invalid, failed
+ * @param {Array} entries - Result of buildImportEntries()
+ * @param {Object} options
+ * @param {number|null} options.userId - Admin user running the import
+ * @returns {Promise<Object>} { summary, rows }
+ */
+export async function importProducts(entries, { userId = null } = {}) {
+  const summary = { total: entries.length, inserted: 0, updated: 0, notFound: 0, invalid: 0, failed: 0 };
+  const rows = [];
+  const seenItemIds = new Set();
+  let circuitError = null;
+
+  const addRow = (entry, status, details = {}) => {
+    rows.push({ row: entry.row, input: entry.input, status, ...details });
+    const key = status === 'not_found' ? 'notFound' : status;
+    summary[key]++;
+  };
+
+  for (const entry of entries) {
+    const reference = parseProductReference(entry.input);
+
+    if (reference.error) {
+      addRow(entry, 'invalid', { error: reference.error });
+      continue;
+    }
+
+    if (seenItemIds.has(reference.itemId)) {
+      addRow(entry, 'invalid', { itemId: reference.itemId, error: 'Duplicate of an earlier row' });
+      continue;
+    }
+    seenItemIds.add(reference.itemId);
+
+    // Shopee is down: don't call it again for the remaining rows
+    if (circuitError) {
+      addRow(entry, 'failed', { itemId: reference.itemId, error: circuitError.message });
+      continue;
+    }
+
+    try {
+      const node = await findShopeeProductById(reference.itemId, reference.shopId);
+
+      if (!node) {
+        addRow(entry, 'not_found', { itemId: reference.itemId, shopId: reference.shopId });
+        continue;
+      }
+
+      const categoryId = entry.categoryId || (await analyzeCategory(node.productName));
+      const previous = await beforeProductWrite(reference.itemId);
+      const action = await upsertProductFromOffer(node, {
+        categoryId,
+        overwriteCategory: !!entry.categoryId,
+        source: 'import'
+      });
+      await afterProductWrite(reference.itemId, previous, 'import', { userId });
+
+      addRow(entry, action, {
+        itemId: reference.itemId,
+        shopId: node.shopId ? String(node.shopId) : reference.shopId,
+        productName: node.productName,
+        categoryId
+      });
+    } catch (error) {
+      if (error instanceof ShopeeCircuitOpenError) {
+        circuitError = error;
+      }
+      Logger.warn(`[ProductImport] Failed to import ${reference.itemId}:`, error.message);
+      addRow(entry, 'failed', { itemId: reference.itemId, error: error.message });
+    }
+  }
+
+  Logger.info(
+    `[ProductImport] Imported ${summary.total} row(s): inserted=${summary.inserted}, updated=${summary.updated}, notFound=${summary.notFound}, invalid=${summary.invalid}, failed=${summary.failed}`
+  );
+
+  return { summary, rows };
+}
@@ -0,0 +1,151 @@
+/**
+ * Product Lifecycle Service
+ * Handles products whose Shopee offer period (period_start_time / period_end_time) has ended:
+ * - A scheduled job deactivates active products after period_end_time
+ * - Resync decides the status of a found product from its new period
+ *   (expired products are reactivated when Shopee reports a new period,
+ *   unless PRODUCT_EXPIRY_REACTIVATE=false; an admin-set inactive status is kept)
+ * Periods are Unix timestamps in seconds; 0 / NULL means "no period".
+ */
+
+import { executeQuery } from '../config/database.js';
+import { beforeProductsWrite, afterProductsWrite } from './productHooks.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import Logger from '../utils/logger.js';
+
+const EXPIRY_INTERVAL_MS = (parseFloat(process.env.PRODUCT_EXPIRY_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const REACTIVATE_ON_NEW_PERIOD = process.env.PRODUCT_EXPIRY_REACTIVATE !== 'false';
+const EXPIRY_BATCH_SIZE = 200;
+
+export const DEFAULT_EXPIRING_WITHIN_HOURS = 24;
+
+/**
+ * Current time as a Unix timestamp in seconds
+ */
+function nowInSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Check whether an offer period has ended
+ * @param {number|string|null} periodEndTime - Unix timestamp in seconds
+ * @param {number} now - Current Unix timestamp in seconds
+ * @returns {boolean} False when there is no period
+ */
+export function isPeriodEnded(periodEndTime, now = nowInSeconds()) {
+  const end = parseInt(periodEndTime) || 0;
+  return end > 0 && end < now;
+}
+
+/**
+ * Decide status and period of a product found by a resync
+ * - The new period has already ended: inactive
+ * - An admin turned the product off (status_source 'admin'): stays inactive
+ * - The stored row expired: active with the new period, or, when reactivation is
+ *   disabled, stays inactive and keeps its old period so it is still recognised
+ *   as expired next time
+ * - Otherwise: active with the new period (also when sync had turned it off)
+ * @param {Object|null} row - Stored row (status, status_source, period_start_time, period_end_time, campaign_active)
+ * @param {Object} node - productOfferV2 node
+ * @returns {Object} { status, statusSource, periodStartTime, periodEndTime, campaignActive, reactivated }
+ */
+export function resolveSyncedLifecycle(row, node) {
+  const now = nowInSeconds();
+  const periodStartTime = parseInt(node.periodStartTime) || 0;
+  const periodEndTime = parseInt(node.periodEndTime) || 0;
+  const wasInactive = !!row && row.status === 'inactive';
+  const wasExpired = wasInactive && isPeriodEnded(row.period_end_time, now);
+  const synced = { periodStartTime, periodEndTime, campaignActive: 1, reactivated: false };
+
+  if (isPeriodEnded(periodEndTime, now)) {
+    return { ...synced, status: 'inactive', statusSource: 'expiry', campaignActive: 0 };
+  }
+
+  if (wasInactive && row.status_source === 'admin') {
+    return { ...synced, status: 'inactive', statusSource: 'admin' };
+  }
+
+  if (wasExpired && !REACTIVATE_ON_NEW_PERIOD) {
+    return {
+      status: 'inactive',
+      statusSource: row.status_source || 'expiry',
+      periodStartTime: parseInt(row.period_start_time) || 0,
+      periodEndTime: parseInt(row.period_end_time) || 0,
+      campaignActive: row.campaign_active ? 1 : 0,
+      reactivated: false
+    };
+  }
+
+  return { ...synced, status: 'active', statusSource: 'sync', reactivated: wasInactive };
+}
+
+/**
+ * Deactivate active products whose offer period has ended
+ * Runs in batches so every product goes through the product hooks (source 'expiry').
+ * @returns {Promise<number>} Number of products deactivated
+ */
+export async function expireEndedProducts() {
+  const expiredCondition = `status = 'active'
+       AND deleted_at IS NULL
+       AND period_end_time IS NOT NULL
+       AND period_end_time > 0
+       AND period_end_time < UNIX_TIMESTAMP()`;
+  let expired = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const batchResult = await executeQuery(
+      `SELECT item_id FROM shopee_products WHERE ${expiredCondition} ORDER BY id LIMIT ${EXPIRY_BATCH_SIZE}`
+    );
+    if (!batchResult.success) {
+      throw new Error(batchResult.error);
+    }
+
+    const itemIds = batchResult.data.map((row) => String(row.item_id));
+    hasMore = itemIds.length === EXPIRY_BATCH_SIZE;
+    if (itemIds.length === 0) {
+      break;
+    }
+
+    const previous = await beforeProductsWrite(itemIds);
+    const result = await executeQuery(
+      `UPDATE shopee_products
+       SET status = 'inactive', status_source = 'expiry', campaign_active = 0, is_flash_sale = 0,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE item_id IN (${itemIds.map(() => '?').join(', ')}) AND ${expiredCondition}`,
+      itemIds
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    expired += result.data.affectedRows;
+    await afterProductsWrite(itemIds, previous, 'expiry');
+  }
+
+  return expired;
+}
+
+/**
+ * Start the scheduled expiry job
+ * Disabled with PRODUCT_EXPIRY_ENABLED=false
+ */
+export function startProductExpiryScheduler() {
+  if (process.env.PRODUCT_EXPIRY_ENABLED === 'false') {
+    Logger.info("[ProductExpiry] Scheduled expiry disabled (PRODUCT_EXPIRY_ENABLED=false)");
+    return null;
+  }
+
+  return scheduleJob(
+    "product-expiry",
+    EXPIRY_INTERVAL_MS,
+    async () => {
+      const expired = await expireEndedProducts();
+      if (expired > 0) {
+        Logger.info(`[ProductExpiry] Deactivated ${expired} product(s) whose offer period has ended`);
+      }
+    },
+    // Catch up on products that expired while the server was down
+    { initialDelayMs: 60 * 1000 }
+  );
+}
@@ -0,0 +1,406 @@
+/**
+ * Product Listing Service
+ * Filters, facet counts, sort modes and cursor pagination for the storefront
+ * listing (GET /api/products/public).
+ * Each filter is kept as a separate condition tagged with its facet, so a facet
+ * can be counted with every filter except its own (the sidebar then still shows
+ * the other categories/price ranges the visitor can switch to).
+ */
+
+import { executeQuery } from '../config/database.js';
+import { buildProductSearch } from './productTextSearch.js';
+import { PRODUCT_OVERRIDE_JOIN, EFFECTIVE_NAME_SQL, EFFECTIVE_IMAGE_SQL } from './productOverrideService.js';
+
+// Price buckets in THB (max is exclusive, null = no upper bound)
+export const PRICE_BUCKETS = [
+  { min: 0, max: 100 },
+  { min: 100, max: 300 },
+  { min: 300, max: 500 },
+  { min: 500, max: 1000 },
+  { min: 1000, max: 3000 },
+  { min: 3000, max: null }
+];
+
+// Minimum ratings offered as "x stars & up"
+export const RATING_BUCKETS = [4.5, 4, 3];
+
+// Only active, non-trashed products whose offer period has not ended are public
+export const PUBLIC_BASE_CONDITION =
+  "p.deleted_at IS NULL AND p.status = 'active' AND (p.period_end_time IS NULL OR p.period_end_time = 0 OR p.period_end_time >= UNIX_TIMESTAMP())";
+
+/**
+ * Read a query parameter that may be given once or repeated (?tag_id=1&tag_id=2)
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : value !== undefined ? [value] : [];
+  return values.map((item) => String(item).trim()).filter((item) => item !== "" && item !== "all");
+}
+
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) || number < 0 ? null : number;
+}
+
+/**
+ * Build the filter conditions of a public listing request
+ * Invalid numbers are ignored rather than rejected.
+ * @param {Object} query - req.query (category_id, tag_id, search, min_price, max_price,
+ *   min_rating, min_discount, shop_id, flash_sale)
+ * @returns {Promise<Object>} { conditions: [{ facet, sql, params }], productSearch }
+ */
+export async function buildPublicProductFilters(query) {
+  const conditions = [{ facet: null, sql: PUBLIC_BASE_CONDITION, params: [] }];
+
+  const categoryIds = toList(query.category_id);
+  if (categoryIds.length > 0) {
+    conditions.push({
+      facet: 'category',
+      sql: `p.category_id IN (${categoryIds.map(() => '?').join(',')})`,
+      params: categoryIds
+    });
+  }
+
+  const tagIds = toList(query.tag_id);
+  if (tagIds.length > 0) {
+    // EXISTS instead of a join so a product with several matching tags is counted once
+    conditions.push({
+      facet: 'tag',
+      sql: `EXISTS (SELECT 1 FROM product_tags pt WHERE pt.product_item_id = p.item_id AND pt.tag_id IN (${tagIds.map(() => '?').join(',')}))`,
+      params: tagIds
+    });
+  }
+
+  const minPrice = toNumberOrNull(query.min_price);
+  const maxPrice = toNumberOrNull(query.max_price);
+  if (minPrice !== null) {
+    conditions.push({ facet: 'price', sql: 'p.price >= ?', params: [minPrice] });
+  }
+  if (maxPrice !== null) {
+    conditions.push({ facet: 'price', sql: 'p.price <= ?', params: [maxPrice] });
+  }
+
+  const minRating = toNumberOrNull(query.min_rating);
+  if (minRating !== null && minRating > 0) {
+    conditions.push({ facet: 'rating', sql: 'p.rating_star >= ?', params: [minRating] });
+  }
+
+  const minDiscount = toNumberOrNull(query.min_discount);
+  if (minDiscount !== null && minDiscount > 0) {
+    conditions.push({ facet: 'discount', sql: 'p.discount_rate >= ?', params: [minDiscount] });
+  }
+
+  const shopIds = toList(query.shop_id);
+  if (shopIds.length > 0) {
+    conditions.push({
+      facet: 'shop',
+      sql: `p.shop_id IN (${shopIds.map(() => '?').join(',')})`,
+      params: shopIds
+    });
+  }
+
+  if (query.flash_sale === 'true' || query.flash_sale === '1') {
+    conditions.push({ facet: 'flash_sale', sql: 'p.is_flash_sale = 1', params: [] });
+  }
+
+  const productSearch = await buildProductSearch(query.search);
+  if (productSearch) {
+    conditions.push({ facet: 'search', sql: productSearch.whereSql, params: productSearch.params });
+  }
+
+  return { conditions, productSearch };
+}
+
+/**
+ * Join conditions into a WHERE clause
+ * @param {Array<Object>} conditions - From buildPublicProductFilters
+ * @param {string|null} excludeFacet - Leave out the conditions of this facet
+ * @returns {Object} { whereClause, queryParams }
+ */
+export function buildWhereClause(conditions, excludeFacet = null) {
+  const included = conditions.filter((condition) => !excludeFacet || condition.facet !== excludeFacet);
+  return {
+    whereClause: `WHERE ${included.map((condition) => condition.sql).join(' AND ')}`,
+    queryParams: included.flatMap((condition) => condition.params)
+  };
+}
+
+function formatPriceBucketLabel({ min, max }) {
+  return max === null ? `${min}+` : `${min}-${max}`;
+}
+
+/**
+ * Count products per category, tag, price bucket and rating bucket
+ * @param {Array<Object>} conditions - From buildPublicProductFilters
+ * @returns {Promise<Object>} { categories, tags, priceRanges, ratings }
+ */
+export async function getPublicProductFacets(conditions) {
+  const categoryWhere = buildWhereClause(conditions, 'category');
+  const tagWhere = buildWhereClause(conditions, 'tag');
+  const priceWhere = buildWhereClause(conditions, 'price');
+  const ratingWhere = buildWhereClause(conditions, 'rating');
+
+  const priceColumns = PRICE_BUCKETS.map(({ min, max }, index) => {
+    const upperBound = max === null ? '' : ` AND p.price < ${Number(max)}`;
+    return `SUM(CASE WHEN p.price >= ${Number(min)}${upperBound} THEN 1 ELSE 0 END) as bucket_${index}`;
+  }).join(', ');
+
+  const ratingColumns = RATING_BUCKETS.map(
+    (rating, index) => `SUM(CASE WHEN p.rating_star >= ${Number(rating)} THEN 1 ELSE 0 END) as bucket_${index}`
+  ).join(', ');
+
+  const [categoryResult, tagResult, priceResult, ratingResult] = await Promise.all([
+    executeQuery(
+      `SELECT p.category_id as id, c.name, COUNT(*) as count
+       FROM shopee_products p
+       JOIN categories c ON p.category_id = c.id AND c.is_active = 1
+       ${categoryWhere.whereClause}
+       GROUP BY p.category_id, c.name
+       ORDER BY count DESC, c.name ASC`,
+      categoryWhere.queryParams
+    ),
+    executeQuery(
+      `SELECT t.id, t.name, COUNT(*) as count
+       FROM shopee_products p
+       JOIN product_tags tag_link ON tag_link.product_item_id = p.item_id
+       JOIN tags t ON t.id = tag_link.tag_id AND t.is_active = 1
+       ${tagWhere.whereClause}
+       GROUP BY t.id, t.name
+       ORDER BY count DESC, t.name ASC`,
+      tagWhere.queryParams
+    ),
+    executeQuery(`SELECT ${priceColumns} FROM shopee_products p ${priceWhere.whereClause}`, priceWhere.queryParams),
+    executeQuery(`SELECT ${ratingColumns} FROM shopee_products p ${ratingWhere.whereClause}`, ratingWhere.queryParams)
+  ]);
+
+  const failed = [categoryResult, tagResult, priceResult, ratingResult].find((result) => !result.success);
+  if (failed) {
+    throw new Error(`Facet query failed: ${failed.error}`);
+  }
+
+  const priceCounts = priceResult.data[0] || {};
+  const ratingCounts = ratingResult.data[0] || {};
+
+  return {
+    categories: categoryResult.data.map((row) => ({ id: row.id, name: row.name, count: parseInt(row.count) })),
+    tags: tagResult.data.map((row) => ({ id: row.id, name: row.name, count: parseInt(row.count) })),
+    priceRanges: PRICE_BUCKETS.map((bucket, index) => ({
+      key: formatPriceBucketLabel(bucket),
+      min: bucket.min,
+      max: bucket.max,
+      count: parseInt(priceCounts[`bucket_${index}`]) || 0
+    })),
+    ratings: RATING_BUCKETS.map((rating, index) => ({
+      minRating: rating,
+      count: parseInt(ratingCounts[`bucket_${index}`]) || 0
+    }))
+  };
+}
+
+// Commission-weighted score: commission per sale, boosted by sales volume and rating
+const SCORE_EXPRESSION =
+  'CAST(COALESCE(p.commission_amount, 0) * (1 + LOG10(1 + COALESCE(p.sales_count, 0))) * (0.5 + COALESCE(p.rating_star, 0) / 10) AS DECIMAL(16,6))';
+
+// Sort modes of the public listing. Ties are broken by p.id in the same direction,
+// which makes (sort value, id) a unique key for cursor pagination.
+export const PUBLIC_SORT_MODES = {
+  newest: { expression: 'UNIX_TIMESTAMP(p.created_at)', direction: 'DESC' },
+  price_asc: { expression: 'COALESCE(p.price, 0)', direction: 'ASC' },
+  price_desc: { expression: 'COALESCE(p.price, 0)', direction: 'DESC' },
+  best_selling: { expression: 'COALESCE(p.sales_count, 0)', direction: 'DESC' },
+  discount: { expression: 'COALESCE(p.discount_rate, 0)', direction: 'DESC' },
+  rating: { expression: 'COALESCE(p.rating_star, 0)', direction: 'DESC' },
+  score: { expression: SCORE_EXPRESSION, direction: 'DESC' },
+  // Full-text relevance; paged by offset inside the cursor since scores are not stable keys
+  relevance: { expression: null, direction: 'DESC' }
+};
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} position - { s: sort mode, v: sort value, id } or { s: 'relevance', o: offset }
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor created by encodeCursor for the given sort mode
+ * @param {string} cursor - Cursor from a previous response
+ * @param {string} sort - Current sort mode
+ * @returns {Object|null} Position, or null if the cursor is invalid or belongs to another sort
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!position || position.s !== sort) {
+      return null;
+    }
+    if (sort === 'relevance') {
+      return Number.isInteger(position.o) && position.o >= 0 ? position : null;
+    }
+    const validValue = typeof position.v === 'number' || (typeof position.v === 'string' && /^-?\d+(\.\d+)?$/.test(position.v));
+    return validValue && Number.isInteger(position.id) ? position : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the keyset condition for rows after a cursor position
+ * @param {Object} sortMode - Entry of PUBLIC_SORT_MODES
+ * @param {Object} position - Decoded cursor
+ * @returns {Object} { sql, params }
+ */
+export function buildCursorCondition(sortMode, position) {
+  const operator = sortMode.direction === 'ASC' ? '>' : '<';
+  return {
+    sql: `(${sortMode.expression} ${operator} ? OR (${sortMode.expression} = ? AND p.id ${operator} ?))`,
+    params: [position.v, position.v, position.id]
+  };
+}
+
+// Needs LEFT JOIN categories c and PRODUCT_OVERRIDE_JOIN (display title / custom image)
+export const PUBLIC_PRODUCT_COLUMNS = `
+  p.id, p.item_id, p.category_id, c.name as category_name, ${EFFECTIVE_NAME_SQL} as product_name, p.price, p.price_min, p.price_max,
+  p.commission_rate, p.commission_amount,
+  ${EFFECTIVE_IMAGE_SQL} as image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star,
+  p.sales_count, p.discount_rate,
+  p.status, p.is_flash_sale, p.period_start_time, p.period_end_time, p.updated_at`;
+
+// Related products: price within ±30% counts as similar
+const SIMILAR_PRICE_RATIO = 0.3;
+
+/**
+ * Discount details derived from the current price and discount_rate (percent)
+ */
+function buildDiscountInfo(product) {
+  const rate = parseFloat(product.discount_rate) || 0;
+  const price = parseFloat(product.price) || 0;
+  if (rate <= 0 || rate >= 100 || price <= 0) {
+    return { rate: 0, originalPrice: price || null, savedAmount: 0 };
+  }
+
+  const originalPrice = Math.round((price / (1 - rate / 100)) * 100) / 100;
+  return {
+    rate,
+    originalPrice,
+    savedAmount: Math.round((originalPrice - price) * 100) / 100
+  };
+}
+
+/**
+ * Get one public (active, not expired) product with its category, tags and discount info
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<Object|null>} Product or null if not found / not public
+ */
+export async function getPublicProduct(itemId) {
+  const result = await executeQuery(
+    `SELECT ${PUBLIC_PRODUCT_COLUMNS}
+     FROM shopee_products p
+     LEFT JOIN categories c ON p.category_id = c.id
+     ${PRODUCT_OVERRIDE_JOIN}
+     WHERE p.item_id = ? AND ${PUBLIC_BASE_CONDITION}`,
+    [String(itemId)]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.length === 0) {
+    return null;
+  }
+
+  const product = result.data[0];
+  const tagsResult = await executeQuery(
+    `SELECT t.id, t.name
+     FROM product_tags pt
+     JOIN tags t ON pt.tag_id = t.id AND t.is_active = 1
+     WHERE pt.product_item_id = ?
+     ORDER BY t.name ASC`,
+    [product.item_id]
+  );
+
+  if (!tagsResult.success) {
+    throw new Error(tagsResult.error);
+  }
+
+  return {
+    ...product,
+    category: product.category_id ? { id: product.category_id, name: product.category_name } : null,
+    tags: tagsResult.data,
+    discount: buildDiscountInfo(product)
+  };
+}
+
+/**
+ * Find public products related to a product
+ * Candidates share the category or a tag (or, without either, have a similar price).
+ * Ranked by shared category (3) + shared tags (2 each) + similar price (1),
+ * then by price distance and sales.
+ * @param {Object} product - Product from getPublicProduct
+ * @param {number} limit - Max number of related products
+ * @returns {Promise<Array>} Related products with related_score
+ */
+export async function getRelatedProducts(product, limit = 8) {
+  const tagIds = (product.tags || []).map((tag) => tag.id);
+  const price = parseFloat(product.price) || 0;
+  const minPrice = price * (1 - SIMILAR_PRICE_RATIO);
+  const maxPrice = price * (1 + SIMILAR_PRICE_RATIO);
+  const tagPlaceholders = tagIds.map(() => '?').join(',');
+
+  const scoreParts = [];
+  const scoreParams = [];
+  const candidateParts = [];
+  const candidateParams = [];
+
+  if (product.category_id) {
+    scoreParts.push("(CASE WHEN p.category_id = ? THEN 3 ELSE 0 END)");
+    scoreParams.push(product.category_id);
+    candidateParts.push("p.category_id = ?");
+    candidateParams.push(product.category_id);
+  }
+  if (tagIds.length > 0) {
+    scoreParts.push(
+      `(SELECT COUNT(*) FROM product_tags rt WHERE rt.product_item_id = p.item_id AND rt.tag_id IN (${tagPlaceholders})) * 2`
+    );
+    scoreParams.push(...tagIds);
+    candidateParts.push(
+      `EXISTS (SELECT 1 FROM product_tags pt WHERE pt.product_item_id = p.item_id AND pt.tag_id IN (${tagPlaceholders}))`
+    );
+    candidateParams.push(...tagIds);
+  }
+  if (price > 0) {
+    scoreParts.push("(CASE WHEN p.price BETWEEN ? AND ? THEN 1 ELSE 0 END)");
+    scoreParams.push(minPrice, maxPrice);
+    if (candidateParts.length === 0) {
+      candidateParts.push("p.price BETWEEN ? AND ?");
+      candidateParams.push(minPrice, maxPrice);
+    }
+  }
+
+  if (candidateParts.length === 0) {
+    return [];
+  }
+
+  const result = await executeQuery(
+    `SELECT ${PUBLIC_PRODUCT_COLUMNS}, ${scoreParts.join(' + ')} as related_score
+     FROM shopee_products p
+     LEFT JOIN categories c ON p.category_id = c.id
+     ${PRODUCT_OVERRIDE_JOIN}
+     WHERE ${PUBLIC_BASE_CONDITION}
+       AND p.item_id <> ?
+       AND (${candidateParts.join(' OR ')})
+     ORDER BY related_score DESC, ABS(COALESCE(p.price, 0) - ?) ASC, p.sales_count DESC, p.id DESC
+     LIMIT ${Math.min(Math.max(parseInt(limit) || 8, 1), 20)}`,
+    [...scoreParams, product.item_id, ...candidateParams, price]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({ ...row, related_score: parseInt(row.related_score) || 0 }));
+}
@@ -0,0 +1,124 @@
+/**
+ * Product Override Service
+ * Editorial values for saved products, kept in product_overrides so a Shopee
+ * resync never overwrites them:
+ * - display_title / custom_image_url replace product_name / image_url on every
+ *   read (the Shopee name stays in shopee_products, sync searches with it)
+ * - pinned_category_id is mirrored into shopee_products.category_id so the
+ *   category filters and facets keep working
+ * - notes are only shown to admins
+ * Lock flags keep sync writes (/save, /save-from-frontend, /sync-single,
+ * scheduled sync, import) from changing the matching shopee_products column.
+ */
+
+import pool, { executeQuery } from '../config/database.js';
+
+// Join and read expressions for queries on shopee_products p
+export const PRODUCT_OVERRIDE_JOIN = 'LEFT JOIN product_overrides po ON po.product_item_id = p.item_id';
+export const EFFECTIVE_NAME_SQL = 'COALESCE(po.display_title, p.product_name)';
+export const EFFECTIVE_IMAGE_SQL = 'COALESCE(po.custom_image_url, p.image_url)';
+
+// Lock flag -> override value it protects
+export const OVERRIDE_LOCKS = {
+  lock_title: 'display_title',
+  lock_image: 'custom_image_url',
+  lock_category: 'pinned_category_id'
+};
+
+const OVERRIDE_FIELDS = ['display_title', 'custom_image_url', 'notes', 'pinned_category_id', ...Object.keys(OVERRIDE_LOCKS)];
+
+/**
+ * SQL assignment that keeps a shopee_products column while its lock flag is set
+ * Usable in UPDATE shopee_products and INSERT ... ON DUPLICATE KEY UPDATE.
+ * @param {string} column - shopee_products column (product_name, image_url, category_id)
+ * @param {string} lock - Key of OVERRIDE_LOCKS
+ * @param {string} value - SQL of the new value (default: VALUES(column))
+ * @returns {string} "column = IF(...)"
+ */
+export function lockedAssignment(column, lock, value = `VALUES(${column})`) {
+  if (!OVERRIDE_LOCKS[lock]) {
+    throw new Error(`Unknown override lock: ${lock}`);
+  }
+  return `${column} = IF(EXISTS (SELECT 1 FROM product_overrides lo WHERE lo.product_item_id = shopee_products.item_id AND lo.${lock} = 1), ${column}, ${value})`;
+}
+
+/**
+ * Get the overrides of a product
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<Object|null>} product_overrides row with category name, or null
+ */
+export async function getProductOverride(itemId) {
+  const result = await executeQuery(
+    `SELECT po.*, c.name as pinned_category_name
+     FROM product_overrides po
+     LEFT JOIN categories c ON c.id = po.pinned_category_id
+     WHERE po.product_item_id = ?`,
+    [String(itemId)]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const row = result.data[0];
+  if (!row) {
+    return null;
+  }
+  for (const lock of Object.keys(OVERRIDE_LOCKS)) {
+    row[lock] = !!row[lock];
+  }
+  return row;
+}
+
+/**
+ * Save overrides of a product (transaction)
+ * Only the given fields change; null clears a value. A pinned category is
+ * written to shopee_products.category_id, and a row left without values or
+ * locks is removed.
+ * @param {string} itemId - Shopee item ID
+ * @param {Object} changes - Subset of display_title, custom_image_url, notes,
+ *   pinned_category_id, lock_title, lock_image, lock_category
+ * @param {number|null} userId - Admin user
+ * @returns {Promise<Object|null>} Saved overrides (see getProductOverride), or null when cleared
+ */
+export async function saveProductOverride(itemId, changes, userId = null) {
+  const fields = OVERRIDE_FIELDS.filter((field) => changes[field] !== undefined);
+  const connection = await pool.getConnection();
+  try {
+    await connection.execute("SET time_zone = '+07:00'");
+    await connection.beginTransaction();
+
+    if (fields.length > 0) {
+      await connection.execute(
+        `INSERT INTO product_overrides (product_item_id, ${fields.join(', ')}, updated_by)
+         VALUES (?, ${fields.map(() => '?').join(', ')}, ?)
+         ON DUPLICATE KEY UPDATE ${fields.map((field) => `${field} = VALUES(${field})`).join(', ')},
+           updated_by = VALUES(updated_by)`,
+        [String(itemId), ...fields.map((field) => changes[field]), userId]
+      );
+    }
+
+    if (changes.pinned_category_id) {
+      await connection.execute('UPDATE shopee_products SET category_id = ? WHERE item_id = ?', [
+        changes.pinned_category_id,
+        String(itemId)
+      ]);
+    }
+
+    await connection.execute(
+      `DELETE FROM product_overrides
+       WHERE product_item_id = ?
+         AND display_title IS NULL AND custom_image_url IS NULL AND notes IS NULL AND pinned_category_id IS NULL
+         AND lock_title = 0 AND lock_image = 0 AND lock_category = 0`,
+      [String(itemId)]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getProductOverride(itemId);
+}
@@ -0,0 +1,233 @@
+/**
+ * Product Search Service
+ * Filtering/sorting of productOfferV2 nodes and the aggregated search mode of
+ * GET /api/products/search?mode=aggregate:
+ * - Pulls several Shopee pages for a keyword (follows pageInfo.hasNextPage)
+ * - Applies commission/rating filters and sorting across the combined set
+ * - Caches the combined result per query for a short time so the admin UI
+ *   gets stable pages while paging through it
+ */
+
+import { makeGraphQLRequest } from './shopeeApiService.js';
+import { PRODUCT_OFFER_QUERY } from '../queries.js';
+import Logger from '../utils/logger.js';
+
+const AGGREGATE_MAX_PAGES = parseInt(process.env.SEARCH_AGGREGATE_MAX_PAGES) || 5;
+const SEARCH_CACHE_TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL_MS) || 5 * 60 * 1000;
+const SEARCH_CACHE_MAX_ENTRIES = 50;
+
+// Cache key -> { promise, expiresAt } (promise is shared by concurrent identical requests)
+const searchCache = new Map();
+
+/**
+ * Filter productOfferV2 nodes by minimum commission rate and rating
+ * @param {Array} nodes - productOfferV2 nodes
+ * @param {Object} filters
+ * @param {number} filters.commissionRate - Minimum commission in percent (UI value, 1 = 1%)
+ * @param {number} filters.ratingStar - Minimum rating
+ * @returns {Array} Filtered nodes
+ */
+export function filterProductNodes(nodes, { commissionRate = 0, ratingStar = 0 } = {}) {
+  if (!(commissionRate > 0 || ratingStar > 0)) {
+    return nodes;
+  }
+
+  return nodes.filter((product) => {
+    let passesCommissionFilter = true;
+    let passesRatingFilter = true;
+
+    if (commissionRate > 0) {
+      const productCommissionRate = parseFloat(product.commissionRate) || 0;
+      // UI sends commission as whole number (e.g., 1 means 1%)
+      // Shopee API returns commission as decimal (e.g., 0.015 means 1.5%)
+      // So we need to convert UI value to decimal: 1 -> 0.01
+      const filterCommissionRateDecimal = commissionRate / 100;
+      passesCommissionFilter = productCommissionRate >= filterCommissionRateDecimal;
+    }
+
+    if (ratingStar > 0) {
+      const productRating = parseFloat(product.ratingStar) || 0;
+      passesRatingFilter = productRating >= ratingStar;
+    }
+
+    return passesCommissionFilter && passesRatingFilter;
+  });
+}
+
+/**
+ * Sort productOfferV2 nodes in place by commission, sales or price
+ * @param {Array} nodes - productOfferV2 nodes
+ * @param {string} sortBy - 'commission', 'sales' or 'price'
+ * @param {string} sortOrder - 'asc' or 'desc' (default)
+ * @returns {Array} The same array, sorted
+ */
+export function sortProductNodes(nodes, sortBy, sortOrder) {
+  if (!sortBy) {
+    return nodes;
+  }
+
+  const fields = { commission: 'commission', sales: 'sales', price: 'price' };
+  const field = fields[sortBy];
+
+  return nodes.sort((a, b) => {
+    const valA = field ? parseFloat(a[field]) || 0 : 0;
+    const valB = field ? parseFloat(b[field]) || 0 : 0;
+    return sortOrder === 'asc' ? valA - valB : valB - valA;
+  });
+}
+
+/**
+ * Fetch up to maxPages Shopee pages for a keyword and merge them (deduplicated by itemId)
+ * productOfferV2 pages by `page`; pageInfo.scrollId is kept for reference only.
+ * @param {string} keyword - Search keyword
+ * @param {number} maxPages - Maximum number of pages to fetch
+ * @returns {Promise<Object>} { nodes, fetchedPages, shopeeHasMore, scrollId, partial }
+ */
+export async function fetchShopeePages(keyword, maxPages) {
+  const nodes = [];
+  const seenItemIds = new Set();
+  let page = 1;
+  let hasNextPage = true;
+  let scrollId = null;
+  let partial = false;
+
+  while (hasNextPage && page <= maxPages) {
+    let data;
+    try {
+      data = await makeGraphQLRequest(PRODUCT_OFFER_QUERY, { keyword, page });
+    } catch (error) {
+      // First page failing is a real error; later pages return what we have so far
+      if (page === 1) {
+        throw error;
+      }
+      Logger.warn(`[Search] Multi-page fetch for "${keyword}" stopped at page ${page}:`, error.message);
+      partial = true;
+      break;
+    }
+
+    const offer = data?.data?.productOfferV2;
+    if (!offer) {
+      if (page === 1) {
+        throw new Error("Invalid API response from Shopee");
+      }
+      partial = true;
+      break;
+    }
+
+    (offer.nodes || []).forEach((node) => {
+      const key = String(node.itemId);
+      if (!seenItemIds.has(key)) {
+        seenItemIds.add(key);
+        nodes.push(node);
+      }
+    });
+
+    hasNextPage = !!offer.pageInfo?.hasNextPage && (offer.nodes || []).length > 0;
+    scrollId = offer.pageInfo?.scrollId || scrollId;
+    page++;
+  }
+
+  return { nodes, fetchedPages: page - 1, shopeeHasMore: hasNextPage, scrollId, partial };
+}
+
+function pruneSearchCache() {
+  const now = Date.now();
+  for (const [key, entry] of searchCache) {
+    if (entry.expiresAt <= now) {
+      searchCache.delete(key);
+    }
+  }
+  // Drop the oldest entries when the cache is full (Map keeps insertion order)
+  while (searchCache.size >= SEARCH_CACHE_MAX_ENTRIES) {
+    searchCache.delete(searchCache.keys().next().value);
+  }
+}
+
+/**
+ * Aggregated search: filter and sort across several Shopee pages, then paginate
+ * @param {Object} options
+ * @param {string} options.keyword - Search keyword
+ * @param {number} options.commissionRate - Minimum commission in percent
+ * @param {number} options.ratingStar - Minimum rating
+ * @param {string} options.sortBy - 'commission', 'sales' or 'price'
+ * @param {string} options.sortOrder - 'asc' or 'desc'
+ * @param {number} options.page - Page of the combined result (1-based)
+ * @param {number} options.limit - Page size (max 100)
+ * @param {boolean} options.refresh - Bypass the cache
+ * @returns {Promise<Object>} { nodes, total, hasMore, pageInfo, aggregation }
+ */
+export async function aggregatedSearch({
+  keyword,
+  commissionRate = 0,
+  ratingStar = 0,
+  sortBy,
+  sortOrder,
+  page = 1,
+  limit = 20,
+  refresh = false
+}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const cacheKey = JSON.stringify([
+    keyword.trim().toLowerCase(),
+    commissionRate || 0,
+    ratingStar || 0,
+    sortBy || '',
+    sortOrder === 'asc' ? 'asc' : 'desc'
+  ]);
+
+  let entry = searchCache.get(cacheKey);
+  const cached = !!entry && !refresh && entry.expiresAt > Date.now();
+
+  if (!cached) {
+    pruneSearchCache();
+
+    const promise = fetchShopeePages(keyword.trim(), AGGREGATE_MAX_PAGES).then((result) => {
+      const nodes = sortProductNodes(filterProductNodes(result.nodes, { commissionRate, ratingStar }), sortBy, sortOrder);
+      return { ...result, fetchedProducts: result.nodes.length, nodes, fetchedAt: new Date() };
+    });
+
+    entry = { promise, expiresAt: Date.now() + SEARCH_CACHE_TTL_MS };
+    searchCache.set(cacheKey, entry);
+
+    // Failed or partial results are not cached
+    promise
+      .then((result) => {
+        if (result.partial && searchCache.get(cacheKey) === entry) {
+          searchCache.delete(cacheKey);
+        }
+      })
+      .catch(() => {
+        if (searchCache.get(cacheKey) === entry) {
+          searchCache.delete(cacheKey);
+        }
+      });
+  }
+
+  const result = await entry.promise;
+  const total = result.nodes.length;
+  const totalPages = Math.ceil(total / pageSize);
+  const offset = (currentPage - 1) * pageSize;
+
+  return {
+    nodes: result.nodes.slice(offset, offset + pageSize),
+    total,
+    hasMore: currentPage < totalPages,
+    pageInfo: {
+      page: currentPage,
+      limit: pageSize,
+      totalPages
+    },
+    aggregation: {
+      fetchedPages: result.fetchedPages,
+      fetchedProducts: result.fetchedProducts,
+      shopeeHasMore: result.shopeeHasMore,
+      scrollId: result.scrollId,
+      partial: result.partial,
+      cached,
+      fetchedAt: result.fetchedAt,
+      expiresAt: new Date(entry.expiresAt)
+    }
+  };
+}
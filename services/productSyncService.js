@@ -0,0 +1,460 @@
+/**
+ * Product Sync Service
+ * Keeps saved products in shopee_products in line with the Shopee Affiliate API:
+ * - Single product sync (POST /api/products/sync-single)
+ * - Scheduled background resync of all saved products in batches
+ * - Per-run summaries stored in product_sync_runs
+ */
+
+import { executeQuery } from '../config/database.js';
+import { makeGraphQLRequest, hasShopeeCredentials, ShopeeCircuitOpenError } from './shopeeApiService.js';
+import { PRODUCT_OFFER_QUERY, PRODUCT_BY_ID_QUERY } from '../queries.js';
+import { beforeProductWrite, afterProductWrite } from './productHooks.js';
+import { resolveSyncedLifecycle } from './productLifecycleService.js';
+import { lockedAssignment, PRODUCT_OVERRIDE_JOIN } from './productOverrideService.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import Logger from '../utils/logger.js';
+
+const SYNC_BATCH_SIZE = parseInt(process.env.PRODUCT_SYNC_BATCH_SIZE) || 50;
+const SYNC_INTERVAL_MS = (parseFloat(process.env.PRODUCT_SYNC_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+const SYNC_REQUEST_DELAY_MS = parseInt(process.env.PRODUCT_SYNC_REQUEST_DELAY_MS) || 1000;
+const MAX_RECORDED_FAILURES = 100;
+
+// Only one full sync at a time: the flag is set before the first await so two
+// callers can't both start a run; activeRunId is known once the run record exists
+let fullSyncRunning = false;
+let activeRunId = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Search Shopee for a product by name and return the node matching its item ID
+ * @param {string} itemId - Shopee item ID
+ * @param {string} searchName - Keyword used for the search (usually product name)
+ * @returns {Promise<Object|null>} Matching productOfferV2 node or null if not found
+ * @throws {Error} When the Shopee API request fails
+ */
+export async function findShopeeProduct(itemId, searchName) {
+  const variables = {
+    keyword: searchName,
+    page: 1,
+    limit: 20 // Get enough results to find match
+  };
+
+  const shopeeData = await makeGraphQLRequest(PRODUCT_OFFER_QUERY, variables);
+  const results = shopeeData?.data?.productOfferV2?.nodes;
+
+  if (!results) {
+    Logger.warn(`No results from Shopee API for "${searchName}"`);
+    return null;
+  }
+
+  return results.find((p) => String(p.itemId) === String(itemId)) || null;
+}
+
+/**
+ * Look up a product directly by item ID (and shop ID when known)
+ * @param {string} itemId - Shopee item ID
+ * @param {string|null} shopId - Shopee shop ID (optional)
+ * @returns {Promise<Object|null>} productOfferV2 node or null if not found
+ * @throws {Error} When the Shopee API request fails
+ */
+export async function findShopeeProductById(itemId, shopId = null) {
+  const variables = { itemId: Number(itemId) };
+  if (shopId) {
+    variables.shopId = Number(shopId);
+  }
+
+  const shopeeData = await makeGraphQLRequest(PRODUCT_BY_ID_QUERY, variables);
+  const results = shopeeData?.data?.productOfferV2?.nodes || [];
+
+  return results.find((p) => String(p.itemId) === String(itemId)) || null;
+}
+
+/**
+ * Write the sync result for a product to the database
+ * - Found: refresh price/commission/sales details and the offer period; status
+ *   follows the period (see resolveSyncedLifecycle), a product an admin
+ *   deactivated stays inactive
+ * - Not found: set status to inactive
+ * status_source records who set the status, so sync can reactivate what it turned off.
+ * Locked name/image (product_overrides) are kept.
+ * Price/commission history, alert rules and the change log run through the
+ * product hooks (a deactivation is logged too).
+ * @param {string} itemId - Shopee item ID
+ * @param {Object|null} foundProduct - Matching productOfferV2 node or null
+ * @param {Object} options
+ * @param {string} options.source - Write source label for hooks (default: 'sync-single')
+ * @param {number|null} options.userId - Admin user who asked for the sync (null for scheduled runs)
+ * @returns {Promise<Object>} { status, found, updated, reactivated }
+ */
+export async function applySyncResult(itemId, foundProduct, { source = 'sync-single', userId = null } = {}) {
+  let updateQuery;
+  let queryParams;
+  let lifecycle = { status: 'inactive', reactivated: false };
+  const previous = await beforeProductWrite(itemId);
+  const rowResult = await executeQuery(
+    `SELECT status, status_source, period_start_time, period_end_time, campaign_active
+     FROM shopee_products WHERE item_id = ?`,
+    [String(itemId)]
+  );
+  const row = rowResult.success ? rowResult.data[0] || null : null;
+
+  if (foundProduct) {
+    lifecycle = resolveSyncedLifecycle(row, foundProduct);
+
+    updateQuery = `
+      UPDATE shopee_products
+      SET
+        ${lockedAssignment('product_name', 'lock_title', '?')},
+        price = ?,
+        price_min = ?,
+        price_max = ?,
+        commission_rate = ?,
+        seller_commission_rate = ?,
+        shopee_commission_rate = ?,
+        commission_amount = ?,
+        ${lockedAssignment('image_url', 'lock_image', '?')},
+        rating_star = ?,
+        sales_count = ?,
+        discount_rate = ?,
+        period_start_time = ?,
+        period_end_time = ?,
+        campaign_active = ?,
+        status = ?,
+        status_source = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE item_id = ?
+    `;
+    queryParams = [
+      foundProduct.productName,
+      foundProduct.price,
+      foundProduct.priceMin,
+      foundProduct.priceMax,
+      foundProduct.commissionRate,
+      foundProduct.sellerCommissionRate,
+      foundProduct.shopeeCommissionRate,
+      foundProduct.commission, // commission amount
+      foundProduct.imageUrl,
+      foundProduct.ratingStar,
+      foundProduct.sales,
+      foundProduct.priceDiscountRate || 0,
+      lifecycle.periodStartTime,
+      lifecycle.periodEndTime,
+      lifecycle.campaignActive,
+      lifecycle.status,
+      lifecycle.statusSource,
+      String(itemId)
+    ];
+  } else {
+    updateQuery = `
+      UPDATE shopee_products
+      SET status = 'inactive', status_source = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE item_id = ?
+    `;
+    // An already inactive product keeps who turned it off
+    queryParams = [row && row.status === 'inactive' ? row.status_source : 'sync', String(itemId)];
+  }
+
+  const result = await executeQuery(updateQuery, queryParams);
+
+  if (!result.success) {
+    throw new Error(result.error || "Failed to update database");
+  }
+
+  await afterProductWrite(itemId, previous, source, { userId });
+
+  return {
+    status: lifecycle.status,
+    found: !!foundProduct,
+    updated: result.data.affectedRows > 0,
+    reactivated: lifecycle.reactivated
+  };
+}
+
+/**
+ * Check whether a Shopee node differs from the stored product row
+ * @param {Object} row - Row from shopee_products (with status_source, lock_title / lock_image)
+ * @param {Object} node - productOfferV2 node
+ * @returns {boolean} True if any synced field changed
+ */
+function hasProductChanged(row, node) {
+  const lifecycle = resolveSyncedLifecycle(row, node);
+  const numberPairs = [
+    [row.price, node.price],
+    [row.price_min, node.priceMin],
+    [row.price_max, node.priceMax],
+    [row.commission_rate, node.commissionRate],
+    [row.seller_commission_rate, node.sellerCommissionRate],
+    [row.shopee_commission_rate, node.shopeeCommissionRate],
+    [row.commission_amount, node.commission],
+    [row.rating_star, node.ratingStar],
+    [row.sales_count, node.sales],
+    [row.discount_rate, node.priceDiscountRate || 0],
+    [row.period_start_time, lifecycle.periodStartTime],
+    [row.period_end_time, lifecycle.periodEndTime]
+  ];
+
+  const numbersChanged = numberPairs.some(([oldValue, newValue]) => {
+    return Math.abs((parseFloat(oldValue) || 0) - (parseFloat(newValue) || 0)) > 0.0001;
+  });
+
+  return (
+    numbersChanged ||
+    row.status !== lifecycle.status ||
+    (!row.lock_title && row.product_name !== node.productName) ||
+    (!row.lock_image && row.image_url !== node.imageUrl)
+  );
+}
+
+/**
+ * Create a sync run record
+ * @param {string} triggerType - 'scheduled' or 'manual'
+ * @param {number|null} triggeredBy - Admin user ID for manual runs
+ * @returns {Promise<number>} Run ID
+ */
+async function createSyncRun(triggerType, triggeredBy) {
+  const result = await executeQuery(
+    "INSERT INTO product_sync_runs (trigger_type, triggered_by, status) VALUES (?, ?, 'running')",
+    [triggerType, triggeredBy]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error || "Failed to create sync run");
+  }
+
+  return result.data.insertId;
+}
+
+/**
+ * Persist the current counters of a sync run
+ */
+async function saveSyncRun(runId, summary, status = 'running', errorMessage = null) {
+  await executeQuery(
+    `UPDATE product_sync_runs SET
+       status = ?,
+       total_products = ?,
+       checked_count = ?,
+       updated_count = ?,
+       deactivated_count = ?,
+       failed_count = ?,
+       failed_items = ?,
+       error_message = ?,
+       finished_at = ${status === 'running' ? 'NULL' : 'CURRENT_TIMESTAMP'}
+     WHERE id = ?`,
+    [
+      status,
+      summary.total,
+      summary.checked,
+      summary.updated,
+      summary.deactivated,
+      summary.failed,
+      summary.failedItems.length > 0 ? JSON.stringify(summary.failedItems) : null,
+      errorMessage,
+      runId
+    ]
+  );
+}
+
+/**
+ * Check whether a full sync is currently running
+ * @returns {boolean}
+ */
+export function isFullSyncRunning() {
+  return fullSyncRunning;
+}
+
+/**
+ * Resync every saved product against Shopee in batches
+ * Products found on Shopee are updated (only when something changed),
+ * products no longer found are marked inactive, API errors are counted as failed.
+ * The run is aborted if the Shopee circuit breaker opens.
+ * @param {Object} options
+ * @param {string} options.triggerType - 'scheduled' or 'manual'
+ * @param {number|null} options.triggeredBy - Admin user ID for manual runs
+ * @returns {Promise<Object>} Run summary
+ */
+export async function runFullSync({ triggerType = 'scheduled', triggeredBy = null } = {}) {
+  if (fullSyncRunning) {
+    const runLabel = activeRunId !== null ? `run #${activeRunId}` : 'run';
+    throw new Error(`Product sync ${runLabel} is already in progress`);
+  }
+
+  if (!hasShopeeCredentials()) {
+    throw new Error("Shopee API credentials not configured");
+  }
+
+  fullSyncRunning = true;
+  let runId;
+  try {
+    runId = await createSyncRun(triggerType, triggeredBy);
+  } catch (error) {
+    fullSyncRunning = false;
+    throw error;
+  }
+  activeRunId = runId;
+
+  const summary = {
+    runId,
+    total: 0,
+    checked: 0,
+    updated: 0,
+    deactivated: 0,
+    failed: 0,
+    failedItems: []
+  };
+
+  Logger.info(`[ProductSync] Run #${runId} started (${triggerType})`);
+
+  try {
+    const countResult = await executeQuery("SELECT COUNT(*) as total FROM shopee_products WHERE deleted_at IS NULL");
+    summary.total = countResult.success ? countResult.data[0].total : 0;
+
+    let lastId = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      // Keyset pagination so rows updated during the run are not skipped or repeated
+      const batchResult = await executeQuery(
+        `SELECT p.id, p.item_id, p.product_name, p.price, p.price_min, p.price_max,
+                p.commission_rate, p.seller_commission_rate, p.shopee_commission_rate, p.commission_amount,
+                p.image_url, p.rating_star, p.sales_count, p.discount_rate,
+                p.period_start_time, p.period_end_time, p.campaign_active, p.status, p.status_source,
+                COALESCE(po.lock_title, 0) as lock_title, COALESCE(po.lock_image, 0) as lock_image
+         FROM shopee_products p
+         ${PRODUCT_OVERRIDE_JOIN}
+         WHERE p.id > ? AND p.deleted_at IS NULL
+         ORDER BY p.id ASC
+         LIMIT ${parseInt(SYNC_BATCH_SIZE)}`,
+        [lastId]
+      );
+
+      if (!batchResult.success) {
+        throw new Error(`Batch query failed: ${batchResult.error}`);
+      }
+
+      const batch = batchResult.data || [];
+      hasMore = batch.length === SYNC_BATCH_SIZE;
+
+      for (const row of batch) {
+        lastId = row.id;
+        summary.checked++;
+
+        try {
+          const foundProduct = await findShopeeProduct(row.item_id, row.product_name);
+
+          if (foundProduct) {
+            if (hasProductChanged(row, foundProduct)) {
+              const syncResult = await applySyncResult(row.item_id, foundProduct, { source: `${triggerType}-sync` });
+              if (syncResult.status === 'inactive' && row.status === 'active') {
+                summary.deactivated++; // offer period has ended
+              } else {
+                summary.updated++;
+              }
+            }
+          } else if (row.status === 'active') {
+            await applySyncResult(row.item_id, null, { source: `${triggerType}-sync` });
+            summary.deactivated++;
+          }
+        } catch (error) {
+          // Shopee is down: abort the run instead of failing every remaining product
+          if (error instanceof ShopeeCircuitOpenError) {
+            throw error;
+          }
+          summary.failed++;
+          if (summary.failedItems.length < MAX_RECORDED_FAILURES) {
+            summary.failedItems.push({ itemId: row.item_id, error: error.message });
+          }
+          Logger.warn(`[ProductSync] Failed to sync ${row.item_id}:`, error.message);
+        }
+
+        await sleep(SYNC_REQUEST_DELAY_MS);
+      }
+
+      await saveSyncRun(runId, summary);
+    }
+
+    await saveSyncRun(runId, summary, 'completed');
+    Logger.success(
+      `[ProductSync] Run #${runId} completed: checked=${summary.checked}, updated=${summary.updated}, deactivated=${summary.deactivated}, failed=${summary.failed}`
+    );
+    return summary;
+  } catch (error) {
+    await saveSyncRun(runId, summary, 'failed', error.message);
+    Logger.error(`[ProductSync] Run #${runId} failed:`, error);
+    throw error;
+  } finally {
+    activeRunId = null;
+    fullSyncRunning = false;
+  }
+}
+
+/**
+ * Get recent sync runs
+ * @param {number} limit - Max number of runs to return
+ * @returns {Promise<Array>} Sync runs, newest first
+ */
+export async function getSyncRuns(limit = 20) {
+  const result = await executeQuery(
+    `SELECT id, trigger_type, triggered_by, status, total_products, checked_count,
+            updated_count, deactivated_count, failed_count, error_message, started_at, finished_at
+     FROM product_sync_runs
+     ORDER BY started_at DESC, id DESC
+     LIMIT ${parseInt(limit)}`
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data;
+}
+
+/**
+ * Get a single sync run including failed item details
+ * @param {number} runId - Sync run ID
+ * @returns {Promise<Object|null>} Sync run or null if not found
+ */
+export async function getSyncRun(runId) {
+  const result = await executeQuery("SELECT * FROM product_sync_runs WHERE id = ?", [runId]);
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  if (result.data.length === 0) {
+    return null;
+  }
+
+  const run = result.data[0];
+  try {
+    run.failed_items = run.failed_items ? JSON.parse(run.failed_items) : [];
+  } catch (error) {
+    run.failed_items = [];
+  }
+  return run;
+}
+
+/**
+ * Start the scheduled background resync
+ * Disabled with PRODUCT_SYNC_ENABLED=false or when Shopee credentials are missing
+ */
+export function startProductSyncScheduler() {
+  if (process.env.PRODUCT_SYNC_ENABLED === 'false') {
+    Logger.info("[ProductSync] Scheduled resync disabled (PRODUCT_SYNC_ENABLED=false)");
+    return null;
+  }
+
+  if (!hasShopeeCredentials()) {
+    Logger.warn("[ProductSync] Scheduled resync disabled: Shopee API credentials not configured");
+    return null;
+  }
+
+  return scheduleJob("product-sync", SYNC_INTERVAL_MS, async () => {
+    if (isFullSyncRunning()) {
+      Logger.info("[ProductSync] Previous run still in progress, skipping scheduled run");
+      return;
+    }
+    await runFullSync({ triggerType: 'scheduled' });
+  });
+}
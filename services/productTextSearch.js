@@ -0,0 +1,106 @@
+/**
+ * Product Text Search
+ * Builds the search part of the product listing queries (/public and /saved):
+ * - Uses the FULLTEXT ngram index on (product_name, shop_name) when it exists:
+ *   every segmented term must match, rows are ranked by relevance
+ * - Falls back to LIKE per term (ranked by matched terms) on servers without
+ *   the index, e.g. MariaDB which has no ngram parser
+ */
+
+import { executeQuery, PRODUCT_SEARCH_INDEX } from '../config/database.js';
+import { segmentSearchTerms, highlightMatches } from '../utils/textSearch.js';
+import Logger from '../utils/logger.js';
+
+// null until checked, then true/false
+let fullTextAvailable = null;
+
+/**
+ * Check once whether the FULLTEXT index exists on shopee_products
+ * @returns {Promise<boolean>}
+ */
+async function hasFullTextIndex() {
+  if (fullTextAvailable !== null) {
+    return fullTextAvailable;
+  }
+
+  const result = await executeQuery(
+    `SELECT COUNT(*) as count FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'shopee_products' AND INDEX_NAME = ?`,
+    [PRODUCT_SEARCH_INDEX]
+  );
+
+  if (!result.success) {
+    // Don't cache a failed lookup, try again on the next search
+    return false;
+  }
+
+  fullTextAvailable = result.data[0].count > 0;
+  if (!fullTextAvailable) {
+    Logger.warn("[Search] FULLTEXT index not found, product search falls back to LIKE");
+  }
+  return fullTextAvailable;
+}
+
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Build WHERE and ORDER BY fragments for a product search (table alias p)
+ * @param {string} search - Raw search string
+ * @param {Object} options
+ * @param {boolean} options.matchItemId - Also match an exact item ID (admin search)
+ * @returns {Promise<Object|null>} { whereSql, params, orderSql, orderParams, terms }, or null for an empty search
+ */
+export async function buildProductSearch(search, { matchItemId = false } = {}) {
+  const raw = String(search || '').trim();
+  if (!raw) {
+    return null;
+  }
+
+  let terms = segmentSearchTerms(raw);
+  let whereSql;
+  let params;
+  let orderSql;
+  let orderParams;
+
+  if (terms.length > 0 && (await hasFullTextIndex())) {
+    // Quoted terms are matched as ngram phrases, i.e. as substrings
+    whereSql = "MATCH(p.product_name, p.shop_name) AGAINST(? IN BOOLEAN MODE)";
+    params = [terms.map((term) => `+"${term}"`).join(' ')];
+    orderSql = "MATCH(p.product_name, p.shop_name) AGAINST(? IN NATURAL LANGUAGE MODE) DESC";
+    orderParams = [terms.join(' ')];
+  } else {
+    // Input made only of single characters is matched as typed
+    const likeTerms = terms.length > 0 ? terms : [raw.slice(0, 100).toLowerCase()];
+    whereSql = likeTerms.map(() => "(p.product_name LIKE ? OR p.shop_name LIKE ?)").join(" AND ");
+    params = likeTerms.flatMap((term) => [`%${escapeLike(term)}%`, `%${escapeLike(term)}%`]);
+    // Rank by the number of terms found in the product name
+    orderSql = `(${likeTerms.map(() => "(p.product_name LIKE ?)").join(" + ")}) DESC`;
+    orderParams = likeTerms.map((term) => `%${escapeLike(term)}%`);
+    terms = likeTerms;
+  }
+
+  if (matchItemId && /^\d+$/.test(raw)) {
+    whereSql = `(${whereSql} OR p.item_id = ?)`;
+    params.push(raw);
+  }
+
+  return { whereSql: `(${whereSql})`, params, orderSql, orderParams, terms };
+}
+
+/**
+ * Add highlighted product/shop names to search results
+ * @param {Array<Object>} rows - Product rows
+ * @param {Array<string>} terms - Search terms from buildProductSearch
+ * @returns {Array<Object>} Rows with highlight: { product_name, shop_name }
+ */
+export function addSearchHighlights(rows, terms) {
+  return rows.map((row) => ({
+    ...row,
+    highlight: {
+      product_name: highlightMatches(row.product_name, terms),
+      shop_name: highlightMatches(row.shop_name, terms)
+    }
+  }));
+}
@@ -0,0 +1,143 @@
+/**
+ * Sales Trend Service
+ * sales_count is overwritten on every save/sync, so a scheduled job snapshots it
+ * into product_sales_snapshots. Trending products are ranked by how much
+ * sales_count grew since the snapshot at the start of a time window.
+ * A snapshot is only stored when sales_count differs from the product's
+ * latest snapshot, which keeps the table small for products that don't sell.
+ */
+
+import { executeQuery } from '../config/database.js';
+import { PUBLIC_PRODUCT_COLUMNS } from './productListingService.js';
+import { PRODUCT_OVERRIDE_JOIN } from './productOverrideService.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import Logger from '../utils/logger.js';
+
+const SNAPSHOT_INTERVAL_MS = (parseFloat(process.env.SALES_SNAPSHOT_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const SNAPSHOT_RETENTION_DAYS = parseInt(process.env.SALES_SNAPSHOT_RETENTION_DAYS) || 30;
+
+export const DEFAULT_TRENDING_WINDOW = '24h';
+
+/**
+ * Parse a trending window such as "24h" or "7d"
+ * @param {string} value - Window from the query string
+ * @returns {number|null} Window in hours, or null if invalid / longer than the snapshot retention
+ */
+export function parseTrendingWindow(value) {
+  const match = /^(\d+)([hd])$/.exec(String(value || DEFAULT_TRENDING_WINDOW).trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1]) * (match[2] === 'd' ? 24 : 1);
+  return hours >= 1 && hours <= SNAPSHOT_RETENTION_DAYS * 24 ? hours : null;
+}
+
+/**
+ * Snapshot sales_count of every product whose count changed since its last snapshot
+ * @returns {Promise<number>} Number of snapshots inserted
+ */
+export async function recordSalesSnapshots() {
+  const result = await executeQuery(
+    `INSERT INTO product_sales_snapshots (product_item_id, sales_count)
+     SELECT p.item_id, COALESCE(p.sales_count, 0)
+     FROM shopee_products p
+     LEFT JOIN product_sales_snapshots latest ON latest.id = (
+       SELECT MAX(s.id) FROM product_sales_snapshots s WHERE s.product_item_id = p.item_id
+     )
+     WHERE p.deleted_at IS NULL
+       AND (latest.id IS NULL OR latest.sales_count <> COALESCE(p.sales_count, 0))`
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.affectedRows;
+}
+
+/**
+ * Delete snapshots older than the retention period
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function pruneSalesSnapshots() {
+  const result = await executeQuery(
+    "DELETE FROM product_sales_snapshots WHERE recorded_at < NOW() - INTERVAL ? DAY",
+    [SNAPSHOT_RETENTION_DAYS]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.affectedRows;
+}
+
+/**
+ * Rank products by sales growth over a window
+ * The baseline is the last snapshot taken before the window started; products
+ * first seen inside the window use their earliest snapshot instead.
+ * @param {Object} options
+ * @param {string} options.whereClause - Listing filters (from buildWhereClause)
+ * @param {Array} options.queryParams - Parameters of whereClause
+ * @param {number} options.windowHours - Window length in hours
+ * @param {number} options.limit - Max number of products
+ * @returns {Promise<Array>} Products with sales_growth, growth_rate (percent) and baseline_at
+ */
+export async function getTrendingProducts({ whereClause, queryParams, windowHours, limit = 20 }) {
+  const result = await executeQuery(
+    `SELECT ${PUBLIC_PRODUCT_COLUMNS},
+            COALESCE(p.sales_count, 0) - base.sales_count as sales_growth,
+            ROUND((COALESCE(p.sales_count, 0) - base.sales_count) / NULLIF(base.sales_count, 0) * 100, 2) as growth_rate,
+            base.recorded_at as baseline_at
+     FROM shopee_products p
+     LEFT JOIN categories c ON p.category_id = c.id
+     ${PRODUCT_OVERRIDE_JOIN}
+     JOIN product_sales_snapshots base ON base.id = COALESCE(
+       (SELECT s.id FROM product_sales_snapshots s
+        WHERE s.product_item_id = p.item_id AND s.recorded_at <= NOW() - INTERVAL ? HOUR
+        ORDER BY s.recorded_at DESC, s.id DESC LIMIT 1),
+       (SELECT s.id FROM product_sales_snapshots s
+        WHERE s.product_item_id = p.item_id AND s.recorded_at > NOW() - INTERVAL ? HOUR
+        ORDER BY s.recorded_at ASC, s.id ASC LIMIT 1)
+     )
+     ${whereClause}
+       AND COALESCE(p.sales_count, 0) > base.sales_count
+     ORDER BY sales_growth DESC, growth_rate DESC, p.id DESC
+     LIMIT ${Math.min(Math.max(parseInt(limit) || 20, 1), 100)}`,
+    [windowHours, windowHours, ...queryParams]
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data.map((row) => ({
+    ...row,
+    sales_growth: parseInt(row.sales_growth) || 0,
+    growth_rate: row.growth_rate !== null ? parseFloat(row.growth_rate) : null
+  }));
+}
+
+/**
+ * Start the scheduled sales snapshot job (also prunes old snapshots)
+ * Disabled with SALES_SNAPSHOT_ENABLED=false
+ */
+export function startSalesSnapshotScheduler() {
+  if (process.env.SALES_SNAPSHOT_ENABLED === 'false') {
+    Logger.info("[SalesTrend] Sales snapshots disabled (SALES_SNAPSHOT_ENABLED=false)");
+    return null;
+  }
+
+  return scheduleJob(
+    "sales-snapshots",
+    SNAPSHOT_INTERVAL_MS,
+    async () => {
+      const recorded = await recordSalesSnapshots();
+      const pruned = await pruneSalesSnapshots();
+      Logger.info(`[SalesTrend] Recorded ${recorded} sales snapshot(s), pruned ${pruned}`);
+    },
+    // First snapshot soon after startup so trending has a baseline
+    { initialDelayMs: 2 * 60 * 1000 }
+  );
+}
@@ -0,0 +1,330 @@
+/**
+ * Shopee Affiliate API Service
+ * Shared GraphQL client for the Shopee Affiliate Open API, used by the
+ * product routes and background jobs:
+ * - Request timeouts
+ * - Exponential backoff retries on 429 / 5xx / network errors
+ * - Token-bucket limit on outbound calls
+ * - Circuit breaker that fails fast while Shopee is down
+ * - GraphQL `errors` surfaced as typed errors
+ */
+
+import { generateSignature, createAuthorizationHeader } from '../utils/helpers.js';
+import Logger from '../utils/logger.js';
+
+// Override with SHOPEE_API_URL to point at the local mock server (npm run mock:shopee)
+export const API_URL = process.env.SHOPEE_API_URL || "https://open-api.affiliate.shopee.co.th/graphql";
+const APP_ID = process.env.SHOPEE_APP_ID;
+const APP_SECRET = process.env.SHOPEE_APP_SECRET;
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SHOPEE_API_TIMEOUT_MS) || 15000;
+const MAX_RETRIES = process.env.SHOPEE_API_MAX_RETRIES !== undefined
+  ? parseInt(process.env.SHOPEE_API_MAX_RETRIES) || 0
+  : 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.SHOPEE_API_RETRY_BASE_MS) || 500;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+
+// Token bucket: burst capacity and steady refill rate (requests per second)
+const RATE_LIMIT_BURST = parseInt(process.env.SHOPEE_API_RATE_BURST) || 10;
+const RATE_LIMIT_PER_SECOND = parseFloat(process.env.SHOPEE_API_RATE_PER_SECOND) || 2;
+
+// Circuit breaker: open after N consecutive failures, retry after cooldown
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.SHOPEE_API_CIRCUIT_THRESHOLD) || 5;
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.SHOPEE_API_CIRCUIT_COOLDOWN_MS) || 60 * 1000;
+
+// Shopee GraphQL error codes worth retrying (10000 = system error, 10030 = traffic limit)
+const RETRYABLE_GRAPHQL_CODES = [10000, 10030];
+
+/**
+ * Base error for all Shopee API failures
+ * statusCode is the HTTP status routes should answer with
+ */
+export class ShopeeApiError extends Error {
+  constructor(message, { status = null, retryable = false, statusCode = 502 } = {}) {
+    super(message);
+    this.name = "ShopeeApiError";
+    this.status = status; // Upstream HTTP status (if any)
+    this.retryable = retryable;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Shopee answered 200 but the GraphQL response contains `errors`
+ */
+export class ShopeeGraphQLError extends ShopeeApiError {
+  constructor(errors) {
+    const first = errors[0] || {};
+    const code = first.extensions?.code ?? null;
+    super(`Shopee GraphQL error${code ? ` (${code})` : ""}: ${first.message || "Unknown error"}`, {
+      retryable: RETRYABLE_GRAPHQL_CODES.includes(Number(code))
+    });
+    this.name = "ShopeeGraphQLError";
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Request did not complete within REQUEST_TIMEOUT_MS
+ */
+export class ShopeeTimeoutError extends ShopeeApiError {
+  constructor(timeoutMs) {
+    super(`Shopee API request timed out after ${timeoutMs}ms`, { retryable: true, statusCode: 504 });
+    this.name = "ShopeeTimeoutError";
+  }
+}
+
+/**
+ * Circuit breaker is open - request rejected without calling Shopee
+ */
+export class ShopeeCircuitOpenError extends ShopeeApiError {
+  constructor(retryAt) {
+    super(`Shopee API is temporarily unavailable (circuit open until ${new Date(retryAt).toISOString()})`, {
+      statusCode: 503
+    });
+    this.name = "ShopeeCircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Token bucket state
+const bucket = {
+  tokens: RATE_LIMIT_BURST,
+  lastRefill: Date.now()
+};
+
+/**
+ * Wait until a token is available, then consume it
+ */
+async function acquireToken() {
+  for (;;) {
+    const now = Date.now();
+    const elapsedSeconds = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(RATE_LIMIT_BURST, bucket.tokens + elapsedSeconds * RATE_LIMIT_PER_SECOND);
+    bucket.lastRefill = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+
+    const waitMs = Math.ceil(((1 - bucket.tokens) / RATE_LIMIT_PER_SECOND) * 1000);
+    Logger.debug(`[ShopeeAPI] Rate limit reached, waiting ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+}
+
+// Circuit breaker state: closed -> open -> half_open -> closed
+const circuit = {
+  state: "closed",
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false
+};
+
+function checkCircuit() {
+  if (circuit.state === "open") {
+    const retryAt = circuit.openedAt + CIRCUIT_COOLDOWN_MS;
+    if (Date.now() < retryAt) {
+      throw new ShopeeCircuitOpenError(retryAt);
+    }
+    circuit.state = "half_open";
+    Logger.info("[ShopeeAPI] Circuit half-open, allowing a trial request");
+  }
+
+  if (circuit.state === "half_open") {
+    if (circuit.trialInFlight) {
+      throw new ShopeeCircuitOpenError(Date.now() + CIRCUIT_COOLDOWN_MS);
+    }
+    circuit.trialInFlight = true;
+  }
+}
+
+function recordSuccess() {
+  if (circuit.state !== "closed") {
+    Logger.success("[ShopeeAPI] Circuit closed, Shopee API is reachable again");
+  }
+  circuit.state = "closed";
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+  circuit.trialInFlight = false;
+}
+
+function recordFailure() {
+  circuit.consecutiveFailures++;
+  circuit.trialInFlight = false;
+
+  if (circuit.state === "half_open" || circuit.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.state !== "open") {
+      Logger.warn(`[ShopeeAPI] Circuit opened after ${circuit.consecutiveFailures} consecutive failure(s)`);
+    }
+    circuit.state = "open";
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Exponential backoff with jitter, honouring Retry-After when Shopee sends it
+ */
+function getRetryDelay(attempt, retryAfterHeader) {
+  const retryAfterSeconds = parseInt(retryAfterHeader);
+  if (retryAfterSeconds > 0) {
+    return Math.min(retryAfterSeconds * 1000, RETRY_MAX_DELAY_MS);
+  }
+  const exponential = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+  const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(exponential + jitter, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Check whether Shopee API credentials are configured
+ * @returns {boolean} True if both SHOPEE_APP_ID and SHOPEE_APP_SECRET are set
+ */
+export function hasShopeeCredentials() {
+  return !!(APP_ID && APP_SECRET);
+}
+
+/**
+ * Get current client state (circuit breaker and rate limiter)
+ * @returns {Object} Client status
+ */
+export function getShopeeClientStatus() {
+  return {
+    circuit: {
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null
+    },
+    rateLimit: {
+      availableTokens: Math.floor(bucket.tokens),
+      burst: RATE_LIMIT_BURST,
+      perSecond: RATE_LIMIT_PER_SECOND
+    }
+  };
+}
+
+/**
+ * Send a single signed request (no retries)
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function sendRequest(query, variables) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const payload = JSON.stringify({ query, variables });
+
+  const signature = generateSignature({
+    appId: APP_ID,
+    timestamp: timestamp.toString(),
+    payload,
+    secret: APP_SECRET
+  });
+
+  const authHeader = createAuthorizationHeader({
+    appId: APP_ID,
+    timestamp: timestamp.toString(),
+    signature
+  });
+
+  Logger.debug("Making request to Shopee API:", {
+    url: API_URL,
+    bodyLength: payload.length
+  });
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(API_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: authHeader
+      },
+      body: payload,
+      signal: controller.signal
+    });
+
+    Logger.debug("Response status:", response.status, response.statusText);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      Logger.error("Error response body:", errorText);
+      const error = new ShopeeApiError(`HTTP error! status: ${response.status}, body: ${errorText}`, {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500,
+        statusCode: response.status === 429 ? 429 : 502
+      });
+      error.retryAfter = response.headers.get("retry-after");
+      throw error;
+    }
+
+    const jsonResponse = await response.json();
+    Logger.debug("Response received:", {
+      hasData: !!jsonResponse.data,
+      hasErrors: !!jsonResponse.errors
+    });
+
+    if (Array.isArray(jsonResponse.errors) && jsonResponse.errors.length > 0) {
+      throw new ShopeeGraphQLError(jsonResponse.errors);
+    }
+
+    return jsonResponse;
+  } catch (error) {
+    if (error instanceof ShopeeApiError) {
+      throw error;
+    }
+    if (error.name === "AbortError") {
+      throw new ShopeeTimeoutError(REQUEST_TIMEOUT_MS);
+    }
+    // Network-level failure (DNS, connection reset, ...)
+    throw new ShopeeApiError(`Shopee API request failed: ${error.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Send a signed GraphQL request to the Shopee Affiliate API
+ * Retries transient failures with exponential backoff and respects the
+ * shared rate limit and circuit breaker.
+ * @param {string} query - GraphQL query string
+ * @param {Object} variables - GraphQL variables
+ * @returns {Promise<Object>} Parsed JSON response ({ data })
+ * @throws {ShopeeApiError} On HTTP, network, timeout, GraphQL or circuit-open failures
+ */
+export async function makeGraphQLRequest(query, variables = {}) {
+  let attempt = 0;
+
+  for (;;) {
+    checkCircuit();
+    await acquireToken();
+
+    try {
+      const jsonResponse = await sendRequest(query, variables);
+      recordSuccess();
+      return jsonResponse;
+    } catch (error) {
+      // Non-retryable errors (bad params, auth, 4xx) mean Shopee itself is up
+      if (!error.retryable) {
+        recordSuccess();
+        Logger.error("GraphQL Request failed:", error.message);
+        throw error;
+      }
+
+      recordFailure();
+
+      if (attempt >= MAX_RETRIES || circuit.state === "open") {
+        Logger.error("GraphQL Request failed:", error.message);
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error.retryAfter);
+      attempt++;
+      Logger.warn(`[ShopeeAPI] ${error.message} - retry ${attempt}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Short Link Service
+ * Generates Shopee affiliate short links with the generateShortLink mutation.
+ * Each sharing channel (website, LINE, Facebook, banner, ...) has its own
+ * sub-IDs in affiliate_link_channels, so conversions in the conversion report
+ * can be attributed to where the link was shared.
+ * Links are cached per product and channel in product_short_links and only
+ * regenerated when the channel's sub-IDs or the product URL change.
+ */
+
+import { executeQuery } from '../config/database.js';
+import { GENERATE_SHORT_LINK_MUTATION } from '../queries.js';
+import { makeGraphQLRequest } from './shopeeApiService.js';
+import { sanitizeUrl } from '../utils/sanitize.js';
+
+export const LINK_CHANNEL_PATTERN = /^[a-z0-9_]{1,30}$/;
+// Shopee sub-IDs: letters, digits and "_" (Shopee joins them with "-")
+export const SHOPEE_SUB_ID_PATTERN = /^[A-Za-z0-9_]{0,50}$/;
+export const MAX_SUB_IDS = 5;
+
+/**
+ * Sub-IDs of a channel row, without trailing empty ones
+ * @param {Object} channel - affiliate_link_channels row
+ * @returns {Array<string>}
+ */
+export function getChannelSubIds(channel) {
+  const subIds = [channel.sub_id1, channel.sub_id2, channel.sub_id3, channel.sub_id4, channel.sub_id5].map((value) =>
+    String(value || '').trim()
+  );
+  while (subIds.length > 0 && subIds[subIds.length - 1] === '') {
+    subIds.pop();
+  }
+  return subIds;
+}
+
+/**
+ * Get a link channel
+ * @param {string} channel - Channel key
+ * @returns {Promise<Object|null>} affiliate_link_channels row
+ */
+export async function getLinkChannel(channel) {
+  const result = await executeQuery('SELECT * FROM affiliate_link_channels WHERE channel = ?', [channel]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data[0] || null;
+}
+
+/**
+ * Delete cached short links of a channel (after its sub-IDs changed or it was removed)
+ * @param {string} channel - Channel key
+ * @returns {Promise<number>} Number of links deleted
+ */
+export async function clearChannelShortLinks(channel) {
+  const result = await executeQuery('DELETE FROM product_short_links WHERE channel = ?', [channel]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows;
+}
+
+/**
+ * Get the cached short link of a product for a channel (never calls Shopee)
+ * @param {Object} product - shopee_products row (item_id, product_link)
+ * @param {Object} channel - affiliate_link_channels row
+ * @returns {Promise<string|null>} Short link, or null when missing or stale
+ */
+export async function getCachedShortLink(product, channel) {
+  const cachedResult = await executeQuery(
+    'SELECT short_link, origin_url, sub_ids FROM product_short_links WHERE product_item_id = ? AND channel = ?',
+    [String(product.item_id), channel.channel]
+  );
+  if (!cachedResult.success) {
+    throw new Error(cachedResult.error);
+  }
+
+  // Stale when the product URL or the channel's sub-IDs changed since it was generated
+  const cached = cachedResult.data[0];
+  if (!cached || cached.origin_url !== sanitizeUrl(product.product_link)) {
+    return null;
+  }
+  return cached.sub_ids === getChannelSubIds(channel).join('-') ? cached.short_link : null;
+}
+
+/**
+ * Get the short link of a product for a channel, generating it when missing or stale
+ * @param {Object} product - shopee_products row (item_id, product_link)
+ * @param {Object} channel - affiliate_link_channels row
+ * @param {Object} options
+ * @param {boolean} options.refresh - Always ask Shopee for a new link
+ * @returns {Promise<Object>} { channel, short_link, sub_ids, cached }
+ */
+export async function ensureShortLink(product, channel, { refresh = false } = {}) {
+  const originUrl = sanitizeUrl(product.product_link);
+  if (!originUrl) {
+    throw new Error('Product has no Shopee product link');
+  }
+
+  const subIds = getChannelSubIds(channel);
+  const subIdKey = subIds.join('-');
+
+  if (!refresh) {
+    const cachedLink = await getCachedShortLink(product, channel);
+    if (cachedLink) {
+      return { channel: channel.channel, short_link: cachedLink, sub_ids: subIds, cached: true };
+    }
+  }
+
+  const response = await makeGraphQLRequest(GENERATE_SHORT_LINK_MUTATION, { originUrl, subIds });
+  const shortLink = response?.data?.generateShortLink?.shortLink;
+  if (!shortLink) {
+    throw new Error('Shopee returned no short link');
+  }
+
+  const saveResult = await executeQuery(
+    `INSERT INTO product_short_links (product_item_id, channel, origin_url, sub_ids, short_link)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE origin_url = VALUES(origin_url), sub_ids = VALUES(sub_ids), short_link = VALUES(short_link)`,
+    [String(product.item_id), channel.channel, originUrl, subIdKey, shortLink]
+  );
+  if (!saveResult.success) {
+    throw new Error(saveResult.error);
+  }
+
+  return { channel: channel.channel, short_link: shortLink, sub_ids: subIds, cached: false };
+}
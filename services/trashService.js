@@ -0,0 +1,455 @@
+/**
+ * Trash Service
+ * Products, categories, tags and banners are soft-deleted: DELETE sets
+ * deleted_at and every listing skips rows that have it. Restore clears it.
+ * - Trashed products keep their category and tags, so restore needs nothing else
+ * - Trashing a category/tag unlinks its products (so public pages and filters
+ *   stop showing it) and stashes the links in trash_associations; restore puts
+ *   them back; the products changed go through the product hooks
+ * A scheduled job permanently deletes items trashed longer than
+ * TRASH_RETENTION_DAYS (default 30). Analytics (clicks, conversions, price and
+ * sales history) and the product change log are kept after a purge.
+ */
+
+import pool, { executeQuery } from '../config/database.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import { PRODUCT_OVERRIDE_JOIN, EFFECTIVE_NAME_SQL, EFFECTIVE_IMAGE_SQL } from './productOverrideService.js';
+import { beforeProductsWrite, afterProductsWrite } from './productHooks.js';
+import Logger from '../utils/logger.js';
+
+export const TRASH_RETENTION_DAYS = Math.max(parseInt(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+
+// Listing query of each trash, newest first
+const TRASH_LISTS = {
+  products: {
+    table: 'shopee_products p',
+    columns: `p.id, p.item_id, ${EFFECTIVE_NAME_SQL} as product_name, ${EFFECTIVE_IMAGE_SQL} as image_url,
+              p.price, p.status, p.category_id, c.name as category_name, p.deleted_at`,
+    joins: `LEFT JOIN categories c ON p.category_id = c.id ${PRODUCT_OVERRIDE_JOIN}`,
+    alias: 'p'
+  },
+  categories: {
+    table: 'categories c',
+    columns: `c.id, c.name, c.is_active, c.deleted_at,
+              (SELECT COUNT(*) FROM trash_associations ta
+               WHERE ta.entity_type = 'category' AND ta.entity_id = c.id) as product_count`,
+    joins: '',
+    alias: 'c'
+  },
+  tags: {
+    table: 'tags t',
+    columns: `t.id, t.name, t.is_active, t.deleted_at,
+              (SELECT COUNT(*) FROM trash_associations ta
+               WHERE ta.entity_type = 'tag' AND ta.entity_id = t.id) as product_count`,
+    joins: '',
+    alias: 't'
+  },
+  banners: {
+    table: 'banners b',
+    columns: `b.id, b.position_id, bp.name as position_name, b.campaign_id, bc.name as campaign_name,
+              b.image_url, b.title, b.sort_order, b.is_active, b.deleted_at`,
+    joins: 'LEFT JOIN banner_positions bp ON b.position_id = bp.id LEFT JOIN banner_campaigns bc ON b.campaign_id = bc.id',
+    alias: 'b'
+  }
+};
+
+export const TRASH_ENTITIES = Object.keys(TRASH_LISTS);
+
+/**
+ * Run work on a transaction connection (timezone set, rolled back on error)
+ */
+async function withTransaction(work) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.execute("SET time_zone = '+07:00'");
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Set or clear deleted_at of a single row
+ * @returns {Promise<boolean>} False when there is no row in the expected state
+ */
+async function setDeletedAt(table, column, value, trashed) {
+  const result = await executeQuery(
+    `UPDATE ${table}
+     SET deleted_at = ${trashed ? 'CURRENT_TIMESTAMP' : 'NULL'}
+     WHERE ${column} = ? AND deleted_at IS ${trashed ? 'NULL' : 'NOT NULL'}`,
+    [value]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * Move a product to the trash
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<boolean>} False when the product is missing or already trashed
+ */
+export async function trashProduct(itemId) {
+  return setDeletedAt('shopee_products', 'item_id', String(itemId), true);
+}
+
+/**
+ * Restore a trashed product (its category and tags were never removed)
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<boolean>} False when the product is not in the trash
+ */
+export async function restoreProduct(itemId) {
+  return setDeletedAt('shopee_products', 'item_id', String(itemId), false);
+}
+
+/**
+ * Run the product hooks for the products a category/tag trash or restore changed
+ */
+async function afterLinksChanged(changed, source, userId) {
+  if (changed) {
+    await afterProductsWrite(changed.itemIds, changed.previous, source, { userId });
+  }
+}
+
+/**
+ * Lock the products a category/tag change touches and capture their previous state
+ * @returns {Promise<Object>} { itemIds, previous }
+ */
+async function lockChangedProducts(connection, sql, params) {
+  const [rows] = await connection.execute(`${sql} FOR UPDATE`, params);
+  const itemIds = rows.map((row) => String(row.item_id));
+  return { itemIds, previous: await beforeProductsWrite(itemIds) };
+}
+
+/**
+ * Move a category to the trash; its products are unlinked and the links stashed
+ * @param {number} categoryId
+ * @param {Object} options
+ * @param {number|null} options.userId - Admin user, recorded in the product change log
+ * @returns {Promise<Object|null>} { products } unlinked, or null when missing or already trashed
+ */
+export async function trashCategory(categoryId, { userId = null } = {}) {
+  let changed = null;
+  const result = await withTransaction(async (connection) => {
+    const [update] = await connection.execute(
+      'UPDATE categories SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+      [categoryId]
+    );
+    if (update.affectedRows === 0) {
+      return null;
+    }
+
+    changed = await lockChangedProducts(connection, 'SELECT item_id FROM shopee_products WHERE category_id = ?', [
+      categoryId
+    ]);
+    await connection.execute(
+      `INSERT IGNORE INTO trash_associations (entity_type, entity_id, product_item_id)
+       SELECT 'category', category_id, item_id FROM shopee_products WHERE category_id = ?`,
+      [categoryId]
+    );
+    const [unlinked] = await connection.execute('UPDATE shopee_products SET category_id = NULL WHERE category_id = ?', [
+      categoryId
+    ]);
+
+    return { products: unlinked.affectedRows };
+  });
+
+  await afterLinksChanged(changed, 'category-trash', userId);
+  return result;
+}
+
+/**
+ * Restore a trashed category and relink its products
+ * Products that got another category in the meantime keep it.
+ * @param {number} categoryId
+ * @param {Object} options
+ * @param {number|null} options.userId - Admin user, recorded in the product change log
+ * @returns {Promise<Object|null>} { products } relinked, or null when not in the trash
+ */
+export async function restoreCategory(categoryId, { userId = null } = {}) {
+  let changed = null;
+  const result = await withTransaction(async (connection) => {
+    const [update] = await connection.execute(
+      'UPDATE categories SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+      [categoryId]
+    );
+    if (update.affectedRows === 0) {
+      return null;
+    }
+
+    changed = await lockChangedProducts(
+      connection,
+      `SELECT p.item_id FROM shopee_products p
+       JOIN trash_associations ta
+         ON ta.product_item_id = p.item_id AND ta.entity_type = 'category' AND ta.entity_id = ?
+       WHERE p.category_id IS NULL`,
+      [categoryId]
+    );
+    const [relinked] = await connection.execute(
+      `UPDATE shopee_products p
+       JOIN trash_associations ta
+         ON ta.product_item_id = p.item_id AND ta.entity_type = 'category' AND ta.entity_id = ?
+       SET p.category_id = ta.entity_id
+       WHERE p.category_id IS NULL`,
+      [categoryId]
+    );
+    await connection.execute("DELETE FROM trash_associations WHERE entity_type = 'category' AND entity_id = ?", [
+      categoryId
+    ]);
+
+    return { products: relinked.affectedRows };
+  });
+
+  await afterLinksChanged(changed, 'category-restore', userId);
+  return result;
+}
+
+/**
+ * Move a tag to the trash; its product links are removed and stashed
+ * @param {number} tagId
+ * @param {Object} options
+ * @param {number|null} options.userId - Admin user, recorded in the product change log
+ * @returns {Promise<Object|null>} { products } unlinked, or null when missing or already trashed
+ */
+export async function trashTag(tagId, { userId = null } = {}) {
+  let changed = null;
+  const result = await withTransaction(async (connection) => {
+    const [update] = await connection.execute(
+      'UPDATE tags SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+      [tagId]
+    );
+    if (update.affectedRows === 0) {
+      return null;
+    }
+
+    changed = await lockChangedProducts(
+      connection,
+      'SELECT product_item_id as item_id FROM product_tags WHERE tag_id = ?',
+      [tagId]
+    );
+    await connection.execute(
+      `INSERT IGNORE INTO trash_associations (entity_type, entity_id, product_item_id)
+       SELECT 'tag', tag_id, product_item_id FROM product_tags WHERE tag_id = ?`,
+      [tagId]
+    );
+    const [unlinked] = await connection.execute('DELETE FROM product_tags WHERE tag_id = ?', [tagId]);
+
+    return { products: unlinked.affectedRows };
+  });
+
+  await afterLinksChanged(changed, 'tag-trash', userId);
+  return result;
+}
+
+/**
+ * Restore a trashed tag and its product links (products purged meanwhile are skipped)
+ * @param {number} tagId
+ * @param {Object} options
+ * @param {number|null} options.userId - Admin user, recorded in the product change log
+ * @returns {Promise<Object|null>} { products } relinked, or null when not in the trash
+ */
+export async function restoreTag(tagId, { userId = null } = {}) {
+  let changed = null;
+  const result = await withTransaction(async (connection) => {
+    const [update] = await connection.execute(
+      'UPDATE tags SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+      [tagId]
+    );
+    if (update.affectedRows === 0) {
+      return null;
+    }
+
+    changed = await lockChangedProducts(
+      connection,
+      `SELECT p.item_id FROM shopee_products p
+       JOIN trash_associations ta ON ta.product_item_id = p.item_id
+       WHERE ta.entity_type = 'tag' AND ta.entity_id = ?`,
+      [tagId]
+    );
+    const [relinked] = await connection.execute(
+      `INSERT IGNORE INTO product_tags (product_item_id, tag_id)
+       SELECT ta.product_item_id, ta.entity_id
+       FROM trash_associations ta
+       JOIN shopee_products p ON p.item_id = ta.product_item_id
+       WHERE ta.entity_type = 'tag' AND ta.entity_id = ?`,
+      [tagId]
+    );
+    await connection.execute("DELETE FROM trash_associations WHERE entity_type = 'tag' AND entity_id = ?", [tagId]);
+
+    return { products: relinked.affectedRows };
+  });
+
+  await afterLinksChanged(changed, 'tag-restore', userId);
+  return result;
+}
+
+/**
+ * Move a banner to the trash
+ * @param {number} bannerId
+ * @returns {Promise<boolean>} False when the banner is missing or already trashed
+ */
+export async function trashBanner(bannerId) {
+  return setDeletedAt('banners', 'id', bannerId, true);
+}
+
+/**
+ * Restore a trashed banner
+ * @param {number} bannerId
+ * @returns {Promise<boolean>} False when the banner is not in the trash
+ */
+export async function restoreBanner(bannerId) {
+  return setDeletedAt('banners', 'id', bannerId, false);
+}
+
+/**
+ * List the trash of an entity, newest first
+ * @param {string} entity - One of TRASH_ENTITIES
+ * @param {Object} options
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { items, total, retentionDays } (items carry purge_at)
+ */
+export async function getTrash(entity, { page = 1, limit = 20 } = {}) {
+  const list = TRASH_LISTS[entity];
+  if (!list) {
+    throw new Error(`Unknown trash entity: ${entity}`);
+  }
+  const offset = (page - 1) * limit;
+
+  const [itemsResult, countResult] = await Promise.all([
+    executeQuery(
+      `SELECT ${list.columns},
+              DATE_ADD(${list.alias}.deleted_at, INTERVAL ${TRASH_RETENTION_DAYS} DAY) as purge_at
+       FROM ${list.table} ${list.joins}
+       WHERE ${list.alias}.deleted_at IS NOT NULL
+       ORDER BY ${list.alias}.deleted_at DESC, ${list.alias}.id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`
+    ),
+    executeQuery(`SELECT COUNT(*) as total FROM ${list.table} WHERE ${list.alias}.deleted_at IS NOT NULL`)
+  ]);
+  if (!itemsResult.success) {
+    throw new Error(itemsResult.error);
+  }
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+
+  return { items: itemsResult.data, total: countResult.data[0].total, retentionDays: TRASH_RETENTION_DAYS };
+}
+
+/**
+ * Permanently delete trashed products older than the retention, in batches
+ * Rows keyed by item ID without a foreign key are removed first; product_tags cascades.
+ */
+async function purgeProducts(retentionDays) {
+  let purged = 0;
+  while (true) {
+    const expired = await executeQuery(
+      `SELECT item_id FROM shopee_products
+       WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ${parseInt(retentionDays)} DAY)
+       LIMIT ${PURGE_BATCH_SIZE}`
+    );
+    if (!expired.success) {
+      throw new Error(expired.error);
+    }
+    if (expired.data.length === 0) {
+      return purged;
+    }
+
+    const itemIds = expired.data.map((row) => String(row.item_id));
+    const placeholders = itemIds.map(() => '?').join(', ');
+    purged += await withTransaction(async (connection) => {
+      for (const table of ['product_overrides', 'collection_products', 'flash_sale_pins', 'product_short_links', 'trash_associations']) {
+        await connection.execute(`DELETE FROM ${table} WHERE product_item_id IN (${placeholders})`, itemIds);
+      }
+      const [deleted] = await connection.execute(
+        `DELETE FROM shopee_products WHERE item_id IN (${placeholders}) AND deleted_at IS NOT NULL`,
+        itemIds
+      );
+      return deleted.affectedRows;
+    });
+  }
+}
+
+/**
+ * Permanently delete everything trashed longer than the retention period
+ * @param {number} retentionDays
+ * @returns {Promise<Object>} { products, categories, tags, banners } purged
+ */
+export async function purgeTrash(retentionDays = TRASH_RETENTION_DAYS) {
+  const expiredCondition = `deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ${parseInt(retentionDays)} DAY)`;
+  const summary = { products: await purgeProducts(retentionDays) };
+
+  const [categories, tags] = await Promise.all(
+    [
+      ['category', 'categories'],
+      ['tag', 'tags']
+    ].map(([entityType, table]) =>
+      withTransaction(async (connection) => {
+        await connection.execute(
+          `DELETE ta FROM trash_associations ta
+           JOIN ${table} e ON e.id = ta.entity_id
+           WHERE ta.entity_type = ? AND e.${expiredCondition}`,
+          [entityType]
+        );
+        if (entityType === 'category') {
+          await connection.execute(
+            `UPDATE product_overrides po
+             JOIN categories e ON e.id = po.pinned_category_id
+             SET po.pinned_category_id = NULL
+             WHERE e.${expiredCondition}`
+          );
+        }
+        const [deleted] = await connection.execute(`DELETE FROM ${table} WHERE ${expiredCondition}`);
+        return deleted.affectedRows;
+      })
+    )
+  );
+  summary.categories = categories;
+  summary.tags = tags;
+
+  const bannersResult = await executeQuery(`DELETE FROM banners WHERE ${expiredCondition}`);
+  if (!bannersResult.success) {
+    throw new Error(bannersResult.error);
+  }
+  summary.banners = bannersResult.data.affectedRows;
+
+  return summary;
+}
+
+/**
+ * Start the scheduled trash purge
+ * Disabled with TRASH_PURGE_ENABLED=false
+ */
+export function startTrashPurgeScheduler() {
+  if (process.env.TRASH_PURGE_ENABLED === 'false') {
+    Logger.info("[Trash] Scheduled purge disabled (TRASH_PURGE_ENABLED=false)");
+    return null;
+  }
+
+  return scheduleJob(
+    "trash-purge",
+    PURGE_INTERVAL_MS,
+    async () => {
+      const summary = await purgeTrash();
+      const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        Logger.info(
+          `[Trash] Purged ${summary.products} product(s), ${summary.categories} category(ies), ` +
+            `${summary.tags} tag(s) and ${summary.banners} banner(s) older than ${TRASH_RETENTION_DAYS} day(s)`
+        );
+      }
+    },
+    // Purge soon after startup instead of a day later
+    { initialDelayMs: 60 * 1000 }
+  );
+}
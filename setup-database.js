@@ -127,10 +127,12 @@ async function setupDatabase() {
         id INT AUTO_INCREMENT PRIMARY KEY,
         name VARCHAR(255) NOT NULL UNIQUE,
         is_active TINYINT(1) DEFAULT 1,
+        deleted_at TIMESTAMP NULL DEFAULT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         UNIQUE KEY unique_name (name),
-        KEY idx_categories_is_active (is_active)
+        KEY idx_categories_is_active (is_active),
+        KEY idx_categories_deleted_at (deleted_at)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
     `,
       "Create categories table"
@@ -144,10 +146,12 @@ async function setupDatabase() {
         id INT AUTO_INCREMENT PRIMARY KEY,
         name VARCHAR(255) NOT NULL UNIQUE,
         is_active TINYINT(1) DEFAULT 1,
+        deleted_at TIMESTAMP NULL DEFAULT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         UNIQUE KEY unique_name (name),
-        KEY idx_tags_is_active (is_active)
+        KEY idx_tags_is_active (is_active),
+        KEY idx_tags_deleted_at (deleted_at)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
     `,
       "Create tags table"
@@ -180,7 +184,9 @@ async function setupDatabase() {
         is_flash_sale BOOLEAN DEFAULT FALSE,
         notes LONGTEXT NULL,
         status ENUM('active', 'inactive', 'out_of_stock') DEFAULT 'active',
+        status_source VARCHAR(20) NULL DEFAULT NULL,
         category_id INT NULL,
+        deleted_at TIMESTAMP NULL DEFAULT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         KEY idx_shopee_products_item_id (item_id),
@@ -188,6 +194,7 @@ async function setupDatabase() {
         KEY idx_shopee_products_status (status),
         KEY idx_shopee_products_is_flash_sale (is_flash_sale),
         KEY idx_shopee_products_created_at (created_at),
+        KEY idx_shopee_products_deleted_at (deleted_at),
         CONSTRAINT fk_product_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
     `,
@@ -288,11 +295,13 @@ async function setupDatabase() {
         start_time DATETIME NULL,
         end_time DATETIME NULL,
         is_active TINYINT(1) DEFAULT 1,
+        deleted_at TIMESTAMP NULL DEFAULT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         KEY idx_banners_position_id (position_id),
         KEY idx_banners_is_active (is_active),
         KEY idx_banners_composite (position_id, is_active),
+        KEY idx_banners_deleted_at (deleted_at),
         KEY campaign_id (campaign_id),
         CONSTRAINT banners_ibfk_1 FOREIGN KEY (position_id) REFERENCES banner_positions (id),
         CONSTRAINT banners_ibfk_2 FOREIGN KEY (campaign_id) REFERENCES banner_campaigns (id) ON DELETE SET NULL
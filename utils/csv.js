@@ -0,0 +1,95 @@
+/**
+ * CSV utilities (RFC 4180: quoted fields, escaped quotes, CRLF line endings)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter (default: ",")
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM (Excel adds it to exported CSV files)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const pushRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      pushRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    pushRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Format a single CSV field
+ * Strings starting with = + - @ are prefixed with ' so spreadsheets don't evaluate them as formulas.
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+export function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format a row of values as a CSV line (including the trailing CRLF)
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+export function formatCsvRow(values) {
+  return values.map(formatCsvField).join(",") + "\r\n";
+}
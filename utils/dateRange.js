@@ -0,0 +1,59 @@
+/**
+ * Date range helpers for admin reports (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+ */
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Format a Date as YYYY-MM-DD in server time
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD HH:mm:ss (DATETIME) in server time
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateTime(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Resolve ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, server time) into a query range
+ * Defaults to the last 30 days including today.
+ * @param {Object} query - req.query
+ * @param {number} maxDays - Longest allowed range in days (default: 366)
+ * @returns {Object|null} { from, to, start, end } (end is exclusive), or null if invalid
+ */
+export function resolveDateRange(query, maxDays = MAX_RANGE_DAYS) {
+  const today = parseDate(formatDate(new Date()));
+  const to = query.to ? parseDate(query.to) : today;
+  const from = query.from ? parseDate(query.from) : to && new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * 86400000);
+
+  if (!from || !to || from > to) {
+    return null;
+  }
+
+  const end = new Date(to);
+  end.setDate(end.getDate() + 1);
+  if ((end - from) / 86400000 > maxDays) {
+    return null;
+  }
+
+  return { from: formatDate(from), to: formatDate(to), start: `${formatDate(from)} 00:00:00`, end: `${formatDate(end)} 00:00:00` };
+}
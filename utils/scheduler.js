@@ -0,0 +1,96 @@
+/**
+ * Lightweight in-process job scheduler
+ * Runs background tasks on a fixed interval and never lets two runs
+ * of the same job overlap.
+ */
+
+import Logger from "./logger.js";
+
+const jobs = new Map();
+
+/**
+ * Schedule a recurring background job
+ * @param {string} name - Unique job name (used in logs and status)
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to execute
+ * @param {Object} options - Scheduling options
+ * @param {number} options.initialDelayMs - Delay before the first run (default: one interval)
+ * @returns {Object} Job handle with stop() and runNow()
+ */
+export function scheduleJob(name, intervalMs, task, options = {}) {
+  const { initialDelayMs = intervalMs } = options;
+
+  if (jobs.has(name)) {
+    jobs.get(name).stop();
+  }
+
+  const job = {
+    name,
+    intervalMs,
+    isRunning: false,
+    lastRunAt: null,
+    lastError: null,
+    timer: null,
+    initialTimer: null
+  };
+
+  const run = async () => {
+    if (job.isRunning) {
+      Logger.warn(`[Scheduler] Job "${name}" is still running, skipping this tick`);
+      return false;
+    }
+
+    job.isRunning = true;
+    job.lastRunAt = new Date();
+    try {
+      await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      Logger.error(`[Scheduler] Job "${name}" failed:`, error);
+    } finally {
+      job.isRunning = false;
+    }
+    return true;
+  };
+
+  job.initialTimer = setTimeout(() => {
+    run();
+    job.timer = setInterval(run, intervalMs);
+  }, initialDelayMs);
+
+  job.runNow = run;
+  job.stop = () => {
+    clearTimeout(job.initialTimer);
+    clearInterval(job.timer);
+    jobs.delete(name);
+  };
+
+  jobs.set(name, job);
+  Logger.info(`[Scheduler] Job "${name}" scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+
+  return job;
+}
+
+/**
+ * Get status of all scheduled jobs
+ * @returns {Array} Job status list
+ */
+export function getScheduledJobs() {
+  return Array.from(jobs.values()).map((job) => ({
+    name: job.name,
+    intervalMs: job.intervalMs,
+    isRunning: job.isRunning,
+    lastRunAt: job.lastRunAt,
+    lastError: job.lastError
+  }));
+}
+
+/**
+ * Stop all scheduled jobs (used on shutdown)
+ */
+export function stopAllJobs() {
+  for (const job of Array.from(jobs.values())) {
+    job.stop();
+  }
+}
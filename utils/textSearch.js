@@ -0,0 +1,105 @@
+/**
+ * Text search utilities
+ * Thai has no spaces between words, so search input is split into words with
+ * Intl.Segmenter (ICU dictionary segmentation) before it is matched or highlighted.
+ */
+
+const MAX_SEARCH_TERMS = 10;
+const MAX_SEARCH_LENGTH = 100;
+
+// Characters with a meaning in MySQL boolean full-text mode
+const BOOLEAN_OPERATOR_PATTERN = /[+\-<>()~*"@]/g;
+
+const wordSegmenter =
+  typeof Intl !== "undefined" && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter("th", { granularity: "word" })
+    : null;
+
+/**
+ * Split a search string into lowercase words (Thai-aware)
+ * Single characters are dropped since they match almost everything.
+ * @param {string} input - Raw search string
+ * @returns {Array<string>} Unique search terms (max 10)
+ */
+export function segmentSearchTerms(input) {
+  const text = String(input || "")
+    .slice(0, MAX_SEARCH_LENGTH)
+    .replace(BOOLEAN_OPERATOR_PATTERN, " ")
+    .toLowerCase();
+
+  const words = wordSegmenter
+    ? Array.from(wordSegmenter.segment(text))
+        .filter((segment) => segment.isWordLike)
+        .map((segment) => segment.segment)
+    : text.split(/\s+/);
+
+  const terms = [];
+  for (const word of words) {
+    const term = word.trim();
+    if (Array.from(term).length >= 2 && !terms.includes(term)) {
+      terms.push(term);
+    }
+    if (terms.length >= MAX_SEARCH_TERMS) {
+      break;
+    }
+  }
+  return terms;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Wrap matched search terms in <mark> tags
+ * The text is HTML-escaped, so the result is safe to render as HTML.
+ * @param {string} text - Text to highlight (e.g. product name)
+ * @param {Array<string>} terms - Terms from segmentSearchTerms
+ * @returns {string} Escaped text with <mark>...</mark> around matches
+ */
+export function highlightMatches(text, terms) {
+  const value = String(text ?? "");
+  if (!value || !terms || terms.length === 0) {
+    return escapeHtml(value);
+  }
+
+  // Collect match ranges, then merge overlapping ones (e.g. "เสื้อ" inside "เสื้อยืด")
+  const lowerValue = value.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    let index = lowerValue.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lowerValue.indexOf(term, index + term.length);
+    }
+  });
+
+  if (ranges.length === 0) {
+    return escapeHtml(value);
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  for (const [start, end] of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+
+  let result = "";
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    result += escapeHtml(value.slice(position, start));
+    result += `<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+    position = end;
+  });
+  return result + escapeHtml(value.slice(position));
+}